@@ -3,6 +3,7 @@ class FieldSurveyApp {
     constructor() {
         this.currentPosition = null;
         this.watchId = null;
+        this.coordinateConverter = new CoordinateConverter();
         this.init();
     }
 
@@ -18,6 +19,19 @@ class FieldSurveyApp {
         locateBtn.addEventListener('click', () => {
             this.centerOnCurrentLocation();
         });
+
+        document.addEventListener('settingschange', (e) => {
+            if (e.detail.key === 'coordinateFormat' && this.currentPosition) {
+                this.updateCoordinatesDisplay();
+                if (window.mapManager) {
+                    window.mapManager.updateUserLocation(
+                        this.currentPosition.lat,
+                        this.currentPosition.lon,
+                        this.currentPosition.accuracy
+                    );
+                }
+            }
+        });
     }
 
     checkGeolocationSupport() {
@@ -50,6 +64,7 @@ class FieldSurveyApp {
             lat: position.coords.latitude,
             lon: position.coords.longitude,
             accuracy: position.coords.accuracy,
+            altitude: position.coords.altitude,
             timestamp: position.timestamp
         };
 
@@ -63,6 +78,19 @@ class FieldSurveyApp {
                 this.currentPosition.accuracy
             );
         }
+
+        // Feed the track recorder and point occupation when they are running
+        if (window.trackRecorder) {
+            window.trackRecorder.addFix(this.currentPosition);
+        }
+        if (window.occupationManager) {
+            window.occupationManager.addFix(this.currentPosition);
+        }
+
+        // Keep the compass's true-north correction current
+        if (window.orientationManager) {
+            window.orientationManager.updateDeclination(this.currentPosition);
+        }
     }
 
     handlePositionError(error) {
@@ -90,8 +118,11 @@ class FieldSurveyApp {
         const latElement = document.getElementById('lat');
         const lonElement = document.getElementById('lon');
 
-        latElement.textContent = `Lat: ${this.currentPosition.lat.toFixed(6)}`;
-        lonElement.textContent = `Lon: ${this.currentPosition.lon.toFixed(6)}`;
+        // Latitude and longitude get a span each; UTM and MGRS are one reference
+        const parts = this.coordinateConverter.describe(this.currentPosition.lat, this.currentPosition.lon);
+        latElement.textContent = `${parts[0][0]}: ${parts[0][1]}`;
+        lonElement.textContent = parts[1] ? `${parts[1][0]}: ${parts[1][1]}` : '';
+        lonElement.style.display = parts[1] ? '' : 'none';
     }
 
     centerOnCurrentLocation() {
@@ -0,0 +1,156 @@
+// Bundle Handler - Builds the JSON files of a survey bundle: one metadata
+// file per photo, an index of the saved locations and a manifest listing
+// every file in the archive with its size and SHA-256 checksum
+class BundleHandler {
+    constructor(metadataHandler) {
+        this.metadataHandler = metadataHandler;
+        this.formatVersion = 1;
+
+        this.extensions = {
+            'image/jpeg': 'jpg',
+            'image/png': 'png',
+            'image/webp': 'webp',
+            'image/heic': 'heic',
+            'image/heif': 'heif',
+            'image/gif': 'gif'
+        };
+    }
+
+    /**
+     * Archive paths for one photo; name is the unique createMetadataFilename()
+     * name of the overlaid image
+     */
+    getPhotoPaths(photo, name) {
+        const base = name.replace(/\.jpg$/, '');
+        return {
+            photo: `photos/${name}`,
+            original: photo.originalBlob ? `originals/${base}.${this.getOriginalExtension(photo)}` : null,
+            metadata: `metadata/${base}.json`
+        };
+    }
+
+    /**
+     * Extension of the file as taken: from its name, else its type
+     */
+    getOriginalExtension(photo) {
+        const match = /\.([a-z0-9]{1,5})$/i.exec(photo.name || '');
+        if (match) return match[1].toLowerCase();
+        return this.extensions[photo.originalBlob.type] || 'bin';
+    }
+
+    /**
+     * Everything known about one photo, including the location it belongs to
+     */
+    createPhotoMetadata(location, photo, paths) {
+        return {
+            formatVersion: this.formatVersion,
+            photo: {
+                id: photo.id,
+                name: photo.name || null,
+                file: paths.photo,
+                original: paths.original
+            },
+            location: {
+                id: location.id,
+                name: location.name,
+                geometryType: location.geometryType || 'point'
+            },
+            metadata: MetadataHandler.upgradeMetadata(photo.metadata),
+            form: this.getFormAnswers(location)
+        };
+    }
+
+    /**
+     * locations.json: each saved location with its position, form answers
+     * and the metadata files of its photos
+     */
+    createLocationsIndex(locations, project, photoPaths) {
+        return {
+            formatVersion: this.formatVersion,
+            project: this.getProjectInfo(project),
+            locations: locations.map(location => {
+                const entry = {
+                    id: location.id,
+                    name: location.name,
+                    geometryType: location.geometryType || 'point',
+                    latitude: location.lat,
+                    longitude: location.lon,
+                    source: location.source || 'map',
+                    accuracy: typeof location.accuracy === 'number' ? location.accuracy : null,
+                    occupation: location.occupation || null,
+                    savedAt: location.timestamp || null,
+                    updatedAt: location.updatedAt || null,
+                    form: this.getFormAnswers(location),
+                    photos: (location.photos || [])
+                        .filter(photo => photoPaths.has(photo.id))
+                        .map(photo => photoPaths.get(photo.id).metadata)
+                };
+
+                if (location.geometryType === 'line' || location.geometryType === 'polygon') {
+                    entry.vertices = location.vertices.map(vertex => ({ latitude: vertex.lat, longitude: vertex.lon }));
+                }
+                return entry;
+            })
+        };
+    }
+
+    /**
+     * manifest.json: files is [{ path, data }] for everything else in the archive
+     */
+    async createManifest(files, project) {
+        const entries = [];
+        for (const file of files) {
+            entries.push({
+                path: file.path,
+                size: file.data.length,
+                sha256: await this.sha256(file.data)
+            });
+        }
+
+        return {
+            formatVersion: this.formatVersion,
+            generator: 'Field Survey App',
+            created: new Date().toISOString(),
+            project: this.getProjectInfo(project),
+            checksumAlgorithm: 'SHA-256',
+            files: entries
+        };
+    }
+
+    /**
+     * Hex SHA-256 digest. crypto.subtle only exists on HTTPS (or localhost),
+     * which the app needs for GPS anyway.
+     */
+    async sha256(data) {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('Checksums need a secure (HTTPS) connection');
+        }
+
+        const digest = await window.crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    getFormAnswers(location) {
+        const answers = window.formManager ? window.formManager.describeLocationAnswers(location) : null;
+        if (!answers) return null;
+
+        return {
+            formId: answers.formId,
+            formName: answers.formName,
+            answers: answers.fields.map(([label, value]) => ({ label: label, value: value })),
+            values: location.formData || {}
+        };
+    }
+
+    getProjectInfo(project) {
+        return project ? {
+            id: project.id || null,
+            name: project.name,
+            client: project.client || null,
+            jobNumber: project.jobNumber || null
+        } : null;
+    }
+}
+
+// Make available globally
+window.BundleHandler = BundleHandler;
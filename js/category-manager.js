@@ -0,0 +1,357 @@
+// Category Manager - User-defined pin categories, each with an icon, a color
+// and a default survey form. Edited from Survey Tools, chosen in the pin
+// modal, and shown or hidden per category from the map's layer control.
+class CategoryManager {
+    constructor() {
+        this.storageKey = 'pinCategories';
+        this.defaultColor = '#1976d2';
+
+        // Offered until the user changes the list
+        this.defaultCategories = [
+            { id: 'utility-pole', name: 'Utility Pole', icon: '⚡', color: '#f9a825', formId: 'general-survey' },
+            { id: 'hazard', name: 'Hazard', icon: '⚠️', color: '#d32f2f', formId: null },
+            { id: 'tree', name: 'Tree', icon: '🌳', color: '#2e7d32', formId: null }
+        ];
+
+        this.categories = this.load();
+        this.editingId = null;
+        this.init();
+    }
+
+    init() {
+        console.log('Category Manager initialized');
+        this.setupEventListeners();
+        this.updateCategorySelect();
+        this.applyToMap();
+    }
+
+    setupEventListeners() {
+        document.getElementById('categories-btn').addEventListener('click', () => {
+            if (window.exportManager) {
+                window.exportManager.closeModal();
+            }
+            this.openModal();
+        });
+
+        document.getElementById('close-categories-modal').addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        document.getElementById('categories-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'categories-modal') {
+                this.closeModal();
+            }
+        });
+
+        document.getElementById('category-save-btn').addEventListener('click', () => {
+            this.saveCategory();
+        });
+
+        document.getElementById('category-cancel-btn').addEventListener('click', () => {
+            this.fillForm(null);
+        });
+
+        document.getElementById('pin-category-select').addEventListener('change', (e) => {
+            localStorage.setItem('lastCategoryId', e.target.value);
+
+            const category = this.getCategory(e.target.value);
+            if (window.pinManager) {
+                window.pinManager.previewCategory(category);
+            }
+            this.applyDefaultForm(category);
+        });
+    }
+
+    /**
+     * Categories are few and small, so like custom forms they live in localStorage
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(stored) ? stored : this.defaultCategories.slice();
+        } catch (error) {
+            console.error('Error reading pin categories:', error);
+            return this.defaultCategories.slice();
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.categories));
+    }
+
+    getCategories() {
+        return this.categories;
+    }
+
+    getCategory(categoryId) {
+        return categoryId ? this.categories.find(category => category.id === categoryId) || null : null;
+    }
+
+    openModal() {
+        this.fillForm(null);
+        this.renderList();
+        document.getElementById('categories-modal').classList.add('active');
+    }
+
+    closeModal() {
+        document.getElementById('categories-modal').classList.remove('active');
+    }
+
+    renderList() {
+        const list = document.getElementById('category-list');
+        const locations = window.pinManager ? window.pinManager.savedLocations : [];
+        list.innerHTML = '';
+
+        if (this.categories.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'no-photo-text';
+            empty.textContent = 'No categories yet';
+            list.appendChild(empty);
+        }
+
+        this.categories.forEach(category => {
+            const item = document.createElement('li');
+            item.className = 'project-item';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'category-swatch';
+            swatch.style.backgroundColor = category.color;
+            swatch.textContent = category.icon;
+
+            const info = document.createElement('div');
+            info.className = 'project-item-info category-item-info';
+
+            const name = document.createElement('strong');
+            name.textContent = category.name;
+            info.appendChild(name);
+
+            const form = category.formId && window.formManager ? window.formManager.getForm(category.formId) : null;
+            const count = locations.filter(location => location.categoryId === category.id).length;
+            const details = document.createElement('span');
+            details.className = 'project-item-details';
+            details.textContent = `${form ? `Form: ${form.name}` : 'No default form'} · ${count} in this project`;
+            info.appendChild(details);
+
+            const actions = document.createElement('div');
+            actions.className = 'project-item-actions';
+
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'btn btn-light';
+            edit.textContent = 'Edit';
+            edit.addEventListener('click', () => this.fillForm(category));
+            actions.appendChild(edit);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn btn-danger';
+            remove.textContent = 'Delete';
+            remove.addEventListener('click', () => this.deleteCategory(category));
+            actions.appendChild(remove);
+
+            item.appendChild(swatch);
+            item.appendChild(info);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Load a category into the form for editing, or clear it for a new one
+     */
+    fillForm(category) {
+        this.editingId = category ? category.id : null;
+
+        document.getElementById('category-form-title').textContent = category ? `Edit "${category.name}"` : 'New Category';
+        document.getElementById('category-name').value = category ? category.name : '';
+        document.getElementById('category-icon').value = category ? category.icon : '';
+        document.getElementById('category-color').value = category ? category.color : this.defaultColor;
+        document.getElementById('category-cancel-btn').style.display = category ? 'block' : 'none';
+
+        const select = document.getElementById('category-form');
+        const forms = window.formManager ? window.formManager.forms : [];
+        select.innerHTML = '<option value="">No default form</option>';
+        forms.forEach(form => {
+            const option = document.createElement('option');
+            option.value = form.id;
+            option.textContent = form.name;
+            select.appendChild(option);
+        });
+        select.value = category && category.formId && forms.some(form => form.id === category.formId) ? category.formId : '';
+    }
+
+    saveCategory() {
+        const name = document.getElementById('category-name').value.trim();
+        const icon = document.getElementById('category-icon').value.trim();
+        const color = document.getElementById('category-color').value;
+        const formId = document.getElementById('category-form').value || null;
+
+        if (!name) {
+            alert('Enter a name for the category');
+            return;
+        }
+        // An emoji may be several code points (e.g. ⚠️), but a word is too long for a pin
+        if (!icon || Array.from(icon).length > 4) {
+            alert('Enter an icon of one or two characters, e.g. an emoji such as ⚡');
+            return;
+        }
+        if (!/^#[0-9a-f]{6}$/i.test(color)) {
+            alert('Choose a color for the category');
+            return;
+        }
+        if (this.categories.some(category => category.id !== this.editingId && category.name.toLowerCase() === name.toLowerCase())) {
+            alert(`A category named "${name}" already exists`);
+            return;
+        }
+
+        const existing = this.getCategory(this.editingId);
+        if (existing) {
+            Object.assign(existing, { name: name, icon: icon, color: color, formId: formId });
+        } else {
+            this.categories.push({ id: `category-${Date.now()}`, name: name, icon: icon, color: color, formId: formId });
+        }
+
+        this.save();
+        this.refresh();
+        this.fillForm(null);
+        this.showStatus(`Category "${name}" saved`, 'success');
+    }
+
+    /**
+     * Pins of a deleted category keep its id but show as uncategorized
+     */
+    deleteCategory(category) {
+        const locations = window.pinManager ? window.pinManager.savedLocations : [];
+        const count = locations.filter(location => location.categoryId === category.id).length;
+        const confirmed = confirm(
+            `Delete category "${category.name}"?` +
+            (count > 0 ? `\n\n${count} location${count === 1 ? '' : 's'} in this project will show as uncategorized.` : '')
+        );
+        if (!confirmed) return;
+
+        this.categories = this.categories.filter(c => c.id !== category.id);
+        if (this.editingId === category.id) {
+            this.fillForm(null);
+        }
+
+        this.save();
+        this.refresh();
+        this.showStatus(`Category "${category.name}" deleted`, 'info');
+    }
+
+    /**
+     * The local category for one exported from any device: the same id,
+     * else the same name, looking at the saved categories and at those in
+     * added. A missing one is made from the exported name, icon and color
+     * and appended to added, but not saved; see addCategories. Returns
+     * null without a usable category.
+     */
+    matchCategory(exported, added = []) {
+        if (!exported || typeof exported !== 'object') return null;
+
+        const known = this.categories.concat(added);
+        const byId = typeof exported.id === 'string' ? known.find(category => category.id === exported.id) : null;
+        if (byId) return byId;
+
+        const name = typeof exported.name === 'string' ? exported.name.trim().slice(0, 40) : '';
+        if (!name) return null;
+
+        const byName = known.find(category => category.name.toLowerCase() === name.toLowerCase());
+        if (byName) return byName;
+
+        const icon = typeof exported.icon === 'string' ? exported.icon.trim() : '';
+        const category = {
+            id: typeof exported.id === 'string' && exported.id ? exported.id : `category-${Date.now()}-${added.length}`,
+            name: name,
+            icon: icon && Array.from(icon).length <= 4 ? icon : '📍',
+            color: /^#[0-9a-f]{6}$/i.test(exported.color) ? exported.color : this.defaultColor,
+            formId: null
+        };
+        added.push(category);
+        return category;
+    }
+
+    addCategories(categories) {
+        if (categories.length === 0) return;
+
+        this.categories.push(...categories);
+        this.save();
+        this.refresh();
+    }
+
+    refresh() {
+        this.updateCategorySelect();
+        this.renderList();
+        this.applyToMap();
+    }
+
+    /**
+     * Update the map's category layers and legend, then restyle the saved pins
+     */
+    applyToMap() {
+        if (window.mapManager) {
+            window.mapManager.setCategories(this.categories);
+        }
+        if (window.pinManager) {
+            window.pinManager.refreshCategoryMarkers();
+        }
+    }
+
+    updateCategorySelect() {
+        const select = document.getElementById('pin-category-select');
+        const current = select.value;
+
+        select.innerHTML = '<option value="">No category</option>';
+        this.categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = `${category.icon} ${category.name}`;
+            select.appendChild(option);
+        });
+
+        select.value = this.getCategory(current) ? current : '';
+    }
+
+    /**
+     * Select a pin's category in the modal. A new pin gets the last category used.
+     */
+    showCategoryForPin(pin) {
+        const categoryId = pin ? pin.categoryId : localStorage.getItem('lastCategoryId');
+        document.getElementById('pin-category-select').value = this.getCategory(categoryId) ? categoryId : '';
+        return this.getSelectedCategory();
+    }
+
+    getSelectedCategory() {
+        return this.getCategory(document.getElementById('pin-category-select').value);
+    }
+
+    /**
+     * Switch the modal to the category's default form, keeping any answers
+     * that fit it. A saved location keeps the form it was filled in with.
+     */
+    applyDefaultForm(category) {
+        const formManager = window.formManager;
+        if (!category || !category.formId || !formManager || !formManager.getForm(category.formId)) return;
+
+        const pin = window.pinManager ? window.pinManager.currentPin : null;
+        if (pin && pin.formId && window.pinManager.isSavedLocation(pin)) return;
+        if (formManager.activeForm && formManager.activeForm.schema.id === category.formId) return;
+
+        formManager.showForm(category.formId, formManager.activeForm ? formManager.activeForm.getValues() : {});
+        localStorage.setItem('lastFormId', category.formId);
+    }
+
+    showStatus(message, type = 'info', autoClear = true) {
+        if (window.app) {
+            window.app.showStatus(message, type);
+            if (autoClear) {
+                setTimeout(() => window.app.clearStatus(), 3000);
+            }
+        }
+    }
+}
+
+// Initialize category manager when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.categoryManager = new CategoryManager();
+});
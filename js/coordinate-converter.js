@@ -0,0 +1,157 @@
+// Coordinate Converter - Formats WGS84 positions as decimal degrees, DMS,
+// UTM or MGRS for display. Conversions run on the device; stored and
+// exported coordinates stay in WGS84 decimal degrees.
+class CoordinateConverter {
+    constructor() {
+        // WGS84 ellipsoid and the UTM projection constants
+        this.a = 6378137;
+        this.f = 1 / 298.257223563;
+        this.k0 = 0.9996;
+        this.falseEasting = 500000;
+        this.falseNorthingSouth = 10000000;
+
+        this.bandLetters = 'CDEFGHJKLMNPQRSTUVWXX';
+        this.mgrsColumnLetters = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+        this.mgrsRowLetters = 'ABCDEFGHJKLMNPQRSTUV';
+
+        this.formats = {
+            dd: 'Decimal degrees',
+            dms: 'Degrees, minutes, seconds',
+            utm: 'UTM',
+            mgrs: 'MGRS'
+        };
+    }
+
+    /**
+     * The format chosen in Settings
+     */
+    getFormat() {
+        const format = window.settingsManager ? window.settingsManager.get('coordinateFormat') : 'dd';
+        return format in this.formats ? format : 'dd';
+    }
+
+    /**
+     * Labelled parts of a position, e.g. [['Lat', '39.740000'], ['Lon', '-104.990000']]
+     * or [['UTM', '13S 500000E 4398850N']]. UTM and MGRS do not reach the
+     * poles (beyond 84°N / 80°S), where decimal degrees are used instead.
+     */
+    describe(lat, lon, format = this.getFormat()) {
+        if (format === 'utm') {
+            const utm = this.toUtm(lat, lon);
+            if (utm) return [['UTM', this.formatUtm(utm)]];
+        } else if (format === 'mgrs') {
+            const mgrs = this.toMgrs(lat, lon);
+            if (mgrs) return [['MGRS', mgrs]];
+        } else if (format === 'dms') {
+            return [['Lat', this.toDms(lat, 'NS')], ['Lon', this.toDms(lon, 'EW')]];
+        }
+
+        return [['Lat', lat.toFixed(6)], ['Lon', lon.toFixed(6)]];
+    }
+
+    /**
+     * One line: "39.740000, -104.990000", or "MGRS 13S DE 00000 98850"
+     */
+    format(lat, lon, format = this.getFormat()) {
+        const parts = this.describe(lat, lon, format);
+        return parts.length === 2
+            ? `${parts[0][1]}, ${parts[1][1]}`
+            : `${parts[0][0]} ${parts[0][1]}`;
+    }
+
+    /**
+     * 39°44'24.00"N; hundredths of a second are about 0.3 m
+     */
+    toDms(value, hemispheres) {
+        const hemisphere = value >= 0 ? hemispheres[0] : hemispheres[1];
+        let hundredths = Math.round(Math.abs(value) * 360000);
+        const degrees = Math.floor(hundredths / 360000);
+        hundredths -= degrees * 360000;
+        const minutes = Math.floor(hundredths / 6000);
+        const seconds = (hundredths - minutes * 6000) / 100;
+
+        return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.toFixed(2).padStart(5, '0')}"${hemisphere}`;
+    }
+
+    /**
+     * UTM zone, latitude band and easting/northing in meters, or null
+     * outside 80°S to 84°N. Uses Krüger's series, accurate to well under
+     * a millimeter within a zone.
+     */
+    toUtm(lat, lon) {
+        if (lat < -80 || lat > 84) return null;
+
+        lon = ((lon + 180) % 360 + 360) % 360 - 180;
+        let zone = Math.min(60, Math.floor((lon + 180) / 6) + 1);
+
+        // Norway and Svalbard use wider zones
+        if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) zone = 32;
+        if (lat >= 72) {
+            if (lon >= 0 && lon < 9) zone = 31;
+            else if (lon >= 9 && lon < 21) zone = 33;
+            else if (lon >= 21 && lon < 33) zone = 35;
+            else if (lon >= 33 && lon < 42) zone = 37;
+        }
+
+        const toRad = Math.PI / 180;
+        const phi = lat * toRad;
+        const lambda = (lon - (zone * 6 - 183)) * toRad;
+
+        const n = this.f / (2 - this.f);
+        const A = this.a / (1 + n) * (1 + n * n / 4 + n * n * n * n / 64);
+        const alpha = [
+            n / 2 - 2 * n * n / 3 + 5 * n * n * n / 16,
+            13 * n * n / 48 - 3 * n * n * n / 5,
+            61 * n * n * n / 240
+        ];
+
+        const c = 2 * Math.sqrt(n) / (1 + n);
+        const t = Math.sinh(Math.atanh(Math.sin(phi)) - c * Math.atanh(c * Math.sin(phi)));
+        const xi = Math.atan2(t, Math.cos(lambda));
+        const eta = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+        let easting = eta;
+        let northing = xi;
+        alpha.forEach((a, index) => {
+            const j = 2 * (index + 1);
+            easting += a * Math.cos(j * xi) * Math.sinh(j * eta);
+            northing += a * Math.sin(j * xi) * Math.cosh(j * eta);
+        });
+
+        return {
+            zone: zone,
+            band: this.bandLetters[Math.floor((lat + 80) / 8)],
+            hemisphere: lat >= 0 ? 'N' : 'S',
+            easting: this.falseEasting + this.k0 * A * easting,
+            northing: (lat < 0 ? this.falseNorthingSouth : 0) + this.k0 * A * northing
+        };
+    }
+
+    formatUtm(utm) {
+        return `${utm.zone}${utm.band} ${Math.round(utm.easting)}E ${Math.round(utm.northing)}N`;
+    }
+
+    /**
+     * MGRS grid reference, e.g. "13S DE 00000 98850". digits per axis:
+     * 5 = 1 m, 4 = 10 m, 3 = 100 m. Like a map reading, the numbers are
+     * truncated rather than rounded.
+     */
+    toMgrs(lat, lon, digits = 5) {
+        const utm = this.toUtm(lat, lon);
+        if (!utm) return null;
+
+        const column = Math.floor(utm.easting / 100000);
+        const row = Math.floor(utm.northing / 100000) % 20;
+        const columnLetter = this.mgrsColumnLetters[(utm.zone - 1) % 3][column - 1];
+        const rowLetter = this.mgrsRowLetters[(row + (utm.zone % 2 === 0 ? 5 : 0)) % 20];
+
+        const scale = Math.pow(10, 5 - digits);
+        const easting = String(Math.floor((utm.easting % 100000) / scale)).padStart(digits, '0');
+        const northing = String(Math.floor((utm.northing % 100000) / scale)).padStart(digits, '0');
+
+        return `${utm.zone}${utm.band} ${columnLetter}${rowLetter} ${easting} ${northing}`;
+    }
+}
+
+// Make available globally
+window.CoordinateConverter = CoordinateConverter;
@@ -0,0 +1,443 @@
+// EXIF Writer - Builds an Exif APP1 segment with GPS, orientation and time tags
+// and splices it into a JPEG. Written big-endian ("MM") per TIFF 6.0 / Exif 2.32.
+class ExifWriter {
+    constructor() {
+        this.TYPES = {
+            BYTE: 1,
+            ASCII: 2,
+            SHORT: 3,
+            LONG: 4,
+            RATIONAL: 5,
+            UNDEFINED: 7
+        };
+
+        this.TAGS = {
+            // IFD0
+            ImageDescription: 0x010E,
+            Orientation: 0x0112,
+            Software: 0x0131,
+            DateTime: 0x0132,
+            ExifIFDPointer: 0x8769,
+            GPSInfoIFDPointer: 0x8825,
+
+            // Exif IFD
+            ExifVersion: 0x9000,
+            DateTimeOriginal: 0x9003,
+            OffsetTime: 0x9010,
+            OffsetTimeOriginal: 0x9011,
+            UserComment: 0x9286,
+
+            // GPS IFD
+            GPSVersionID: 0x0000,
+            GPSLatitudeRef: 0x0001,
+            GPSLatitude: 0x0002,
+            GPSLongitudeRef: 0x0003,
+            GPSLongitude: 0x0004,
+            GPSAltitudeRef: 0x0005,
+            GPSAltitude: 0x0006,
+            GPSTimeStamp: 0x0007,
+            GPSMapDatum: 0x0012,
+            GPSImgDirectionRef: 0x0010,
+            GPSImgDirection: 0x0011,
+            GPSDestLatitudeRef: 0x0013,
+            GPSDestLatitude: 0x0014,
+            GPSDestLongitudeRef: 0x0015,
+            GPSDestLongitude: 0x0016,
+            GPSDateStamp: 0x001D,
+            GPSHPositioningError: 0x001F
+        };
+
+        // A JPEG segment length is a 16-bit value
+        this.MAX_SEGMENT_LENGTH = 0xFFFF;
+        this.MAX_COMMENT_LENGTH = 32000;
+    }
+
+    /**
+     * Return a copy of a JPEG data URL with an Exif block describing the capture
+     */
+    writeToDataUrl(jpegDataUrl, metadata) {
+        const jpeg = this.dataUrlToBytes(jpegDataUrl);
+        const tiff = this.buildTiff(metadata);
+        const output = this.insertExifSegment(jpeg, tiff);
+        return this.bytesToDataUrl(output, 'image/jpeg');
+    }
+
+    /**
+     * Build the three IFDs (IFD0, Exif, GPS) for a capture
+     */
+    buildTiff(metadata) {
+        const T = this.TAGS;
+        const Y = this.TYPES;
+        const exifDate = this.toExifDateTime(metadata.datetime);
+
+        const ifd0 = [
+            { tag: T.ImageDescription, type: Y.ASCII, value: 'Field survey photo' },
+            { tag: T.Orientation, type: Y.SHORT, value: [1] },
+            { tag: T.Software, type: Y.ASCII, value: 'Field Survey App' },
+            { tag: T.DateTime, type: Y.ASCII, value: exifDate }
+        ];
+
+        const exif = [
+            { tag: T.ExifVersion, type: Y.UNDEFINED, value: this.asciiBytes('0232') },
+            { tag: T.DateTimeOriginal, type: Y.ASCII, value: exifDate },
+            { tag: T.UserComment, type: Y.UNDEFINED, value: this.buildUserComment(metadata) }
+        ];
+
+        if (metadata.timezoneOffset) {
+            exif.push({ tag: T.OffsetTime, type: Y.ASCII, value: metadata.timezoneOffset });
+            exif.push({ tag: T.OffsetTimeOriginal, type: Y.ASCII, value: metadata.timezoneOffset });
+        }
+
+        const gps = this.buildGpsEntries(metadata);
+
+        return this.layoutTiff(ifd0, exif, gps);
+    }
+
+    /**
+     * The camera position goes in GPSLatitude/Longitude; the pin being
+     * photographed goes in GPSDestLatitude/Longitude when the two differ.
+     */
+    buildGpsEntries(metadata) {
+        const T = this.TAGS;
+        const Y = this.TYPES;
+        const hasUserPosition = metadata.userLatitude !== null && metadata.userLatitude !== undefined &&
+                                metadata.userLongitude !== null && metadata.userLongitude !== undefined;
+        const cameraLat = hasUserPosition ? metadata.userLatitude : metadata.latitude;
+        const cameraLon = hasUserPosition ? metadata.userLongitude : metadata.longitude;
+
+        const gps = [
+            { tag: T.GPSVersionID, type: Y.BYTE, value: [2, 3, 0, 0] },
+            { tag: T.GPSLatitudeRef, type: Y.ASCII, value: cameraLat >= 0 ? 'N' : 'S' },
+            { tag: T.GPSLatitude, type: Y.RATIONAL, value: this.toDmsRationals(cameraLat) },
+            { tag: T.GPSLongitudeRef, type: Y.ASCII, value: cameraLon >= 0 ? 'E' : 'W' },
+            { tag: T.GPSLongitude, type: Y.RATIONAL, value: this.toDmsRationals(cameraLon) },
+            { tag: T.GPSMapDatum, type: Y.ASCII, value: 'WGS-84' }
+        ];
+
+        if (typeof metadata.altitude === 'number') {
+            gps.push({ tag: T.GPSAltitudeRef, type: Y.BYTE, value: [metadata.altitude < 0 ? 1 : 0] });
+            gps.push({ tag: T.GPSAltitude, type: Y.RATIONAL, value: [this.toRational(Math.abs(metadata.altitude), 100)] });
+        }
+
+        if (typeof metadata.azimuth === 'number') {
+            // Rounded before wrapping, or 359.996 would be written as 360.00
+            // (EXIF allows 0 to 359.99)
+            const direction = ((Math.round(metadata.azimuth * 100) / 100 % 360) + 360) % 360;
+            gps.push({ tag: T.GPSImgDirectionRef, type: Y.ASCII, value: metadata.headingReference === 'true' ? 'T' : 'M' });
+            gps.push({ tag: T.GPSImgDirection, type: Y.RATIONAL, value: [this.toRational(direction, 100)] });
+        }
+
+        if (hasUserPosition) {
+            gps.push({ tag: T.GPSDestLatitudeRef, type: Y.ASCII, value: metadata.latitude >= 0 ? 'N' : 'S' });
+            gps.push({ tag: T.GPSDestLatitude, type: Y.RATIONAL, value: this.toDmsRationals(metadata.latitude) });
+            gps.push({ tag: T.GPSDestLongitudeRef, type: Y.ASCII, value: metadata.longitude >= 0 ? 'E' : 'W' });
+            gps.push({ tag: T.GPSDestLongitude, type: Y.RATIONAL, value: this.toDmsRationals(metadata.longitude) });
+        }
+
+        if (metadata.timestamp) {
+            const utc = new Date(metadata.timestamp);
+            const pad = (n) => String(n).padStart(2, '0');
+            gps.push({
+                tag: T.GPSTimeStamp,
+                type: Y.RATIONAL,
+                value: [[utc.getUTCHours(), 1], [utc.getUTCMinutes(), 1], [utc.getUTCSeconds(), 1]]
+            });
+            gps.push({
+                tag: T.GPSDateStamp,
+                type: Y.ASCII,
+                value: `${utc.getUTCFullYear()}:${pad(utc.getUTCMonth() + 1)}:${pad(utc.getUTCDate())}`
+            });
+        }
+
+        if (typeof metadata.accuracy === 'number') {
+            gps.push({ tag: T.GPSHPositioningError, type: Y.RATIONAL, value: [this.toRational(metadata.accuracy, 100)] });
+        }
+
+        return gps;
+    }
+
+    /**
+     * UserComment holds the pin data as JSON. Exif requires an 8-byte
+     * character code prefix; non-ASCII characters are \u-escaped so the
+     * comment stays valid 7-bit ASCII.
+     */
+    buildUserComment(metadata) {
+        const pinData = {
+            app: 'Field Survey App',
+            project: {
+                name: metadata.projectName,
+                client: metadata.client,
+                jobNumber: metadata.jobNumber
+            },
+            pin: {
+                latitude: metadata.latitude,
+                longitude: metadata.longitude,
+                source: metadata.positionSource,
+                accuracy: typeof metadata.positionAccuracy === 'number' ? Number(metadata.positionAccuracy.toFixed(1)) : undefined,
+                averagedFixes: metadata.occupation ? metadata.occupation.fixCount : undefined,
+                stdDev: metadata.occupation ? Number(metadata.occupation.stdDev.toFixed(2)) : undefined
+            },
+            camera: {
+                latitude: metadata.userLatitude,
+                longitude: metadata.userLongitude,
+                accuracy: metadata.accuracy,
+                altitude: metadata.altitude
+            },
+            azimuth: metadata.azimuth,
+            headingReference: metadata.headingReference,
+            declination: typeof metadata.declination === 'number' ? Number(metadata.declination.toFixed(2)) : undefined,
+            compass: metadata.compassState || undefined,
+            headingStdDev: typeof metadata.headingStdDev === 'number' ? Number(metadata.headingStdDev.toFixed(1)) : undefined,
+            elevation: metadata.elevation,
+            roll: typeof metadata.roll === 'number' ? metadata.roll : undefined,
+            datetime: metadata.datetime,
+            timezone: metadata.timezone
+        };
+
+        let json = this.toAsciiJson(pinData);
+        if (json.length > this.MAX_COMMENT_LENGTH) {
+            json = this.toAsciiJson({ app: pinData.app, pin: pinData.pin });
+        }
+
+        const prefix = [0x41, 0x53, 0x43, 0x49, 0x49, 0x00, 0x00, 0x00]; // "ASCII\0\0\0"
+        return prefix.concat(this.asciiBytes(json));
+    }
+
+    toAsciiJson(value) {
+        return JSON.stringify(value).replace(/[\u007f-\uffff]/g,
+            (char) => '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0'));
+    }
+
+    /**
+     * Lay out IFD0 -> Exif IFD -> GPS IFD and return the TIFF bytes
+     */
+    layoutTiff(ifd0Entries, exifEntries, gpsEntries) {
+        const T = this.TAGS;
+        const Y = this.TYPES;
+
+        // Pointer values are patched once the IFD offsets are known
+        const exifPointer = { tag: T.ExifIFDPointer, type: Y.LONG, value: [0] };
+        const gpsPointer = { tag: T.GPSInfoIFDPointer, type: Y.LONG, value: [0] };
+        const ifds = [
+            ifd0Entries.concat([exifPointer, gpsPointer]),
+            exifEntries,
+            gpsEntries
+        ].map(entries => entries
+            .map(entry => this.encodeEntry(entry))
+            .sort((a, b) => a.tag - b.tag));
+
+        const offsets = [];
+        let offset = 8; // TIFF header
+        ifds.forEach(entries => {
+            offsets.push(offset);
+            offset += this.ifdSize(entries);
+        });
+
+        exifPointer.value = [offsets[1]];
+        gpsPointer.value = [offsets[2]];
+        ifds[0] = ifds[0].map(entry => {
+            if (entry.tag === T.ExifIFDPointer) return this.encodeEntry(exifPointer);
+            if (entry.tag === T.GPSInfoIFDPointer) return this.encodeEntry(gpsPointer);
+            return entry;
+        });
+
+        const bytes = new Uint8Array(offset);
+        const view = new DataView(bytes.buffer);
+
+        // Header: big-endian, magic 42, IFD0 at offset 8
+        bytes[0] = 0x4D;
+        bytes[1] = 0x4D;
+        view.setUint16(2, 42);
+        view.setUint32(4, 8);
+
+        ifds.forEach((entries, i) => this.writeIfd(bytes, view, offsets[i], entries));
+
+        return bytes;
+    }
+
+    ifdSize(entries) {
+        const dataSize = entries.reduce((sum, entry) => {
+            return sum + (entry.bytes.length > 4 ? this.evenLength(entry.bytes.length) : 0);
+        }, 0);
+        return 2 + entries.length * 12 + 4 + dataSize;
+    }
+
+    writeIfd(bytes, view, start, entries) {
+        view.setUint16(start, entries.length);
+
+        let dataOffset = start + 2 + entries.length * 12 + 4;
+        entries.forEach((entry, i) => {
+            const position = start + 2 + i * 12;
+            view.setUint16(position, entry.tag);
+            view.setUint16(position + 2, entry.type);
+            view.setUint32(position + 4, entry.count);
+
+            if (entry.bytes.length <= 4) {
+                // Small values are stored left-justified in the offset field
+                bytes.set(entry.bytes, position + 8);
+            } else {
+                view.setUint32(position + 8, dataOffset);
+                bytes.set(entry.bytes, dataOffset);
+                dataOffset += this.evenLength(entry.bytes.length);
+            }
+        });
+
+        // No next IFD
+        view.setUint32(start + 2 + entries.length * 12, 0);
+    }
+
+    /**
+     * Convert an entry's value to big-endian bytes for its type
+     */
+    encodeEntry(entry) {
+        const Y = this.TYPES;
+        let bytes;
+        let count;
+
+        switch (entry.type) {
+            case Y.ASCII:
+                bytes = new Uint8Array(this.asciiBytes(entry.value).concat([0]));
+                count = bytes.length;
+                break;
+            case Y.BYTE:
+            case Y.UNDEFINED:
+                bytes = new Uint8Array(entry.value);
+                count = bytes.length;
+                break;
+            case Y.SHORT:
+                bytes = new Uint8Array(entry.value.length * 2);
+                entry.value.forEach((v, i) => new DataView(bytes.buffer).setUint16(i * 2, v));
+                count = entry.value.length;
+                break;
+            case Y.LONG:
+                bytes = new Uint8Array(entry.value.length * 4);
+                entry.value.forEach((v, i) => new DataView(bytes.buffer).setUint32(i * 4, v));
+                count = entry.value.length;
+                break;
+            case Y.RATIONAL:
+                bytes = new Uint8Array(entry.value.length * 8);
+                entry.value.forEach(([numerator, denominator], i) => {
+                    const view = new DataView(bytes.buffer);
+                    view.setUint32(i * 8, numerator);
+                    view.setUint32(i * 8 + 4, denominator);
+                });
+                count = entry.value.length;
+                break;
+            default:
+                throw new Error(`Unsupported EXIF type ${entry.type}`);
+        }
+
+        return { tag: entry.tag, type: entry.type, count: count, bytes: bytes };
+    }
+
+    /**
+     * Remove any existing Exif APP1 and insert ours after SOI (and JFIF APP0)
+     */
+    insertExifSegment(jpeg, tiff) {
+        if (jpeg[0] !== 0xFF || jpeg[1] !== 0xD8) {
+            throw new Error('Not a JPEG image');
+        }
+
+        const header = this.asciiBytes('Exif').concat([0, 0]);
+        const segmentLength = 2 + header.length + tiff.length;
+        if (segmentLength > this.MAX_SEGMENT_LENGTH) {
+            throw new Error('EXIF data too large for a single APP1 segment');
+        }
+
+        const segment = new Uint8Array(2 + segmentLength);
+        segment[0] = 0xFF;
+        segment[1] = 0xE1;
+        segment[2] = segmentLength >> 8;
+        segment[3] = segmentLength & 0xFF;
+        segment.set(header, 4);
+        segment.set(tiff, 4 + header.length);
+
+        const kept = [jpeg.subarray(0, 2)];
+        let insertAt = 1;
+        let position = 2;
+
+        // Walk the marker segments up to the start of scan
+        while (position + 4 <= jpeg.length && jpeg[position] === 0xFF) {
+            const marker = jpeg[position + 1];
+            if (marker === 0xDA) break;
+
+            const length = (jpeg[position + 2] << 8) | jpeg[position + 3];
+            const segmentBytes = jpeg.subarray(position, position + 2 + length);
+            const isExif = marker === 0xE1 &&
+                String.fromCharCode(...segmentBytes.subarray(4, 8)) === 'Exif';
+
+            if (!isExif) {
+                kept.push(segmentBytes);
+                if (marker === 0xE0) insertAt = kept.length;
+            }
+            position += 2 + length;
+        }
+
+        kept.splice(insertAt, 0, segment);
+        kept.push(jpeg.subarray(position));
+
+        const total = kept.reduce((sum, part) => sum + part.length, 0);
+        const output = new Uint8Array(total);
+        let offset = 0;
+        kept.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+
+        return output;
+    }
+
+    toDmsRationals(decimal) {
+        const absolute = Math.abs(decimal);
+        const degrees = Math.floor(absolute);
+        const minutesFloat = (absolute - degrees) * 60;
+        const minutes = Math.floor(minutesFloat);
+        const seconds = (minutesFloat - minutes) * 60;
+
+        return [[degrees, 1], [minutes, 1], this.toRational(seconds, 10000)];
+    }
+
+    toRational(value, denominator) {
+        return [Math.round(value * denominator), denominator];
+    }
+
+    /**
+     * "YYYY-MM-DD HH:MM:SS" -> "YYYY:MM:DD HH:MM:SS"
+     */
+    toExifDateTime(datetime) {
+        return datetime.replace(/^(\d{4})-(\d{2})-(\d{2})/, '$1:$2:$3');
+    }
+
+    evenLength(length) {
+        return length + (length % 2);
+    }
+
+    asciiBytes(text) {
+        const bytes = [];
+        for (let i = 0; i < text.length; i++) {
+            bytes.push(text.charCodeAt(i) & 0x7F);
+        }
+        return bytes;
+    }
+
+    dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    bytesToDataUrl(bytes, mimeType) {
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return `data:${mimeType};base64,${btoa(binary)}`;
+    }
+}
+
+// Make available globally
+window.ExifWriter = ExifWriter;
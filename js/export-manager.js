@@ -0,0 +1,523 @@
+// Export Manager - Survey tools menu with export and import of saved locations
+class ExportManager {
+    constructor() {
+        this.metadataHandler = new MetadataHandler();
+        this.geoJsonHandler = new GeoJsonHandler(this.metadataHandler);
+        this.kmlHandler = new KmlHandler(this.metadataHandler);
+        this.gpxHandler = new GpxHandler();
+        this.reportHandler = new ReportHandler(this.metadataHandler);
+        this.bundleHandler = new BundleHandler(this.metadataHandler);
+        this.tableHandler = new TableHandler(this.metadataHandler);
+        this.tableColumns = [];
+        this.init();
+    }
+
+    init() {
+        console.log('Export Manager initialized');
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('tools-btn').addEventListener('click', () => {
+            this.openModal();
+        });
+
+        document.getElementById('close-tools-modal').addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        document.getElementById('tools-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'tools-modal') {
+                this.closeModal();
+            }
+        });
+
+        document.getElementById('export-geojson-btn').addEventListener('click', () => {
+            this.exportGeoJson();
+        });
+
+        document.getElementById('export-kmz-btn').addEventListener('click', () => {
+            this.exportKmz();
+        });
+
+        document.getElementById('export-gpx-btn').addEventListener('click', () => {
+            this.exportGpx();
+        });
+
+        document.getElementById('export-pdf-btn').addEventListener('click', () => {
+            this.exportPdf();
+        });
+
+        document.getElementById('export-bundle-btn').addEventListener('click', () => {
+            this.exportSurveyBundle();
+        });
+
+        document.getElementById('export-table-btn').addEventListener('click', () => {
+            this.openTableModal();
+        });
+
+        document.getElementById('close-table-modal').addEventListener('click', () => {
+            this.closeTableModal();
+        });
+
+        document.getElementById('table-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'table-modal') {
+                this.closeTableModal();
+            }
+        });
+
+        document.getElementById('table-reset-columns-btn').addEventListener('click', () => {
+            window.settingsManager.set('tableColumns', null);
+            this.tableColumns = this.tableHandler.resolveColumns(null, this.tableHandler.getColumns(this.getSavedLocations()));
+            this.renderTableColumns();
+        });
+
+        document.getElementById('table-export-btn').addEventListener('click', () => {
+            this.exportTable();
+        });
+
+        document.getElementById('import-geojson-btn').addEventListener('click', () => {
+            document.getElementById('import-geojson-input').click();
+        });
+
+        document.getElementById('import-geojson-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importGeoJson(file);
+            }
+        });
+    }
+
+    openModal() {
+        document.getElementById('tools-modal').classList.add('active');
+    }
+
+    closeModal() {
+        document.getElementById('tools-modal').classList.remove('active');
+    }
+
+    getActiveProject() {
+        return window.projectManager ? window.projectManager.getActiveProjectInfo() : null;
+    }
+
+    getSavedLocations() {
+        return window.pinManager ? window.pinManager.savedLocations : [];
+    }
+
+    exportGeoJson() {
+        const locations = this.getSavedLocations();
+        if (locations.length === 0) {
+            alert('No saved locations to export');
+            return;
+        }
+
+        const measurements = window.measurementManager ? window.measurementManager.getMeasurements() : [];
+        const collection = this.geoJsonHandler.createFeatureCollection(locations, this.getActiveProject(), measurements);
+        const blob = new Blob([JSON.stringify(collection, null, 2)], { type: 'application/geo+json' });
+        this.downloadBlob(blob, this.createExportFilename('geojson'));
+
+        this.showStatus(`Exported ${locations.length} locations` +
+            (measurements.length ? ` and ${measurements.length} measurement${measurements.length === 1 ? '' : 's'}` : '') +
+            ' to GeoJSON', 'success');
+    }
+
+    /**
+     * KMZ = zipped doc.kml plus the overlaid photos under files/
+     */
+    async exportKmz() {
+        const locations = this.getSavedLocations();
+        if (locations.length === 0) {
+            alert('No saved locations to export');
+            return;
+        }
+
+        const button = document.getElementById('export-kmz-btn');
+        button.disabled = true;
+        this.showStatus('Building KMZ...', 'info', false);
+
+        try {
+            const zip = new ZipWriter();
+            const photoFiles = await this.collectPhotoFiles(locations, 'files/');
+            const photoPaths = new Map(photoFiles.map(file => [file.photo.id, file.path]));
+            const kml = this.kmlHandler.createKml(locations, this.getActiveProject(), photoPaths);
+
+            // Google Earth reads the first .kml entry in the archive
+            await zip.addFile('doc.kml', kml);
+            for (const file of photoFiles) {
+                await zip.addFile(file.path, file.photo.blob, new Date(file.photo.metadata.timestamp || Date.now()));
+            }
+
+            this.downloadBlob(zip.toBlob('application/vnd.google-earth.kmz'), this.createExportFilename('kmz'));
+            this.showStatus(`Exported ${locations.length} locations and ${photoFiles.length} photos to KMZ`, 'success');
+        } catch (error) {
+            console.error('Error exporting KMZ:', error);
+            this.showStatus(`⚠️ KMZ export failed: ${error.message}`, 'error', false);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * GPX of the project's recorded tracks, optionally with saved locations
+     * as waypoints and routes
+     */
+    exportGpx() {
+        const tracks = window.trackRecorder ? window.trackRecorder.getTracks() : [];
+        const includePins = document.getElementById('gpx-include-pins').checked;
+        const locations = includePins ? this.getSavedLocations() : [];
+
+        if (tracks.length === 0 && locations.length === 0) {
+            alert('No GPS tracks recorded for this project');
+            return;
+        }
+
+        const gpx = this.gpxHandler.createGpx(tracks, locations, this.getActiveProject());
+        const blob = new Blob([gpx], { type: 'application/gpx+xml' });
+        this.downloadBlob(blob, this.createExportFilename('gpx'));
+
+        this.showStatus(`Exported ${tracks.length} track${tracks.length === 1 ? '' : 's'}` +
+            (includePins ? ` and ${locations.length} saved location${locations.length === 1 ? '' : 's'}` : '') + ' to GPX', 'success');
+    }
+
+    /**
+     * One PDF with a cover, a map overview and a section per location
+     */
+    async exportPdf() {
+        const locations = this.getSavedLocations();
+        if (locations.length === 0) {
+            alert('No saved locations to export');
+            return;
+        }
+
+        const button = document.getElementById('export-pdf-btn');
+        button.disabled = true;
+        this.showStatus('Building PDF report...', 'info', false);
+
+        try {
+            const blob = await this.reportHandler.createReport(locations, this.getActiveProject());
+            this.downloadBlob(blob, this.createExportFilename('pdf'));
+            this.showStatus(`Exported a report of ${locations.length} locations to PDF`, 'success');
+        } catch (error) {
+            console.error('Error exporting PDF:', error);
+            this.showStatus(`⚠️ PDF export failed: ${error.message}`, 'error', false);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * The whole survey as one ZIP: overlaid photos, originals as taken, a
+     * JSON metadata file per photo, locations.json and manifest.json
+     */
+    async exportSurveyBundle() {
+        const locations = this.getSavedLocations();
+        if (locations.length === 0) {
+            alert('No saved locations to export');
+            return;
+        }
+
+        const button = document.getElementById('export-bundle-btn');
+        button.disabled = true;
+        this.showStatus('Building survey ZIP...', 'info', false);
+
+        try {
+            const zip = new ZipWriter();
+            const project = this.getActiveProject();
+            const files = [];
+            const addFile = async (path, content, date) => {
+                files.push({ path: path, data: await zip.addFile(path, content, date) });
+            };
+
+            const photoFiles = await this.collectPhotoFiles(locations);
+            const photoPaths = new Map();
+            for (const file of photoFiles) {
+                const paths = this.bundleHandler.getPhotoPaths(file.photo, file.path);
+                const date = new Date(file.photo.metadata.timestamp || Date.now());
+                photoPaths.set(file.photo.id, paths);
+
+                await addFile(paths.photo, file.photo.blob, date);
+                if (paths.original) {
+                    await addFile(paths.original, file.photo.originalBlob, date);
+                }
+                const metadata = this.bundleHandler.createPhotoMetadata(file.location, file.photo, paths);
+                await addFile(paths.metadata, JSON.stringify(metadata, null, 2), date);
+            }
+
+            const index = this.bundleHandler.createLocationsIndex(locations, project, photoPaths);
+            await addFile('locations.json', JSON.stringify(index, null, 2));
+
+            const manifest = await this.bundleHandler.createManifest(files, project);
+            await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+
+            this.downloadBlob(zip.toBlob(), this.createExportFilename('zip'));
+            this.showStatus(`Exported ${locations.length} locations and ${photoFiles.length} photos to ZIP`, 'success');
+        } catch (error) {
+            console.error('Error exporting survey ZIP:', error);
+            this.showStatus(`⚠️ Survey ZIP export failed: ${error.message}`, 'error', false);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Spreadsheet of the saved locations and their photos, with the columns,
+     * units and coordinate format chosen in the spreadsheet dialog
+     */
+    async exportTable() {
+        const locations = this.getSavedLocations();
+        if (locations.length === 0) {
+            alert('No saved locations to export');
+            return;
+        }
+        if (!this.tableColumns.some(column => column.enabled)) {
+            alert('Choose at least one column to export');
+            return;
+        }
+
+        const settings = window.settingsManager;
+        const fileFormat = settings.get('tableFileFormat') === 'xlsx' ? 'xlsx' : 'csv';
+        const project = this.getActiveProject();
+        const button = document.getElementById('table-export-btn');
+        button.disabled = true;
+
+        try {
+            const rows = this.tableHandler.createRows(locations, this.tableColumns, {
+                units: settings.get('tableUnits'),
+                coordinateFormat: settings.get('tableCoordinateFormat'),
+                photoNames: this.getPhotoPaths(locations),
+                project: project
+            });
+
+            let blob;
+            if (fileFormat === 'xlsx') {
+                const workbook = new XlsxWriter();
+                workbook.addSheet(project ? project.name : 'Field Survey', rows);
+                blob = await workbook.toBlob();
+            } else {
+                blob = new Blob([this.tableHandler.toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+            }
+
+            this.downloadBlob(blob, this.createExportFilename(fileFormat));
+            this.showStatus(`Exported ${rows.length - 1} row${rows.length === 2 ? '' : 's'} to ${fileFormat.toUpperCase()}`, 'success');
+            this.closeTableModal();
+        } catch (error) {
+            console.error('Error exporting spreadsheet:', error);
+            this.showStatus(`⚠️ Spreadsheet export failed: ${error.message}`, 'error', false);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    openTableModal() {
+        const locations = this.getSavedLocations();
+        if (locations.length === 0) {
+            alert('No saved locations to export');
+            return;
+        }
+
+        this.closeModal();
+        this.tableColumns = this.tableHandler.resolveColumns(
+            window.settingsManager.get('tableColumns'),
+            this.tableHandler.getColumns(locations)
+        );
+        window.settingsManager.renderInputs();
+        this.renderTableColumns();
+        document.getElementById('table-modal').classList.add('active');
+    }
+
+    closeTableModal() {
+        document.getElementById('table-modal').classList.remove('active');
+    }
+
+    renderTableColumns() {
+        const list = document.getElementById('table-column-list');
+        list.innerHTML = '';
+
+        this.tableColumns.forEach((column, index) => {
+            const item = document.createElement('li');
+            item.className = 'project-item table-column';
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = column.enabled;
+            enabled.title = 'Export this column';
+            enabled.addEventListener('change', () => {
+                column.enabled = enabled.checked;
+                this.saveTableColumns();
+            });
+
+            const info = document.createElement('div');
+            info.className = 'project-item-info';
+
+            const header = document.createElement('input');
+            header.type = 'text';
+            header.className = 'pin-name-input';
+            header.value = column.header;
+            header.addEventListener('change', () => {
+                column.header = header.value.trim() || column.label;
+                header.value = column.header;
+                this.saveTableColumns();
+            });
+            info.appendChild(header);
+
+            const details = document.createElement('span');
+            details.className = 'project-item-details';
+            details.textContent = `${this.tableHandler.groups[column.group]} · ${column.label}`;
+            info.appendChild(details);
+
+            const actions = document.createElement('div');
+            actions.className = 'project-item-actions';
+            [['▲', -1, 'Move up'], ['▼', 1, 'Move down']].forEach(([symbol, offset, title]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-light';
+                button.textContent = symbol;
+                button.title = title;
+                button.disabled = !this.tableColumns[index + offset];
+                button.addEventListener('click', () => this.moveTableColumn(index, offset));
+                actions.appendChild(button);
+            });
+
+            item.appendChild(enabled);
+            item.appendChild(info);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    moveTableColumn(index, offset) {
+        const target = index + offset;
+        if (!this.tableColumns[target]) return;
+
+        [this.tableColumns[index], this.tableColumns[target]] = [this.tableColumns[target], this.tableColumns[index]];
+        this.saveTableColumns();
+        this.renderTableColumns();
+    }
+
+    saveTableColumns() {
+        const previous = window.settingsManager.get('tableColumns');
+        window.settingsManager.set('tableColumns', this.tableHandler.createMapping(this.tableColumns, previous));
+    }
+
+    /**
+     * Load every photo of the given locations along with its archive path
+     */
+    async collectPhotoFiles(locations, folder = '') {
+        const paths = this.getPhotoPaths(locations, folder);
+        const files = [];
+
+        for (const location of locations) {
+            for (const photo of location.photos || []) {
+                await window.pinManager.loadPhotoData(photo);
+                files.push({ location: location, photo: photo, path: paths.get(photo.id) });
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Unique path per photo id built from createMetadataFilename(), so
+     * every export names the same photo the same way
+     */
+    getPhotoPaths(locations, folder = '') {
+        const paths = new Map();
+        const usedPaths = new Set();
+
+        locations.forEach(location => {
+            (location.photos || []).forEach(photo => {
+                const filename = this.metadataHandler.createMetadataFilename(photo.metadata);
+                let path = folder + filename;
+                for (let n = 2; usedPaths.has(path); n++) {
+                    path = folder + filename.replace(/\.jpg$/, `_${n}.jpg`);
+                }
+                usedPaths.add(path);
+                paths.set(photo.id, path);
+            });
+        });
+
+        return paths;
+    }
+
+    async importGeoJson(file) {
+        if (!window.pinManager) return;
+
+        let result;
+        try {
+            const text = await file.text();
+            const allLocations = await window.surveyStore.getAllLocations();
+            result = this.geoJsonHandler.parseLocations(
+                text,
+                this.getSavedLocations(),
+                new Set(allLocations.map(loc => loc.id))
+            );
+        } catch (error) {
+            console.error('Error reading GeoJSON:', error);
+            this.showStatus(`⚠️ Import failed: ${error.message}`, 'error', false);
+            return;
+        }
+
+        if (result.locations.length > 0) {
+            const imported = await window.pinManager.importLocations(result.locations);
+            if (!imported) return;
+        }
+
+        const summary = [`Imported ${result.locations.length} location${result.locations.length === 1 ? '' : 's'}`];
+        if (result.duplicates.length) summary.push(`${result.duplicates.length} duplicate(s) skipped`);
+        if (result.invalid.length) summary.push(`${result.invalid.length} invalid geometr${result.invalid.length === 1 ? 'y' : 'ies'} skipped`);
+
+        const hasProblems = result.duplicates.length > 0 || result.invalid.length > 0;
+        this.showStatus(summary.join(' · '), hasProblems ? 'warning' : 'success', !hasProblems);
+
+        if (hasProblems) {
+            const details = []
+                .concat(result.duplicates.map(d => `• ${d.name}: already saved`))
+                .concat(result.invalid.map(i => `• ${i.name}: ${i.reason}`));
+            alert(`${summary.join('\n')}\n\n${details.join('\n')}`);
+        }
+
+        this.closeModal();
+    }
+
+    /**
+     * "<project>_<YYYY-MM-DD>.<extension>" with filesystem-safe characters only
+     */
+    createExportFilename(extension) {
+        const project = this.getActiveProject();
+        const base = (project ? project.name : 'field-survey')
+            .replace(/[^a-z0-9-_]+/gi, '_')
+            .replace(/^_+|_+$/g, '') || 'field-survey';
+        const date = new Date().toISOString().slice(0, 10);
+
+        return `${base}_${date}.${extension}`;
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser time to start the download before releasing it
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    showStatus(message, type = 'info', autoClear = true) {
+        if (window.app) {
+            window.app.showStatus(message, type);
+            if (autoClear) {
+                setTimeout(() => window.app.clearStatus(), 3000);
+            }
+        }
+    }
+}
+
+// Initialize export manager when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.exportManager = new ExportManager();
+});
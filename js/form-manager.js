@@ -0,0 +1,216 @@
+// Form Manager - Loads survey form definitions and shows the selected form in the pin modal
+class FormManager {
+    constructor() {
+        this.builtInFormUrls = ['forms/general-survey.json'];
+        this.forms = [];
+        this.activeForm = null;
+        this.ready = this.init();
+        this.ready.catch(error => console.error('Error loading survey forms:', error));
+    }
+
+    async init() {
+        console.log('Initializing Form Manager...');
+        this.setupEventListeners();
+
+        const builtIn = await Promise.all(this.builtInFormUrls.map(url => this.fetchForm(url)));
+        this.forms = builtIn.filter(Boolean).map(schema => Object.assign({ builtIn: true }, schema));
+
+        this.loadCustomForms().forEach(schema => this.addForm(schema));
+        this.updateFormSelect();
+        return this.forms;
+    }
+
+    setupEventListeners() {
+        document.getElementById('pin-form-select').addEventListener('change', (e) => {
+            this.showForm(e.target.value, this.activeForm ? this.activeForm.getValues() : {});
+
+            // Only remembered once it rendered, so a broken form is not reopened
+            localStorage.setItem('lastFormId', e.target.value);
+        });
+
+        document.getElementById('import-form-btn').addEventListener('click', () => {
+            document.getElementById('import-form-input').click();
+        });
+
+        document.getElementById('import-form-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importForm(file);
+            }
+        });
+    }
+
+    async fetchForm(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const schema = await response.json();
+            SurveyForm.validateSchema(schema);
+            return schema;
+        } catch (error) {
+            console.error(`Error loading form ${url}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Forms imported by the user are small, so they live in localStorage
+     */
+    loadCustomForms() {
+        try {
+            return JSON.parse(localStorage.getItem('customForms') || '[]');
+        } catch (error) {
+            console.error('Error reading custom forms:', error);
+            return [];
+        }
+    }
+
+    saveCustomForms() {
+        const custom = this.forms.filter(form => !form.builtIn);
+        localStorage.setItem('customForms', JSON.stringify(custom));
+    }
+
+    addForm(schema) {
+        try {
+            SurveyForm.validateSchema(schema);
+        } catch (error) {
+            console.error(`Skipping invalid form "${schema && schema.id}":`, error);
+            return false;
+        }
+
+        // A custom form with a built-in id replaces the built-in one
+        this.forms = this.forms.filter(form => form.id !== schema.id);
+        this.forms.push(schema);
+        return true;
+    }
+
+    async importForm(file) {
+        try {
+            const schema = JSON.parse(await file.text());
+            SurveyForm.validateSchema(schema);
+
+            delete schema.builtIn;
+            this.addForm(schema);
+            this.saveCustomForms();
+            this.updateFormSelect();
+            this.showStatus(`Form "${schema.name}" imported`, 'success');
+        } catch (error) {
+            console.error('Error importing form:', error);
+            this.showStatus(`⚠️ Form import failed: ${error.message}`, 'error', false);
+        }
+    }
+
+    getForm(formId) {
+        return this.forms.find(form => form.id === formId) || null;
+    }
+
+    updateFormSelect() {
+        const select = document.getElementById('pin-form-select');
+        const current = select.value;
+
+        select.innerHTML = '<option value="">No form</option>';
+        this.forms.forEach(form => {
+            const option = document.createElement('option');
+            option.value = form.id;
+            option.textContent = form.name;
+            select.appendChild(option);
+        });
+
+        select.value = this.getForm(current) ? current : '';
+    }
+
+    /**
+     * Show a form in the pin modal. A new pin gets the last form used.
+     */
+    showForm(formId, values = {}) {
+        const container = document.getElementById('survey-form-fields');
+        const select = document.getElementById('pin-form-select');
+        const schema = this.getForm(formId);
+
+        select.value = schema ? schema.id : '';
+        this.activeForm = null;
+        container.innerHTML = '';
+
+        if (schema) {
+            this.activeForm = new SurveyForm(schema);
+            this.activeForm.render(container, values);
+        } else if (formId) {
+            const notice = document.createElement('p');
+            notice.className = 'no-photo-text';
+            notice.textContent = `Form "${formId}" is not available on this device`;
+            container.appendChild(notice);
+        }
+    }
+
+    showFormForPin(pin) {
+        if (pin && pin.formId !== undefined) {
+            this.showForm(pin.formId, pin.formData || {});
+        } else {
+            this.showForm(localStorage.getItem('lastFormId') || '');
+        }
+    }
+
+    /**
+     * Validate the modal's form and return { valid, formId, values }
+     */
+    collect(pin = null) {
+        if (!this.activeForm) {
+            // Keep answers to a form this device does not have
+            if (pin && pin.formId && !this.getForm(pin.formId)) {
+                return { valid: true, formId: pin.formId, values: pin.formData || {} };
+            }
+            return { valid: true, formId: null, values: {} };
+        }
+
+        const errors = this.activeForm.validate();
+        return {
+            valid: errors.length === 0,
+            errors: errors,
+            formId: this.activeForm.schema.id,
+            values: this.activeForm.getValues()
+        };
+    }
+
+    /**
+     * { formName, fields: [[label, value]] } for a location's stored answers,
+     * or null when it has none
+     */
+    describeAnswers(formId, values) {
+        if (!formId || !values || Object.keys(values).length === 0) return null;
+
+        const schema = this.getForm(formId);
+        return {
+            formId: formId,
+            formName: schema ? schema.name : formId,
+            fields: SurveyForm.describeAnswers(schema, values)
+        };
+    }
+
+    describeLocationAnswers(location) {
+        return location ? this.describeAnswers(location.formId, location.formData) : null;
+    }
+
+    /**
+     * Answers currently typed into the modal (may not be saved yet)
+     */
+    describeCurrentAnswers() {
+        if (!this.activeForm) return null;
+        return this.describeAnswers(this.activeForm.schema.id, this.activeForm.getValues());
+    }
+
+    showStatus(message, type = 'info', autoClear = true) {
+        if (window.app) {
+            window.app.showStatus(message, type);
+            if (autoClear) {
+                setTimeout(() => window.app.clearStatus(), 3000);
+            }
+        }
+    }
+}
+
+// Initialize form manager when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.formManager = new FormManager();
+});
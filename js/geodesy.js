@@ -0,0 +1,257 @@
+// Geodesy - Distances, bearings and areas on the WGS84 ellipsoid, for
+// measuring between pins. Coordinates are decimal degrees, results meters.
+class Geodesy {
+    constructor() {
+        this.a = 6378137;
+        this.f = 1 / 298.257223563;
+        this.b = this.a * (1 - this.f);
+        this.e2 = this.f * (2 - this.f);
+
+        // Radius of the sphere with the same surface area as the ellipsoid
+        const e = Math.sqrt(this.e2);
+        this.authalicRadius = Math.sqrt(this.a * this.a / 2 *
+            (1 + (1 - this.e2) / (2 * e) * Math.log((1 + e) / (1 - e))));
+    }
+
+    /**
+     * Distance and initial/final bearings (degrees from true north) between
+     * two points, by Vincenty's inverse formula. Nearly antipodal points,
+     * where the iteration may not converge, fall back to a sphere.
+     */
+    inverse(lat1, lon1, lat2, lon2) {
+        const toRad = Math.PI / 180;
+        const { a, b, f } = this;
+
+        const L = this.normalizeLongitude(lon2 - lon1) * toRad;
+        const U1 = Math.atan((1 - f) * Math.tan(lat1 * toRad));
+        const U2 = Math.atan((1 - f) * Math.tan(lat2 * toRad));
+        const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+        let lambda = L;
+        let sinLambda, cosLambda, sinSigma, cosSigma, sigma, cos2Alpha, cos2SigmaM;
+        let converged = false;
+
+        for (let i = 0; i < 200; i++) {
+            sinLambda = Math.sin(lambda);
+            cosLambda = Math.cos(lambda);
+            const x = cosU2 * sinLambda;
+            const y = cosU1 * sinU2 - sinU1 * cosU2 * cosLambda;
+            sinSigma = Math.sqrt(x * x + y * y);
+
+            if (sinSigma === 0) {
+                return { distance: 0, initialBearing: null, finalBearing: null };
+            }
+
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cos2Alpha = 1 - sinAlpha * sinAlpha;
+            // Both points on the equator
+            cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+
+            const C = f / 16 * cos2Alpha * (4 + f * (4 - 3 * cos2Alpha));
+            const previous = lambda;
+            lambda = L + (1 - C) * f * sinAlpha *
+                (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+            if (Math.abs(lambda - previous) < 1e-12) {
+                converged = true;
+                break;
+            }
+        }
+
+        if (!converged) {
+            return this.inverseSpherical(lat1, lon1, lat2, lon2);
+        }
+
+        const u2 = cos2Alpha * (a * a - b * b) / (b * b);
+        const A = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+        const B = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+        const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 *
+            (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+             B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+        const initial = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+        const final = Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda);
+
+        return {
+            distance: b * A * (sigma - deltaSigma),
+            initialBearing: this.normalizeBearing(initial / toRad),
+            finalBearing: this.normalizeBearing(final / toRad)
+        };
+    }
+
+    /**
+     * Great-circle fallback on the authalic sphere (within about 0.5%)
+     */
+    inverseSpherical(lat1, lon1, lat2, lon2) {
+        const toRad = Math.PI / 180;
+        const phi1 = lat1 * toRad, phi2 = lat2 * toRad;
+        const deltaLambda = this.normalizeLongitude(lon2 - lon1) * toRad;
+
+        const h = Math.sin((phi2 - phi1) / 2) ** 2 +
+            Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) ** 2;
+        const bearing = (p1, p2, dl) => Math.atan2(
+            Math.sin(dl) * Math.cos(p2),
+            Math.cos(p1) * Math.sin(p2) - Math.sin(p1) * Math.cos(p2) * Math.cos(dl)) / toRad;
+
+        return {
+            distance: 2 * this.authalicRadius * Math.asin(Math.min(1, Math.sqrt(h))),
+            initialBearing: this.normalizeBearing(bearing(phi1, phi2, deltaLambda)),
+            finalBearing: this.normalizeBearing(bearing(phi2, phi1, -deltaLambda) + 180)
+        };
+    }
+
+    /**
+     * Total length of a path through [{lat, lon}, ...]
+     */
+    pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += this.inverse(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon).distance;
+        }
+        return length;
+    }
+
+    /**
+     * Perimeter of a polygon, closing it back to the first point
+     */
+    perimeter(points) {
+        if (points.length < 2) return 0;
+        return this.pathLength(points.concat([points[0]]));
+    }
+
+    /**
+     * Area in square meters enclosed by [{lat, lon}, ...] (closing edge
+     * implied). Latitudes are mapped to the authalic sphere, which keeps
+     * areas exact, and the edges are taken as great circles on it; for
+     * survey-sized polygons this agrees with the ellipsoidal area to well
+     * under 0.01%.
+     */
+    polygonArea(points) {
+        if (points.length < 3) return 0;
+
+        const toRad = Math.PI / 180;
+        const R = this.authalicRadius;
+        let excess = 0;
+
+        for (let i = 0; i < points.length; i++) {
+            const p1 = points[i];
+            const p2 = points[(i + 1) % points.length];
+            const t1 = Math.tan(this.authalicLatitude(p1.lat * toRad) / 2);
+            const t2 = Math.tan(this.authalicLatitude(p2.lat * toRad) / 2);
+            const deltaLambda = this.normalizeLongitude(p2.lon - p1.lon) * toRad;
+
+            // Signed excess of the triangle formed by the edge and the pole
+            excess += 2 * Math.atan2(Math.tan(deltaLambda / 2) * (t1 + t2), 1 + t1 * t2);
+        }
+
+        return Math.abs(excess) * R * R;
+    }
+
+    /**
+     * The point halfway along a path, where a line's label and pin go
+     */
+    pathMidpoint(points) {
+        const half = this.pathLength(points) / 2;
+        let walked = 0;
+
+        for (let i = 1; i < points.length; i++) {
+            const from = points[i - 1];
+            const to = points[i];
+            const step = this.inverse(from.lat, from.lon, to.lat, to.lon).distance;
+
+            if (walked + step >= half && step > 0) {
+                const t = (half - walked) / step;
+                return {
+                    lat: from.lat + (to.lat - from.lat) * t,
+                    lon: from.lon + this.normalizeLongitude(to.lon - from.lon) * t
+                };
+            }
+            walked += step;
+        }
+
+        return { lat: points[0].lat, lon: points[0].lon };
+    }
+
+    /**
+     * Centroid of a polygon, worked out on a local flat projection; good
+     * enough to place a label. Degenerate outlines use the vertex average.
+     */
+    polygonCentroid(points) {
+        const origin = points[0];
+        const scale = Math.cos(origin.lat * Math.PI / 180);
+        const xy = points.map(point => [this.normalizeLongitude(point.lon - origin.lon) * scale, point.lat - origin.lat]);
+
+        let twiceArea = 0, cx = 0, cy = 0;
+        for (let i = 0; i < xy.length; i++) {
+            const [x1, y1] = xy[i];
+            const [x2, y2] = xy[(i + 1) % xy.length];
+            const cross = x1 * y2 - x2 * y1;
+            twiceArea += cross;
+            cx += (x1 + x2) * cross;
+            cy += (y1 + y2) * cross;
+        }
+
+        if (Math.abs(twiceArea) < 1e-18) {
+            cx = xy.reduce((sum, [x]) => sum + x, 0) / xy.length;
+            cy = xy.reduce((sum, [, y]) => sum + y, 0) / xy.length;
+        } else {
+            cx /= 3 * twiceArea;
+            cy /= 3 * twiceArea;
+        }
+
+        return { lat: origin.lat + cy, lon: this.normalizeLongitude(origin.lon + cx / scale) };
+    }
+
+    authalicLatitude(phi) {
+        const e = Math.sqrt(this.e2);
+        const q = (sinPhi) => (1 - this.e2) * (sinPhi / (1 - this.e2 * sinPhi * sinPhi) -
+            Math.log((1 - e * sinPhi) / (1 + e * sinPhi)) / (2 * e));
+        return Math.asin(Math.max(-1, Math.min(1, q(Math.sin(phi)) / q(1))));
+    }
+
+    /**
+     * "1,234.5 m · 4,050.4 ft" style pair, switching to km / mi for long distances
+     */
+    formatDistance(meters) {
+        const metric = meters >= 1000
+            ? `${this.formatNumber(meters / 1000, 3)} km`
+            : `${this.formatNumber(meters, 2)} m`;
+        const feet = meters / 0.3048;
+        const imperial = feet >= 5280
+            ? `${this.formatNumber(feet / 5280, 3)} mi`
+            : `${this.formatNumber(feet, 1)} ft`;
+        return { metric: metric, imperial: imperial };
+    }
+
+    /**
+     * m² below one hectare, then ha; ft² below one acre, then ac
+     */
+    formatArea(squareMeters) {
+        const metric = squareMeters >= 10000
+            ? `${this.formatNumber(squareMeters / 10000, 4)} ha`
+            : `${this.formatNumber(squareMeters, 1)} m²`;
+        const squareFeet = squareMeters / (0.3048 * 0.3048);
+        const imperial = squareFeet >= 43560
+            ? `${this.formatNumber(squareFeet / 43560, 4)} ac`
+            : `${this.formatNumber(squareFeet, 0)} ft²`;
+        return { metric: metric, imperial: imperial };
+    }
+
+    formatNumber(value, decimals) {
+        return value.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    }
+
+    normalizeLongitude(degrees) {
+        return ((degrees + 180) % 360 + 360) % 360 - 180;
+    }
+
+    normalizeBearing(degrees) {
+        return ((degrees % 360) + 360) % 360;
+    }
+}
+
+// Make available globally
+window.Geodesy = Geodesy;
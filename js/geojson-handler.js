@@ -0,0 +1,376 @@
+// GeoJSON Handler - Converts saved locations to and from RFC 7946 GeoJSON
+class GeoJsonHandler {
+    constructor(metadataHandler) {
+        this.metadataHandler = metadataHandler;
+        this.geodesy = new Geodesy();
+        // Two pins closer than this (in degrees, ~1 cm) count as the same point
+        this.duplicateTolerance = 1e-7;
+    }
+
+    /**
+     * Build a FeatureCollection from saved locations (points, lines and
+     * polygons), followed by any saved measurements
+     */
+    createFeatureCollection(locations, project = null, measurements = []) {
+        return {
+            type: 'FeatureCollection',
+            name: project ? project.name : 'Field Survey',
+            project: project ? {
+                name: project.name,
+                client: project.client || null,
+                jobNumber: project.jobNumber || null
+            } : null,
+            generator: 'Field Survey App',
+            exported: new Date().toISOString(),
+            features: locations.map(location => this.locationToFeature(location))
+                .concat(measurements.map(measurement => this.measurementToFeature(measurement)))
+        };
+    }
+
+    locationToFeature(location) {
+        const photos = location.photos || [];
+        const firstMetadata = photos.length > 0 ? photos[0].metadata : null;
+
+        return {
+            type: 'Feature',
+            id: location.id,
+            geometry: this.locationToGeometry(location),
+            properties: Object.assign({
+                id: location.id,
+                name: location.name,
+                timestamp: location.timestamp,
+                azimuth: firstMetadata ? firstMetadata.azimuth : null,
+                elevation: firstMetadata ? this.metadataHandler.getPitch(firstMetadata) : null,
+                photoCount: photos.length,
+                photos: photos.map(photo => this.photoToProperties(photo)),
+                form: this.formToProperties(location),
+                category: this.categoryToProperties(location),
+                source: location.source || 'map',
+                accuracy: typeof location.accuracy === 'number' ? location.accuracy : null,
+                occupation: location.occupation || null
+            }, this.shapeToProperties(location))
+        };
+    }
+
+    /**
+     * Lines become LineStrings and polygons a closed Polygon ring; other
+     * locations are Points
+     */
+    locationToGeometry(location) {
+        if (location.geometryType !== 'line' && location.geometryType !== 'polygon') {
+            return { type: 'Point', coordinates: [location.lon, location.lat] };
+        }
+
+        const coordinates = location.vertices.map(vertex => [vertex.lon, vertex.lat]);
+        return location.geometryType === 'polygon'
+            ? { type: 'Polygon', coordinates: [coordinates.concat([coordinates[0]])] }
+            : { type: 'LineString', coordinates: coordinates };
+    }
+
+    /**
+     * Size of a line (meters) or polygon (square meters), and the label
+     * point the app pins it at
+     */
+    shapeToProperties(location) {
+        if (location.geometryType === 'line') {
+            return {
+                geometryType: 'line',
+                length: this.geodesy.pathLength(location.vertices),
+                labelPoint: [location.lon, location.lat]
+            };
+        }
+        if (location.geometryType === 'polygon') {
+            return {
+                geometryType: 'polygon',
+                area: this.geodesy.polygonArea(location.vertices),
+                perimeter: this.geodesy.perimeter(location.vertices),
+                labelPoint: [location.lon, location.lat]
+            };
+        }
+        return {};
+    }
+
+    /**
+     * Distances and paths become LineStrings, areas a closed Polygon.
+     * Lengths are in meters, areas in square meters, bearings in degrees.
+     */
+    measurementToFeature(measurement) {
+        const coordinates = measurement.points.map(point => [point.lon, point.lat]);
+        const geometry = measurement.measureType === 'area'
+            ? { type: 'Polygon', coordinates: [coordinates.concat([coordinates[0]])] }
+            : { type: 'LineString', coordinates: coordinates };
+
+        return {
+            type: 'Feature',
+            id: measurement.id,
+            geometry: geometry,
+            properties: Object.assign({
+                id: measurement.id,
+                featureType: 'measurement',
+                measureType: measurement.measureType,
+                name: measurement.name,
+                note: measurement.note || null,
+                timestamp: measurement.timestamp,
+                pointLabels: measurement.points.map(point => point.label || null)
+            }, measurement.measurement)
+        };
+    }
+
+    /**
+     * Raw answers keep their types for re-import; labelled answers are for people
+     */
+    formToProperties(location) {
+        if (!location.formId) return null;
+
+        const described = window.formManager ? window.formManager.describeLocationAnswers(location) : null;
+        const labelled = {};
+        if (described) {
+            described.fields.forEach(([label, value]) => {
+                labelled[label] = value;
+            });
+        }
+
+        return {
+            id: location.formId,
+            name: described ? described.formName : location.formId,
+            answers: location.formData || {},
+            labelledAnswers: labelled
+        };
+    }
+
+    /**
+     * Name, icon and color let GIS tools style by category, and let an
+     * import on another device match or recreate it (ids are per device)
+     */
+    categoryToProperties(location) {
+        const category = window.categoryManager ? window.categoryManager.getCategory(location.categoryId) : null;
+        if (!category) return null;
+
+        return {
+            id: category.id,
+            name: category.name,
+            icon: category.icon,
+            color: category.color
+        };
+    }
+
+    parseCategory(value) {
+        if (!value || typeof value !== 'object') return null;
+
+        return {
+            id: value.id,
+            name: value.name,
+            icon: value.icon,
+            color: value.color
+        };
+    }
+
+    photoToProperties(photo) {
+        const metadata = photo.metadata || {};
+
+        return {
+            filename: this.metadataHandler.createMetadataFilename(metadata),
+            datetime: metadata.datetime || null,
+            timezone: metadata.timezone || null,
+            azimuth: metadata.azimuth !== undefined ? metadata.azimuth : null,
+            headingReference: metadata.headingReference || null,
+            magneticAzimuth: typeof metadata.magneticAzimuth === 'number' ? metadata.magneticAzimuth : null,
+            trueAzimuth: typeof metadata.trueAzimuth === 'number' ? metadata.trueAzimuth : null,
+            declination: typeof metadata.declination === 'number' ? metadata.declination : null,
+            compassState: metadata.compassState || null,
+            headingStdDev: typeof metadata.headingStdDev === 'number' ? metadata.headingStdDev : null,
+            elevation: this.metadataHandler.getPitch(metadata),
+            roll: typeof metadata.roll === 'number' ? metadata.roll : null,
+            userLatitude: metadata.userLatitude !== undefined ? metadata.userLatitude : null,
+            userLongitude: metadata.userLongitude !== undefined ? metadata.userLongitude : null,
+            accuracy: metadata.accuracy !== undefined ? metadata.accuracy : null
+        };
+    }
+
+    /**
+     * Parse GeoJSON text into location records, sorting out anything that
+     * cannot be imported. Duplicates are checked against existingLocations;
+     * takenIds holds every location id already in storage, in any project.
+     * Returns { locations, duplicates, invalid }.
+     */
+    parseLocations(text, existingLocations = [], takenIds = new Set()) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        let features;
+        if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+            features = data.features;
+        } else if (data && data.type === 'Feature') {
+            features = [data];
+        } else {
+            throw new Error('File is not a GeoJSON Feature or FeatureCollection');
+        }
+
+        const result = { locations: [], duplicates: [], invalid: [] };
+        const known = existingLocations.slice();
+        const usedIds = new Set(takenIds);
+        known.forEach(loc => usedIds.add(loc.id));
+        let nextId = Date.now();
+
+        features.forEach((feature, index) => {
+            const properties = (feature && feature.properties) || {};
+            const label = properties.name || `Feature ${index + 1}`;
+
+            // Measurements are exported for GIS use and are not pins
+            if (properties.featureType === 'measurement') return;
+
+            const reason = this.validateGeometry(feature);
+            if (reason) {
+                result.invalid.push({ index: index, name: label, reason: reason });
+                return;
+            }
+
+            const shape = this.parseShape(feature.geometry);
+            const [lon, lat] = shape ? [shape.labelPoint.lon, shape.labelPoint.lat] : feature.geometry.coordinates;
+            const duplicate = known.find(loc =>
+                (properties.id !== undefined && loc.id === properties.id) ||
+                (loc.name === label &&
+                 Math.abs(loc.lat - lat) < this.duplicateTolerance &&
+                 Math.abs(loc.lon - lon) < this.duplicateTolerance));
+
+            if (duplicate) {
+                result.duplicates.push({ index: index, name: label });
+                return;
+            }
+
+            let id = properties.id;
+            if (typeof id !== 'number' || usedIds.has(id)) {
+                while (usedIds.has(nextId)) nextId++;
+                id = nextId;
+            }
+            usedIds.add(id);
+
+            const location = {
+                id: id,
+                name: label,
+                lat: lat,
+                lon: lon,
+                timestamp: properties.timestamp || new Date().toISOString(),
+                formId: properties.form && properties.form.id ? properties.form.id : null,
+                formData: properties.form && properties.form.answers ? properties.form.answers : {},
+                // Matched to a local category when the import is stored
+                category: this.parseCategory(properties.category),
+                source: ['map', 'gps', 'gps-averaged'].includes(properties.source) ? properties.source : 'map',
+                accuracy: typeof properties.accuracy === 'number' && isFinite(properties.accuracy) ? properties.accuracy : null,
+                occupation: this.parseOccupation(properties.occupation),
+                photos: []
+            };
+
+            if (shape) {
+                location.geometryType = shape.geometryType;
+                location.vertices = shape.vertices;
+            }
+
+            known.push(location);
+            result.locations.push(location);
+        });
+
+        return result;
+    }
+
+    /**
+     * Averaging statistics are only restored if they are complete
+     */
+    parseOccupation(value) {
+        if (!value || typeof value !== 'object') return null;
+
+        const numeric = ['fixCount', 'rejectedCount', 'durationSeconds', 'stdDev', 'stdDevNorth', 'stdDevEast', 'meanAccuracy', 'maxAccuracy'];
+        return numeric.every(key => typeof value[key] === 'number' && isFinite(value[key])) ? value : null;
+    }
+
+    /**
+     * Return why a feature is not an importable Point, LineString or
+     * Polygon, or null if it is
+     */
+    validateGeometry(feature) {
+        if (!feature || feature.type !== 'Feature') {
+            return 'not a Feature';
+        }
+        if (!feature.geometry) {
+            return 'missing geometry';
+        }
+
+        const { type, coordinates } = feature.geometry;
+        let positions;
+        if (type === 'Point') {
+            positions = [coordinates];
+        } else if (type === 'LineString') {
+            positions = coordinates;
+        } else if (type === 'Polygon') {
+            // Only the outer ring is kept; holes are not supported
+            positions = Array.isArray(coordinates) ? coordinates[0] : null;
+        } else {
+            return `unsupported geometry type ${type}`;
+        }
+
+        if (!Array.isArray(positions)) {
+            return 'coordinates are not numbers';
+        }
+        for (const position of positions) {
+            const reason = this.validatePosition(position);
+            if (reason) return reason;
+        }
+
+        if (type === 'LineString' && positions.length < 2) {
+            return 'a line needs at least 2 positions';
+        }
+        if (type === 'Polygon' && this.openRing(positions).length < 3) {
+            return 'a polygon needs at least 3 corners';
+        }
+
+        return null;
+    }
+
+    validatePosition(position) {
+        if (!Array.isArray(position) || position.length < 2 ||
+            !Number.isFinite(position[0]) || !Number.isFinite(position[1])) {
+            return 'coordinates are not numbers';
+        }
+
+        const [lon, lat] = position;
+        if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+            return 'coordinates out of range';
+        }
+
+        return null;
+    }
+
+    /**
+     * Vertices and label point of a LineString or Polygon, or null for a Point
+     */
+    parseShape(geometry) {
+        if (geometry.type === 'Point') return null;
+
+        const polygon = geometry.type === 'Polygon';
+        const positions = polygon ? this.openRing(geometry.coordinates[0]) : geometry.coordinates;
+        const vertices = positions.map(([lon, lat]) => ({ lat: lat, lon: lon }));
+
+        return {
+            geometryType: polygon ? 'polygon' : 'line',
+            vertices: vertices,
+            labelPoint: polygon ? this.geodesy.polygonCentroid(vertices) : this.geodesy.pathMidpoint(vertices)
+        };
+    }
+
+    /**
+     * A GeoJSON ring repeats its first position at the end; drop it
+     */
+    openRing(ring) {
+        const last = ring[ring.length - 1];
+        return ring.length > 1 && last[0] === ring[0][0] && last[1] === ring[0][1]
+            ? ring.slice(0, -1)
+            : ring;
+    }
+}
+
+// Make available globally
+window.GeoJsonHandler = GeoJsonHandler;
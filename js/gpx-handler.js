@@ -0,0 +1,121 @@
+// GPX Handler - Builds GPX 1.1 with recorded tracks and, optionally,
+// saved locations as waypoints (lines and polygons as routes)
+class GpxHandler {
+    constructor() {
+        // Fix accuracy has no GPX 1.1 element, so it goes in an extension
+        this.extensionNamespace = 'urn:field-survey:gpx:1';
+    }
+
+    createGpx(tracks, locations = [], project = null) {
+        const name = project ? project.name : 'Field Survey';
+        const isShape = (location) => location.geometryType === 'line' || location.geometryType === 'polygon';
+        const waypoints = locations.filter(location => !isShape(location)).map(location => this.createWaypoint(location));
+        const routes = locations.filter(isShape).map(location => this.createRoute(location));
+        const trackElements = tracks
+            .filter(track => track.segments.some(segment => segment.length > 0))
+            .map(track => this.createTrack(track));
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Field Survey App"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xmlns:survey="${this.extensionNamespace}"
+  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <metadata>
+    <name>${this.escapeXml(name)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${waypoints.concat(routes, trackElements).join('\n')}
+</gpx>
+`;
+    }
+
+    /**
+     * Element order follows the GPX 1.1 schema: ele, time, name, desc
+     */
+    createWaypoint(location) {
+        const time = this.toIsoTime(location.timestamp);
+        const photoCount = (location.photos || []).length;
+
+        return `  <wpt lat="${location.lat}" lon="${location.lon}">
+${time ? `    <time>${time}</time>\n` : ''}    <name>${this.escapeXml(location.name)}</name>
+    <desc>${this.createDescription(location, `${photoCount} photo${photoCount === 1 ? '' : 's'}`)}</desc>
+  </wpt>`;
+    }
+
+    /**
+     * GPX has no polygons, so a polygon is a route back to its first vertex
+     */
+    createRoute(location) {
+        const vertices = location.geometryType === 'polygon'
+            ? location.vertices.concat([location.vertices[0]])
+            : location.vertices;
+        const photoCount = (location.photos || []).length;
+
+        return `  <rte>
+    <name>${this.escapeXml(location.name)}</name>
+    <desc>${this.createDescription(location, `${location.geometryType === 'polygon' ? 'Polygon' : 'Line'} · ${photoCount} photo${photoCount === 1 ? '' : 's'}`)}</desc>
+${vertices.map(vertex => `    <rtept lat="${vertex.lat}" lon="${vertex.lon}"></rtept>`).join('\n')}
+  </rte>`;
+    }
+
+    /**
+     * The summary followed by the survey form answers, one per line
+     */
+    createDescription(location, summary) {
+        const lines = [summary];
+        const answers = window.formManager ? window.formManager.describeLocationAnswers(location) : null;
+        if (answers && answers.fields.length > 0) {
+            lines.push(`${answers.formName}:`);
+            answers.fields.forEach(([label, value]) => {
+                lines.push(`${label}: ${value === null || value === undefined || value === '' ? 'N/A' : value}`);
+            });
+        }
+        return this.escapeXml(lines.join('\n'));
+    }
+
+    createTrack(track) {
+        const segments = track.segments
+            .filter(segment => segment.length > 0)
+            .map(segment => `    <trkseg>
+${segment.map(fix => this.createTrackPoint(fix)).join('\n')}
+    </trkseg>`);
+
+        return `  <trk>
+    <name>${this.escapeXml(track.name)}</name>
+${segments.join('\n')}
+  </trk>`;
+    }
+
+    createTrackPoint(fix) {
+        const lines = [`      <trkpt lat="${fix.lat}" lon="${fix.lon}">`];
+        if (typeof fix.altitude === 'number') {
+            lines.push(`        <ele>${fix.altitude.toFixed(1)}</ele>`);
+        }
+        lines.push(`        <time>${new Date(fix.timestamp).toISOString()}</time>`);
+        if (typeof fix.accuracy === 'number') {
+            lines.push(`        <extensions><survey:accuracy>${fix.accuracy.toFixed(1)}</survey:accuracy></extensions>`);
+        }
+        lines.push('      </trkpt>');
+        return lines.join('\n');
+    }
+
+    toIsoTime(value) {
+        if (!value) return null;
+
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// Make available globally
+window.GpxHandler = GpxHandler;
@@ -0,0 +1,77 @@
+// Heading Filter - Low-pass filter for compass headings that averages on
+// the circle, so readings either side of north do not pull it south
+class HeadingFilter {
+    constructor(timeConstant = 0.5) {
+        // Seconds for the filter to follow ~63% of a change; 0 turns it off
+        this.timeConstant = timeConstant;
+
+        // The spread is measured over a slower window so it stays steady
+        this.varianceTimeConstant = 2;
+        this.reset();
+    }
+
+    reset() {
+        this.sin = 0;
+        this.cos = 0;
+        this.heading = null;
+        this.variance = 0;
+        this.sampleCount = 0;
+        this.lastTime = null;
+    }
+
+    /**
+     * Add a heading in degrees; time is in milliseconds. Samples are
+     * weighted by the time since the previous one, so the response does
+     * not depend on how often the sensor fires.
+     */
+    addSample(heading, time = Date.now()) {
+        const rad = heading * Math.PI / 180;
+
+        if (this.heading === null) {
+            this.sin = Math.sin(rad);
+            this.cos = Math.cos(rad);
+            this.heading = this.normalize(heading);
+        } else {
+            const dt = Math.max(0, (time - this.lastTime) / 1000);
+            const weight = this.getWeight(dt, this.timeConstant);
+            const varianceWeight = this.getWeight(dt, this.varianceTimeConstant);
+
+            // Spread of the raw readings around the filtered heading
+            const residual = this.difference(heading, this.heading);
+            this.variance += varianceWeight * (residual * residual - this.variance);
+
+            this.sin += weight * (Math.sin(rad) - this.sin);
+            this.cos += weight * (Math.cos(rad) - this.cos);
+            this.heading = this.normalize(Math.atan2(this.sin, this.cos) * 180 / Math.PI);
+        }
+
+        this.sampleCount++;
+        this.lastTime = time;
+        return this.heading;
+    }
+
+    getWeight(dt, timeConstant) {
+        return timeConstant > 0 ? 1 - Math.exp(-dt / timeConstant) : 1;
+    }
+
+    /**
+     * Standard deviation of recent readings in degrees
+     */
+    getStdDev() {
+        return Math.sqrt(this.variance);
+    }
+
+    /**
+     * Signed shortest turn from b to a, -180 to 180 degrees
+     */
+    difference(a, b) {
+        return ((a - b) % 360 + 540) % 360 - 180;
+    }
+
+    normalize(heading) {
+        return ((heading % 360) + 360) % 360;
+    }
+}
+
+// Make available globally
+window.HeadingFilter = HeadingFilter;
@@ -0,0 +1,232 @@
+// KML Handler - Builds KML for Google Earth with pins as Placemarks and
+// photos as PhotoOverlays oriented from the captured azimuth and elevation
+class KmlHandler {
+    constructor(metadataHandler) {
+        this.metadataHandler = metadataHandler;
+
+        // Typical phone camera view, in degrees, unless set in Settings.
+        // The vertical view follows a 4:3 sensor.
+        this.horizontalFov = 60;
+        this.aspectRatio = 4 / 3;
+
+        // Camera height above ground (hand-held) and overlay distance, in meters
+        this.cameraHeight = 1.5;
+        this.overlayDistance = 10;
+    }
+
+    /**
+     * Build the doc.kml text. photoPaths maps photo id -> path inside the KMZ.
+     */
+    createKml(locations, project, photoPaths) {
+        const placemarks = locations.map(location => this.createPlacemark(location, photoPaths));
+        const overlays = [];
+        locations.forEach(location => {
+            (location.photos || []).forEach((photo, index) => {
+                if (photoPaths.has(photo.id)) {
+                    overlays.push(this.createPhotoOverlay(location, photo, index, photoPaths.get(photo.id)));
+                }
+            });
+        });
+
+        const projectLabel = project ? this.metadataHandler.formatProjectLabel({
+            projectName: project.name,
+            client: project.client,
+            jobNumber: project.jobNumber
+        }) : '';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+  <name>${this.escapeXml(project ? project.name : 'Field Survey')}</name>
+  <description>${this.escapeXml(projectLabel)}</description>
+  <open>1</open>
+  <Folder>
+    <name>Locations</name>
+${placemarks.join('\n')}
+  </Folder>
+  <Folder>
+    <name>Photos</name>
+${overlays.join('\n')}
+  </Folder>
+</Document>
+</kml>
+`;
+    }
+
+    createPlacemark(location, photoPaths) {
+        const photos = location.photos || [];
+        const answers = this.getAnswers(location);
+        const photoBalloons = photos.map((photo, index) => {
+            const path = photoPaths.get(photo.id);
+            const image = path ? `<img src="${this.escapeXml(path)}" width="320"><br>` : '';
+            return `<h4>Photo ${index + 1}</h4>${image}${this.createMetadataTable(photo.metadata, answers)}`;
+        });
+
+        const balloon = `<h3>${this.escapeXml(location.name)}</h3>` +
+            `<p>Lat: ${location.lat.toFixed(6)}, Lon: ${location.lon.toFixed(6)}<br>` +
+            `Saved: ${this.escapeXml(location.timestamp || '')}</p>` +
+            (photos.length === 0 ? this.createAnswersTable(answers) : '') +
+            photoBalloons.join('');
+
+        return `    <Placemark>
+      <name>${this.escapeXml(location.name)}</name>
+      <description>${this.cdata(balloon)}</description>
+${this.createTimeStamp(location.timestamp)}${this.createExtendedData(answers)}${this.createGeometry(location)}
+    </Placemark>`;
+    }
+
+    /**
+     * Point, or a LineString / Polygon draped on the ground for lines and polygons
+     */
+    createGeometry(location) {
+        if (location.geometryType !== 'line' && location.geometryType !== 'polygon') {
+            return `      <Point>
+        <coordinates>${location.lon},${location.lat},0</coordinates>
+      </Point>`;
+        }
+
+        const vertices = location.geometryType === 'polygon'
+            ? location.vertices.concat([location.vertices[0]])
+            : location.vertices;
+        const coordinates = vertices.map(vertex => `${vertex.lon},${vertex.lat},0`).join(' ');
+
+        if (location.geometryType === 'line') {
+            return `      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>`;
+        }
+
+        return `      <Polygon>
+        <tessellate>1</tessellate>
+        <outerBoundaryIs>
+          <LinearRing>
+            <coordinates>${coordinates}</coordinates>
+          </LinearRing>
+        </outerBoundaryIs>
+      </Polygon>`;
+    }
+
+    /**
+     * A PhotoOverlay's Camera sits where the photo was taken; heading is the
+     * azimuth from true north, tilt is measured from straight down (90 = horizon)
+     * and roll turns the picture about the view direction.
+     */
+    createPhotoOverlay(location, photo, index, path) {
+        const metadata = photo.metadata || {};
+        const hasUserPosition = typeof metadata.userLatitude === 'number' && typeof metadata.userLongitude === 'number';
+        const lat = hasUserPosition ? metadata.userLatitude : location.lat;
+        const lon = hasUserPosition ? metadata.userLongitude : location.lon;
+        const heading = this.normalizeHeading(this.metadataHandler.getTrueAzimuth(metadata) || 0);
+        // Pitch is 0 at the horizon, also for photos that stored the raw beta
+        const pitch = this.metadataHandler.getPitch(metadata);
+        const tilt = Math.min(180, Math.max(0, 90 + (pitch !== null ? pitch : 0)));
+        const roll = typeof metadata.roll === 'number' ? metadata.roll : 0;
+        const horizontalFov = window.settingsManager ? window.settingsManager.get('cameraFov') : this.horizontalFov;
+        const halfWidth = horizontalFov / 2;
+        const halfHeight = horizontalFov / this.aspectRatio / 2;
+        const balloon = `<h3>${this.escapeXml(location.name)} – Photo ${index + 1}</h3>` +
+            `<img src="${this.escapeXml(path)}" width="320"><br>` +
+            this.createMetadataTable(metadata, this.getAnswers(location));
+
+        return `    <PhotoOverlay>
+      <name>${this.escapeXml(`${location.name} – Photo ${index + 1}`)}</name>
+      <description>${this.cdata(balloon)}</description>
+      <Camera>
+        <longitude>${lon}</longitude>
+        <latitude>${lat}</latitude>
+        <altitude>${this.cameraHeight}</altitude>
+        <heading>${heading}</heading>
+        <tilt>${tilt}</tilt>
+        <roll>${roll}</roll>
+        <altitudeMode>relativeToGround</altitudeMode>
+      </Camera>
+${this.createTimeStamp(metadata.timestamp)}      <Icon>
+        <href>${this.escapeXml(path)}</href>
+      </Icon>
+      <ViewVolume>
+        <leftFov>${-halfWidth}</leftFov>
+        <rightFov>${halfWidth}</rightFov>
+        <bottomFov>${-halfHeight}</bottomFov>
+        <topFov>${halfHeight}</topFov>
+        <near>${this.overlayDistance}</near>
+      </ViewVolume>
+      <Point>
+        <altitudeMode>relativeToGround</altitudeMode>
+        <coordinates>${lon},${lat},${this.cameraHeight}</coordinates>
+      </Point>
+      <shape>rectangle</shape>
+    </PhotoOverlay>`;
+    }
+
+    /**
+     * The same sections and fields as the metadata text file, as an HTML table
+     */
+    createMetadataTable(metadata, answers = null) {
+        if (!metadata) return '';
+
+        return this.createSectionsTable(this.metadataHandler.getMetadataSections(metadata, answers));
+    }
+
+    createAnswersTable(answers) {
+        if (!answers) return '';
+
+        return this.createSectionsTable([{ title: `SURVEY FORM (${answers.formName})`, fields: answers.fields }]);
+    }
+
+    createSectionsTable(sections) {
+        const rows = sections.map(section => {
+            const header = `<tr><th colspan="2" align="left">${this.escapeXml(section.title)}</th></tr>`;
+            const fields = section.fields.map(([label, value]) =>
+                `<tr><td>${this.escapeXml(label)}</td><td>${this.escapeXml(String(value))}</td></tr>`);
+            return header + fields.join('');
+        });
+
+        return `<table>${rows.join('')}</table>`;
+    }
+
+    getAnswers(location) {
+        return window.formManager ? window.formManager.describeLocationAnswers(location) : null;
+    }
+
+    /**
+     * Form answers as KML ExtendedData so GIS tools see them as attributes
+     */
+    createExtendedData(answers) {
+        if (!answers || answers.fields.length === 0) return '';
+
+        const data = answers.fields.map(([label, value]) =>
+            `        <Data name="${this.escapeXml(label)}"><value>${this.escapeXml(value)}</value></Data>`);
+
+        return `      <ExtendedData>\n${data.join('\n')}\n      </ExtendedData>\n`;
+    }
+
+    createTimeStamp(value) {
+        if (!value) return '';
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return '';
+
+        return `      <TimeStamp><when>${date.toISOString()}</when></TimeStamp>\n`;
+    }
+
+    normalizeHeading(azimuth) {
+        return ((azimuth % 360) + 360) % 360;
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    cdata(text) {
+        return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+    }
+}
+
+// Make available globally
+window.KmlHandler = KmlHandler;
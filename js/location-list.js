@@ -0,0 +1,281 @@
+// Location List - Searchable list of the active project's saved locations,
+// opened from the header. Filters by text (name, category and form answers
+// such as notes), save date, photos and category, and sorts by date, name or
+// distance from the current GPS position. Picking one flies the map to it.
+class LocationList {
+    constructor() {
+        this.geodesy = new Geodesy();
+
+        // Rendering stops here; narrowing the search shows the rest
+        this.maxItems = 200;
+
+        this.init();
+    }
+
+    init() {
+        console.log('Location List initialized');
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('saved-locations-btn').addEventListener('click', () => {
+            this.openModal();
+        });
+
+        document.getElementById('close-locations-modal').addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        document.getElementById('locations-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'locations-modal') {
+                this.closeModal();
+            }
+        });
+
+        document.getElementById('location-search').addEventListener('input', () => {
+            this.render();
+        });
+
+        ['location-date-from', 'location-date-to', 'location-photo-filter', 'location-category-filter', 'location-sort'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.render();
+            });
+        });
+
+        document.getElementById('location-clear-filters-btn').addEventListener('click', () => {
+            this.clearFilters();
+        });
+    }
+
+    openModal() {
+        this.updateCategoryFilter();
+        this.render();
+        document.getElementById('locations-modal').classList.add('active');
+        document.getElementById('location-search').focus();
+    }
+
+    closeModal() {
+        document.getElementById('locations-modal').classList.remove('active');
+    }
+
+    isOpen() {
+        return document.getElementById('locations-modal').classList.contains('active');
+    }
+
+    /**
+     * Re-render after the saved locations changed, if the list is showing
+     */
+    refresh() {
+        if (this.isOpen()) {
+            this.render();
+        }
+    }
+
+    clearFilters() {
+        document.getElementById('location-search').value = '';
+        document.getElementById('location-date-from').value = '';
+        document.getElementById('location-date-to').value = '';
+        document.getElementById('location-photo-filter').value = '';
+        document.getElementById('location-category-filter').value = '';
+        this.render();
+    }
+
+    updateCategoryFilter() {
+        const select = document.getElementById('location-category-filter');
+        const current = select.value;
+        const categories = window.categoryManager ? window.categoryManager.getCategories() : [];
+
+        select.innerHTML = '<option value="">All categories</option><option value="none">No category</option>';
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = `${category.icon} ${category.name}`;
+            select.appendChild(option);
+        });
+
+        select.value = Array.from(select.options).some(option => option.value === current) ? current : '';
+    }
+
+    getFilters() {
+        const search = document.getElementById('location-search').value.trim().toLowerCase();
+        const from = document.getElementById('location-date-from').value;
+        const to = document.getElementById('location-date-to').value;
+
+        return {
+            terms: search ? search.split(/\s+/) : [],
+            // Dates are whole local days; the "to" day is included
+            from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+            to: to ? new Date(`${to}T00:00:00`).getTime() + 24 * 60 * 60 * 1000 : null,
+            photos: document.getElementById('location-photo-filter').value,
+            categoryId: document.getElementById('location-category-filter').value
+        };
+    }
+
+    /**
+     * Saved locations matching the filters, in the chosen order. Each entry
+     * is { location, distance } with distance in meters, or null without GPS.
+     */
+    getEntries() {
+        const locations = window.pinManager ? window.pinManager.savedLocations : [];
+        const filters = this.getFilters();
+        const position = window.app ? window.app.currentPosition : null;
+
+        const entries = locations
+            .filter(location => this.matches(location, filters))
+            .map(location => ({
+                location: location,
+                distance: position ? this.geodesy.inverse(position.lat, position.lon, location.lat, location.lon).distance : null
+            }));
+
+        const sort = document.getElementById('location-sort').value;
+        const time = (entry) => new Date(entry.location.timestamp).getTime() || 0;
+        const compare = {
+            newest: (a, b) => time(b) - time(a),
+            oldest: (a, b) => time(a) - time(b),
+            name: (a, b) => a.location.name.localeCompare(b.location.name, undefined, { numeric: true, sensitivity: 'base' }),
+            distance: (a, b) => a.distance - b.distance
+        };
+
+        // Without a GPS fix there is nothing to measure from, so newest first
+        return entries.sort(compare[sort === 'distance' && !position ? 'newest' : sort] || compare.newest);
+    }
+
+    matches(location, filters) {
+        const time = new Date(location.timestamp).getTime();
+        if (filters.from !== null && !(time >= filters.from)) return false;
+        if (filters.to !== null && !(time < filters.to)) return false;
+
+        const photoCount = location.photos ? location.photos.length : 0;
+        if (filters.photos === 'with' && photoCount === 0) return false;
+        if (filters.photos === 'without' && photoCount > 0) return false;
+
+        if (filters.categoryId) {
+            const category = window.categoryManager ? window.categoryManager.getCategory(location.categoryId) : null;
+            if (filters.categoryId === 'none' ? category : !category || category.id !== filters.categoryId) return false;
+        }
+
+        if (filters.terms.length > 0) {
+            const text = this.getSearchText(location);
+            return filters.terms.every(term => text.includes(term));
+        }
+        return true;
+    }
+
+    /**
+     * Name, category and survey form answers (where notes are written), in lower case
+     */
+    getSearchText(location) {
+        const parts = [location.name];
+
+        const category = window.categoryManager ? window.categoryManager.getCategory(location.categoryId) : null;
+        if (category) {
+            parts.push(category.name);
+        }
+
+        const answers = window.formManager ? window.formManager.describeLocationAnswers(location) : null;
+        if (answers) {
+            answers.fields.forEach(([, value]) => parts.push(String(value)));
+        }
+
+        return parts.join(' ').toLowerCase();
+    }
+
+    render() {
+        const list = document.getElementById('location-list');
+        const total = window.pinManager ? window.pinManager.savedLocations.length : 0;
+        const entries = this.getEntries();
+        const hasPosition = !!(window.app && window.app.currentPosition);
+
+        let summary = entries.length === total ? `${total} locations` : `${entries.length} of ${total} locations`;
+        if (document.getElementById('location-sort').value === 'distance' && !hasPosition) {
+            summary += ' · no GPS fix, sorted by date';
+        }
+        document.getElementById('location-count').textContent = summary;
+
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'no-photo-text';
+            empty.textContent = total === 0 ? 'No saved locations in this project' : 'No locations match the filters';
+            list.appendChild(empty);
+            return;
+        }
+
+        entries.slice(0, this.maxItems).forEach(entry => list.appendChild(this.createItem(entry)));
+
+        if (entries.length > this.maxItems) {
+            const more = document.createElement('li');
+            more.className = 'no-photo-text';
+            more.textContent = `${entries.length - this.maxItems} more; search or filter to narrow the list`;
+            list.appendChild(more);
+        }
+    }
+
+    createItem(entry) {
+        const location = entry.location;
+        const category = window.categoryManager ? window.categoryManager.getCategory(location.categoryId) : null;
+
+        const item = document.createElement('li');
+        item.className = 'project-item location-item';
+        item.tabIndex = 0;
+
+        const swatch = document.createElement('span');
+        swatch.className = category ? 'category-swatch' : `category-swatch pin-source-${location.source || 'map'}`;
+        if (category) {
+            swatch.style.backgroundColor = category.color;
+            swatch.textContent = category.icon;
+        }
+
+        const info = document.createElement('div');
+        info.className = 'project-item-info';
+
+        const name = document.createElement('strong');
+        name.textContent = location.name;
+        info.appendChild(name);
+
+        const details = [this.formatDate(location.timestamp)];
+        const photoCount = location.photos ? location.photos.length : 0;
+        details.push(photoCount > 0 ? `📷 ${photoCount}` : 'No photos');
+        if (category) {
+            details.push(category.name);
+        }
+
+        const detailText = document.createElement('span');
+        detailText.className = 'project-item-details';
+        detailText.textContent = details.join(' · ');
+        info.appendChild(detailText);
+
+        item.appendChild(swatch);
+        item.appendChild(info);
+
+        if (entry.distance !== null) {
+            const distance = document.createElement('span');
+            distance.className = 'location-distance';
+            distance.textContent = this.geodesy.formatDistance(entry.distance).metric;
+            item.appendChild(distance);
+        }
+
+        const select = () => {
+            this.closeModal();
+            window.pinManager.navigateToSavedLocation(location.id);
+        };
+        item.addEventListener('click', select);
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') select();
+        });
+
+        return item;
+    }
+
+    formatDate(timestamp) {
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) return 'Unknown date';
+
+        return date.toLocaleString([], { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+// Initialize location list when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.locationList = new LocationList();
+});
@@ -0,0 +1,252 @@
+// Magnetic Model - World Magnetic Model (WMM2025) magnetic declination,
+// computed on the device so true north works without a connection
+class MagneticModel {
+    constructor() {
+        this.name = 'WMM2025';
+        this.epoch = 2025.0;
+        this.validFrom = 2025.0;
+        this.validUntil = 2030.0;
+
+        // WGS84 ellipsoid and the model's geomagnetic reference radius (km)
+        this.a = 6378.137;
+        this.f = 1 / 298.257223563;
+        this.e2 = this.f * (2 - this.f);
+        this.referenceRadius = 6371.2;
+
+        // WMM2025 coefficients from NOAA NCEI (public domain), one row per
+        // degree n and order m: [n, m, g, h, g per year, h per year] in nT
+        this.maxDegree = 12;
+        this.coefficients = [
+            [1, 0, -29351.8, 0, 12, 0],
+            [1, 1, -1410.8, 4545.4, 9.7, -21.5],
+            [2, 0, -2556.6, 0, -11.6, 0],
+            [2, 1, 2951.1, -3133.6, -5.2, -27.7],
+            [2, 2, 1649.3, -815.1, -8, -12.1],
+            [3, 0, 1361, 0, -1.3, 0],
+            [3, 1, -2404.1, -56.6, -4.2, 4],
+            [3, 2, 1243.8, 237.5, 0.4, -0.3],
+            [3, 3, 453.6, -549.5, -15.6, -4.1],
+            [4, 0, 895, 0, -1.6, 0],
+            [4, 1, 799.5, 278.6, -2.4, -1.1],
+            [4, 2, 55.7, -133.9, -6, 4.1],
+            [4, 3, -281.1, 212, 5.6, 1.6],
+            [4, 4, 12.1, -375.6, -7, -4.4],
+            [5, 0, -233.2, 0, 0.6, 0],
+            [5, 1, 368.9, 45.4, 1.4, -0.5],
+            [5, 2, 187.2, 220.2, 0, 2.2],
+            [5, 3, -138.7, -122.9, 0.6, 0.4],
+            [5, 4, -142, 43, 2.2, 1.7],
+            [5, 5, 20.9, 106.1, 0.9, 1.9],
+            [6, 0, 64.4, 0, -0.2, 0],
+            [6, 1, 63.8, -18.4, -0.4, 0.3],
+            [6, 2, 76.9, 16.8, 0.9, -1.6],
+            [6, 3, -115.7, 48.8, 1.2, -0.4],
+            [6, 4, -40.9, -59.8, -0.9, 0.9],
+            [6, 5, 14.9, 10.9, 0.3, 0.7],
+            [6, 6, -60.7, 72.7, 0.9, 0.9],
+            [7, 0, 79.5, 0, 0, 0],
+            [7, 1, -77, -48.9, -0.1, 0.6],
+            [7, 2, -8.8, -14.4, -0.1, 0.5],
+            [7, 3, 59.3, -1, 0.5, -0.8],
+            [7, 4, 15.8, 23.4, -0.1, 0],
+            [7, 5, 2.5, -7.4, -0.8, -1],
+            [7, 6, -11.1, -25.1, -0.8, 0.6],
+            [7, 7, 14.2, -2.3, 0.8, -0.2],
+            [8, 0, 23.2, 0, -0.1, 0],
+            [8, 1, 10.8, 7.1, 0.2, -0.2],
+            [8, 2, -17.5, -12.6, 0, 0.5],
+            [8, 3, 2, 11.4, 0.5, -0.4],
+            [8, 4, -21.7, -9.7, -0.1, 0.4],
+            [8, 5, 16.9, 12.7, 0.3, -0.5],
+            [8, 6, 15, 0.7, 0.2, -0.6],
+            [8, 7, -16.8, -5.2, 0, 0.3],
+            [8, 8, 0.9, 3.9, 0.2, 0.2],
+            [9, 0, 4.6, 0, 0, 0],
+            [9, 1, 7.8, -24.8, -0.1, -0.3],
+            [9, 2, 3, 12.2, 0.1, 0.3],
+            [9, 3, -0.2, 8.3, 0.3, -0.3],
+            [9, 4, -2.5, -3.3, -0.3, 0.3],
+            [9, 5, -13.1, -5.2, 0, 0.2],
+            [9, 6, 2.4, 7.2, 0.3, -0.1],
+            [9, 7, 8.6, -0.6, -0.1, -0.2],
+            [9, 8, -8.7, 0.8, 0.1, 0.4],
+            [9, 9, -12.9, 10, -0.1, 0.1],
+            [10, 0, -1.3, 0, 0.1, 0],
+            [10, 1, -6.4, 3.3, 0, 0],
+            [10, 2, 0.2, 0, 0.1, 0],
+            [10, 3, 2, 2.4, 0.1, -0.2],
+            [10, 4, -1, 5.3, 0, 0.1],
+            [10, 5, -0.6, -9.1, -0.3, -0.1],
+            [10, 6, -0.9, 0.4, 0, 0.1],
+            [10, 7, 1.5, -4.2, -0.1, 0],
+            [10, 8, 0.9, -3.8, -0.1, -0.1],
+            [10, 9, -2.7, 0.9, 0, 0.2],
+            [10, 10, -3.9, -9.1, 0, 0],
+            [11, 0, 2.9, 0, 0, 0],
+            [11, 1, -1.5, 0, 0, 0],
+            [11, 2, -2.5, 2.9, 0, 0.1],
+            [11, 3, 2.4, -0.6, 0, 0],
+            [11, 4, -0.6, 0.2, 0, 0.1],
+            [11, 5, -0.1, 0.5, -0.1, 0],
+            [11, 6, -0.6, -0.3, 0, 0],
+            [11, 7, -0.1, -1.2, 0, 0.1],
+            [11, 8, 1.1, -1.7, -0.1, 0],
+            [11, 9, -1, -2.9, -0.1, 0],
+            [11, 10, -0.2, -1.8, -0.1, 0],
+            [11, 11, 2.6, -2.3, -0.1, 0],
+            [12, 0, -2, 0, 0, 0],
+            [12, 1, -0.2, -1.3, 0, 0],
+            [12, 2, 0.3, 0.7, 0, 0],
+            [12, 3, 1.2, 1, 0, -0.1],
+            [12, 4, -1.3, -1.4, 0, 0.1],
+            [12, 5, 0.6, 0, 0, 0],
+            [12, 6, 0.6, 0.6, 0.1, 0],
+            [12, 7, 0.5, -0.1, 0, 0],
+            [12, 8, -0.1, 0.8, 0, 0],
+            [12, 9, -0.4, 0.1, 0, 0],
+            [12, 10, -0.2, -1, -0.1, 0],
+            [12, 11, -1.3, 0.1, 0, 0],
+            [12, 12, -0.7, 0.2, -0.1, -0.1]
+        ];
+    }
+
+    /**
+     * Declination in degrees, east of true north positive. altitude is
+     * meters above the WGS84 ellipsoid.
+     */
+    getDeclination(lat, lon, altitude = 0, date = new Date()) {
+        return this.getField(lat, lon, altitude, date).declination;
+    }
+
+    /**
+     * Field components in nT (x north, y east, z down) with declination and
+     * inclination in degrees, following the WMM technical report
+     */
+    getField(lat, lon, altitude = 0, date = new Date()) {
+        const toRad = Math.PI / 180;
+        const year = this.toDecimalYear(date);
+        const dt = year - this.epoch;
+
+        // The field components divide by cos(latitude), so stay off the poles
+        const phi = Math.max(-89.9999, Math.min(89.9999, lat)) * toRad;
+        const lambda = lon * toRad;
+        const h = (altitude || 0) / 1000;
+
+        // Geodetic to geocentric spherical coordinates
+        const sinPhi = Math.sin(phi);
+        const rc = this.a / Math.sqrt(1 - this.e2 * sinPhi * sinPhi);
+        const p = (rc + h) * Math.cos(phi);
+        const z = (rc * (1 - this.e2) + h) * sinPhi;
+        const r = Math.sqrt(p * p + z * z);
+        const phiPrime = Math.asin(z / r);
+
+        const { P, dP } = this.legendre(Math.PI / 2 - phiPrime);
+
+        let x = 0;
+        let y = 0;
+        let zDown = 0;
+        this.coefficients.forEach(([n, m, g0, h0, gDot, hDot]) => {
+            const g = g0 + dt * gDot;
+            const hh = h0 + dt * hDot;
+            const ratio = Math.pow(this.referenceRadius / r, n + 2);
+            const cosM = Math.cos(m * lambda);
+            const sinM = Math.sin(m * lambda);
+            const term = g * cosM + hh * sinM;
+
+            x += ratio * term * dP[n][m];
+            y += ratio * m * (g * sinM - hh * cosM) * P[n][m];
+            zDown -= ratio * (n + 1) * term * P[n][m];
+        });
+        y /= Math.cos(phiPrime);
+
+        // Rotate from geocentric back to the ellipsoid's local frame
+        const psi = phiPrime - phi;
+        const north = x * Math.cos(psi) - zDown * Math.sin(psi);
+        const down = x * Math.sin(psi) + zDown * Math.cos(psi);
+        const horizontal = Math.sqrt(north * north + y * y);
+
+        return {
+            x: north,
+            y: y,
+            z: down,
+            horizontal: horizontal,
+            total: Math.sqrt(horizontal * horizontal + down * down),
+            declination: Math.atan2(y, north) / toRad,
+            inclination: Math.atan2(down, horizontal) / toRad,
+            decimalYear: year,
+            withinValidity: this.isValidFor(date)
+        };
+    }
+
+    /**
+     * Schmidt semi-normalized associated Legendre functions of cos(theta)
+     * and their derivatives with respect to the colatitude theta
+     */
+    legendre(theta) {
+        const N = this.maxDegree;
+        const cosT = Math.cos(theta);
+        const sinT = Math.sin(theta);
+        const P = [];
+        const dP = [];
+        for (let n = 0; n <= N; n++) {
+            P.push(new Array(N + 1).fill(0));
+            dP.push(new Array(N + 1).fill(0));
+        }
+
+        // Gauss-normalized recursion
+        P[0][0] = 1;
+        for (let n = 1; n <= N; n++) {
+            for (let m = 0; m <= n; m++) {
+                if (n === m) {
+                    P[n][m] = sinT * P[n - 1][m - 1];
+                    dP[n][m] = sinT * dP[n - 1][m - 1] + cosT * P[n - 1][m - 1];
+                } else if (n === 1) {
+                    P[n][m] = cosT * P[n - 1][m];
+                    dP[n][m] = cosT * dP[n - 1][m] - sinT * P[n - 1][m];
+                } else {
+                    const k = n - 2 >= m ? ((n - 1) * (n - 1) - m * m) / ((2 * n - 1) * (2 * n - 3)) : 0;
+                    const previous = n - 2 >= m ? P[n - 2][m] : 0;
+                    const previousD = n - 2 >= m ? dP[n - 2][m] : 0;
+                    P[n][m] = cosT * P[n - 1][m] - k * previous;
+                    dP[n][m] = cosT * dP[n - 1][m] - sinT * P[n - 1][m] - k * previousD;
+                }
+            }
+        }
+
+        // Convert to Schmidt semi-normalization
+        let s = 1;
+        for (let n = 1; n <= N; n++) {
+            s *= (2 * n - 1) / n;
+            let factor = s;
+            for (let m = 0; m <= n; m++) {
+                if (m > 0) {
+                    factor *= Math.sqrt((n - m + 1) * (m === 1 ? 2 : 1) / (n + m));
+                }
+                P[n][m] *= factor;
+                dP[n][m] *= factor;
+            }
+        }
+
+        return { P, dP };
+    }
+
+    toDecimalYear(date) {
+        const d = date instanceof Date ? date : new Date(date);
+        const year = d.getUTCFullYear();
+        const start = Date.UTC(year, 0, 1);
+        const end = Date.UTC(year + 1, 0, 1);
+        return year + (d.getTime() - start) / (end - start);
+    }
+
+    /**
+     * The model is only published for five years; outside them the
+     * declination is extrapolated and gets steadily less reliable
+     */
+    isValidFor(date) {
+        const year = this.toDecimalYear(date);
+        return year >= this.validFrom && year < this.validUntil;
+    }
+}
+
+// Make available globally
+window.MagneticModel = MagneticModel;
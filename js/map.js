@@ -6,6 +6,19 @@ class MapManager {
         this.accuracyCircle = null;
         this.defaultZoom = 16;
         this.lastRotation = 0;
+        this.areaSelection = null;
+        this.areaRectangle = null;
+        this.trackLines = [];
+        this.photoConeLayer = null;
+        this.measurementLayer = null;
+        this.sketchLayer = null;
+        this.pointPicker = null;
+        this.layerControl = null;
+        this.categoryLayers = new Map();
+        this.categories = [];
+        this.legend = null;
+        this.shapeColor = '#3949ab';
+        this.coordinateConverter = new CoordinateConverter();
         this.init();
     }
 
@@ -28,8 +41,8 @@ class MapManager {
 
             console.log('Map object created');
 
-            // Add OpenStreetMap tiles
-            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            // Add OpenStreetMap tiles (same URLs as the offline tile cache)
+            L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
                 attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
                 maxZoom: 19,
                 minZoom: 1
@@ -43,6 +56,8 @@ class MapManager {
                 metric: true
             }).addTo(this.map);
 
+            this.setupOverlayLayers();
+
             // Add click event to drop pins
             this.map.on('click', (e) => {
                 console.log('Map click event fired!');
@@ -63,23 +78,196 @@ class MapManager {
         }
     }
 
+    /**
+     * Overlays the user can switch on and off from the layer control
+     */
+    setupOverlayLayers() {
+        const settings = window.settingsManager;
+
+        this.photoConeLayer = L.layerGroup();
+        if (!settings || settings.get('showPhotoCones')) {
+            this.photoConeLayer.addTo(this.map);
+        }
+
+        this.measurementLayer = L.layerGroup().addTo(this.map);
+        this.sketchLayer = L.layerGroup().addTo(this.map);
+
+        this.layerControl = L.control.layers(null, {
+            '📷 Photo view cones': this.photoConeLayer,
+            '📏 Measurements': this.measurementLayer
+        }, { position: 'topright' }).addTo(this.map);
+
+        // Remember which overlays were switched off
+        this.map.on('overlayadd overlayremove', (e) => {
+            if (e.layer === this.photoConeLayer && settings) {
+                settings.set('showPhotoCones', e.type === 'overlayadd');
+            }
+
+            const categoryId = this.getCategoryId(e.layer);
+            if (categoryId !== null) {
+                if (settings) {
+                    const hidden = settings.get('hiddenCategories').filter(id => id !== categoryId);
+                    settings.set('hiddenCategories', e.type === 'overlayadd' ? hidden : hidden.concat([categoryId]));
+                }
+                this.updateLegend();
+            }
+        });
+
+        this.legend = L.control({ position: 'bottomleft' });
+        this.legend.onAdd = () => {
+            const container = L.DomUtil.create('div', 'map-legend');
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            const toggle = L.DomUtil.create('button', 'map-legend-toggle', container);
+            toggle.type = 'button';
+            toggle.addEventListener('click', () => {
+                if (settings) {
+                    settings.set('legendCollapsed', !settings.get('legendCollapsed'));
+                }
+                this.updateLegend();
+            });
+            L.DomUtil.create('ul', 'map-legend-list', container);
+            return container;
+        };
+        this.legend.addTo(this.map);
+
+        this.setCategories([]);
+    }
+
+    /**
+     * Saved pins are filed in a layer per category (plus one for pins
+     * without a category), each shown or hidden from the layer control.
+     * categories: [{ id, name, icon, color }]
+     */
+    setCategories(categories) {
+        if (!this.layerControl) return;
+
+        const settings = window.settingsManager;
+        const hidden = settings ? settings.get('hiddenCategories') : [];
+        const entries = categories.concat([{ id: '', name: 'Uncategorized', icon: '📍', color: null }]);
+        const ids = new Set(entries.map(category => category.id));
+        this.categories = categories;
+
+        // Drop the layers of deleted categories; their pins are filed again
+        this.categoryLayers.forEach((layer, id) => {
+            if (ids.has(id)) return;
+            this.layerControl.removeLayer(layer);
+            this.map.removeLayer(layer);
+            this.categoryLayers.delete(id);
+        });
+
+        // Re-add the rest in category order, with their current names
+        entries.forEach(category => {
+            let layer = this.categoryLayers.get(category.id);
+            if (layer) {
+                this.layerControl.removeLayer(layer);
+            } else {
+                layer = L.layerGroup();
+                if (!hidden.includes(category.id)) {
+                    layer.addTo(this.map);
+                }
+                this.categoryLayers.set(category.id, layer);
+            }
+            this.layerControl.addOverlay(layer, this.formatCategoryLabel(category));
+        });
+
+        this.updateLegend();
+    }
+
+    getCategoryId(layer) {
+        for (const [id, categoryLayer] of this.categoryLayers) {
+            if (categoryLayer === layer) return id;
+        }
+        return null;
+    }
+
+    formatCategoryLabel(category) {
+        const color = category.color || '#e91e63';
+        return `<span class="category-swatch" style="background-color: ${color}">${this.escapeHtml(category.icon)}</span> ` +
+            this.escapeHtml(category.name);
+    }
+
+    /**
+     * Categories with their symbols, then the colors of uncategorized pins
+     * by position source. Hidden categories are greyed out.
+     */
+    updateLegend() {
+        const container = this.legend ? this.legend.getContainer() : null;
+        if (!container) return;
+
+        const settings = window.settingsManager;
+        const collapsed = settings ? settings.get('legendCollapsed') : false;
+        const isShown = (id) => {
+            const layer = this.categoryLayers.get(id);
+            return !!layer && this.map.hasLayer(layer);
+        };
+
+        // The toggle stays in place, so its clicks never reach the map
+        container.querySelector('.map-legend-toggle').textContent = collapsed ? '🏷️ Legend ▸' : '🏷️ Legend ▾';
+        const list = container.querySelector('.map-legend-list');
+        list.innerHTML = '';
+        list.hidden = collapsed;
+        if (collapsed) return;
+
+        const addRow = (swatchHtml, label, shown = true) => {
+            const row = L.DomUtil.create('li', shown ? '' : 'hidden-category', list);
+            row.innerHTML = `${swatchHtml} ${this.escapeHtml(label)}`;
+        };
+
+        this.categories.forEach(category => {
+            addRow(`<span class="category-swatch" style="background-color: ${category.color}">${this.escapeHtml(category.icon)}</span>`,
+                category.name, isShown(category.id));
+        });
+
+        const uncategorized = isShown('');
+        [['map', 'Map tap'], ['gps', 'GPS'], ['gps-averaged', 'Averaged GPS']].forEach(([source, label]) => {
+            addRow(`<span class="category-swatch pin-source-${source}"></span>`, label, uncategorized);
+        });
+    }
+
     onMapClick(e) {
         const lat = e.latlng.lat;
         const lon = e.latlng.lng;
         
         console.log('Map clicked at:', lat, lon);
+
+        // While picking an offline area, clicks set its corners instead of pins
+        if (this.areaSelection) {
+            this.handleAreaSelectionClick(e.latlng);
+            return;
+        }
+
+        if (this.pickPoint(e.latlng)) {
+            return;
+        }
+
         console.log('Pin manager available?', !!window.pinManager);
         
         // Notify pin manager if available
         if (window.pinManager) {
             console.log('Calling pinManager.createPin()');
-            window.pinManager.createPin(lat, lon);
+            window.pinManager.createPin(lat, lon, {
+                source: 'map',
+                accuracy: this.getTapAccuracy(lat)
+            });
         } else {
             console.error('Pin manager not initialized yet!');
             alert('Pin manager not ready. Please refresh the page.');
         }
     }
 
+    createUserPopupContent(lat, lon, accuracy) {
+        const lines = this.coordinateConverter.describe(lat, lon)
+            .map(([label, value]) => `${label}: ${value}<br>`);
+
+        return `
+                <strong>Your Location</strong><br>
+                ${lines.join('\n                ')}
+                Accuracy: ±${accuracy.toFixed(0)}m
+            `;
+    }
+
     updateUserLocation(lat, lon, accuracy) {
         // Update or create marker
         if (this.userMarker) {
@@ -87,12 +275,7 @@ class MapManager {
             this.userMarker.setLatLng([lat, lon]);
             
             // Update popup content
-            this.userMarker.getPopup().setContent(`
-                <strong>Your Location</strong><br>
-                Latitude: ${lat.toFixed(6)}<br>
-                Longitude: ${lon.toFixed(6)}<br>
-                Accuracy: ±${accuracy.toFixed(0)}m
-            `);
+            this.userMarker.getPopup().setContent(this.createUserPopupContent(lat, lon, accuracy));
         } else {
             // Create custom arrow icon for user location with rotation
             const userIcon = L.divIcon({
@@ -109,12 +292,7 @@ class MapManager {
             }).addTo(this.map);
 
             // Add popup to marker
-            this.userMarker.bindPopup(`
-                <strong>Your Location</strong><br>
-                Latitude: ${lat.toFixed(6)}<br>
-                Longitude: ${lon.toFixed(6)}<br>
-                Accuracy: ±${accuracy.toFixed(0)}m
-            `);
+            this.userMarker.bindPopup(this.createUserPopupContent(lat, lon, accuracy));
         }
 
         // Update or create accuracy circle
@@ -189,17 +367,27 @@ class MapManager {
         return marker;
     }
 
-    addCustomPin(lat, lon, pinData = null) {
-        // Create custom pin icon
-        const pinIcon = L.divIcon({
-            className: 'custom-pin-marker',
-            html: '<div class="custom-pin-marker"></div>',
+    /**
+     * Pin icon in its category's color and icon, or without a category
+     * styled by how its position was obtained: 'map', 'gps' or 'gps-averaged'
+     */
+    createPinIcon(source = 'map', category = null) {
+        const className = `custom-pin-marker pin-source-${source}` + (category ? ' pin-category' : '');
+        const html = category
+            ? `<div class="${className}" style="background-color: ${category.color}"><span class="pin-category-icon">${this.escapeHtml(category.icon)}</span></div>`
+            : `<div class="${className}"></div>`;
+
+        return L.divIcon({
+            className: className,
+            html: html,
             iconSize: [30, 30],
             iconAnchor: [15, 30]
         });
+    }
 
+    addCustomPin(lat, lon, pinData = null, source = 'map') {
         const marker = L.marker([lat, lon], {
-            icon: pinIcon,
+            icon: this.createPinIcon(source),
             draggable: false
         }).addTo(this.map);
 
@@ -207,6 +395,10 @@ class MapManager {
         marker.on('click', (e) => {
             console.log('Pin clicked at:', lat, lon);
             L.DomEvent.stopPropagation(e); // Prevent map click event
+
+            if (this.pickPoint(marker.getLatLng(), pinData ? pinData.name : null)) {
+                return;
+            }
             
             if (window.pinManager && pinData) {
                 window.pinManager.editPin(pinData);
@@ -216,12 +408,340 @@ class MapManager {
         return marker;
     }
 
+    /**
+     * Send map and pin taps to onPick({ lat, lon, label }) instead of
+     * dropping pins; label is the pin's name when a pin was tapped
+     */
+    startPointPicking(onPick) {
+        this.pointPicker = onPick;
+        this.map.getContainer().classList.add('picking-points');
+    }
+
+    stopPointPicking() {
+        this.pointPicker = null;
+        this.map.getContainer().classList.remove('picking-points');
+    }
+
+    /**
+     * Returns true if the tap was taken by the point picker
+     */
+    pickPoint(latlng, label = null) {
+        if (!this.pointPicker) return false;
+
+        this.pointPicker({ lat: latlng.lat, lon: latlng.lng, label: label });
+        return true;
+    }
+
+    /**
+     * Let the user tap two opposite corners of an area on the map.
+     * onSelected receives { south, west, north, east }.
+     */
+    startAreaSelection(onSelected) {
+        this.clearAreaRectangle();
+        this.areaSelection = { firstCorner: null, onSelected: onSelected };
+        this.map.getContainer().classList.add('selecting-area');
+    }
+
+    cancelAreaSelection() {
+        this.areaSelection = null;
+        this.map.getContainer().classList.remove('selecting-area');
+    }
+
+    handleAreaSelectionClick(latlng) {
+        const selection = this.areaSelection;
+
+        if (!selection.firstCorner) {
+            selection.firstCorner = latlng;
+            this.showAreaRectangle(L.latLngBounds(latlng, latlng));
+            return;
+        }
+
+        const bounds = L.latLngBounds(selection.firstCorner, latlng);
+        this.cancelAreaSelection();
+        this.showAreaRectangle(bounds);
+        selection.onSelected(this.toBoundsObject(bounds));
+    }
+
+    /**
+     * Outline an area; bounds may be Leaflet bounds or { south, west, north, east }
+     */
+    showAreaRectangle(bounds, fit = false) {
+        const latLngBounds = bounds instanceof L.LatLngBounds
+            ? bounds
+            : L.latLngBounds([bounds.south, bounds.west], [bounds.north, bounds.east]);
+
+        if (this.areaRectangle) {
+            this.areaRectangle.setBounds(latLngBounds);
+        } else {
+            this.areaRectangle = L.rectangle(latLngBounds, {
+                color: '#ff9800',
+                weight: 2,
+                fillOpacity: 0.1,
+                interactive: false
+            }).addTo(this.map);
+        }
+
+        if (fit) {
+            this.map.fitBounds(latLngBounds, { padding: [20, 20] });
+        }
+    }
+
+    clearAreaRectangle() {
+        if (this.areaRectangle) {
+            this.map.removeLayer(this.areaRectangle);
+            this.areaRectangle = null;
+        }
+    }
+
+    getViewBounds() {
+        return this.toBoundsObject(this.map.getBounds());
+    }
+
+    toBoundsObject(latLngBounds) {
+        return {
+            south: latLngBounds.getSouth(),
+            west: latLngBounds.getWest(),
+            north: latLngBounds.getNorth(),
+            east: latLngBounds.getEast()
+        };
+    }
+
+    /**
+     * Replace the drawn GPS tracks. Each track is { segments: [[[lat, lon], ...]], active }.
+     */
+    showTracks(tracks) {
+        this.trackLines.forEach(line => this.map.removeLayer(line));
+        this.trackLines = tracks
+            .filter(track => track.segments.length > 0)
+            .map(track => L.polyline(track.segments, {
+                color: track.active ? '#e53935' : '#7e57c2',
+                weight: track.active ? 4 : 3,
+                opacity: track.active ? 0.9 : 0.6,
+                interactive: false
+            }).addTo(this.map));
+    }
+
+    /**
+     * Draw the line or polygon being measured or drawn, with its vertices.
+     * The outline does not take taps, so the next point can be placed on
+     * top of it. With onVertexMove(index, { lat, lon }) the vertices can
+     * be dragged.
+     */
+    showSketch(points, closed = false, onVertexMove = null) {
+        if (!this.sketchLayer) return;
+
+        this.sketchLayer.clearLayers();
+        const latlngs = points.map(point => [point.lat, point.lon]);
+        const style = { color: '#00897b', weight: 3, dashArray: '6 6', interactive: false };
+
+        if (latlngs.length > 1) {
+            this.sketchLayer.addLayer(closed && latlngs.length > 2
+                ? L.polygon(latlngs, Object.assign({ fillOpacity: 0.15 }, style))
+                : L.polyline(latlngs, style));
+        }
+        latlngs.forEach((latlng, index) => {
+            if (!onVertexMove) {
+                this.sketchLayer.addLayer(L.circleMarker(latlng, {
+                    radius: 5,
+                    color: '#00897b',
+                    fillColor: 'white',
+                    fillOpacity: 1,
+                    weight: 2,
+                    interactive: false
+                }));
+                return;
+            }
+
+            const handle = L.marker(latlng, {
+                draggable: true,
+                icon: L.divIcon({ className: 'sketch-vertex', iconSize: [16, 16], iconAnchor: [8, 8] })
+            });
+            handle.on('click', (e) => L.DomEvent.stopPropagation(e)); // Prevent map click event
+            handle.on('dragend', () => {
+                const moved = handle.getLatLng();
+                onVertexMove(index, { lat: moved.lat, lon: moved.lng });
+            });
+            this.sketchLayer.addLayer(handle);
+        });
+    }
+
+    clearSketch() {
+        if (this.sketchLayer) {
+            this.sketchLayer.clearLayers();
+        }
+    }
+
+    /**
+     * Fly to a saved pin (or the whole line or polygon) and open its popup.
+     * A pin in a hidden category has its category shown again.
+     */
+    flyToPin(marker, shape = null) {
+        this.categoryLayers.forEach(layer => {
+            if (layer.hasLayer(marker) && !this.map.hasLayer(layer)) {
+                layer.addTo(this.map);
+            }
+        });
+
+        this.map.once('moveend', () => marker.openPopup());
+        if (shape) {
+            this.map.flyToBounds(shape.getBounds(), { padding: [20, 20], maxZoom: 18, duration: 0.8 });
+        } else {
+            this.map.flyTo(marker.getLatLng(), 18, { duration: 0.8 });
+        }
+    }
+
+    /**
+     * Outline of a line or polygon survey feature; geometryType is 'line' or 'polygon'
+     */
+    addShape(vertices, geometryType) {
+        const latlngs = vertices.map(vertex => [vertex.lat, vertex.lon]);
+        const style = { color: this.shapeColor, weight: 4 };
+
+        return (geometryType === 'polygon'
+            ? L.polygon(latlngs, Object.assign({ fillOpacity: 0.2 }, style))
+            : L.polyline(latlngs, style)
+        ).addTo(this.map);
+    }
+
+    /**
+     * Replace the saved measurements. Each is { points: [{lat, lon}], closed,
+     * label (plain text), popup } where popup is an HTML element.
+     */
+    showMeasurements(measurements) {
+        if (!this.measurementLayer) return;
+
+        this.measurementLayer.clearLayers();
+        measurements.forEach(measurement => {
+            const latlngs = measurement.points.map(point => [point.lat, point.lon]);
+            const style = { color: '#00695c', weight: 3 };
+            const shape = measurement.closed
+                ? L.polygon(latlngs, Object.assign({ fillOpacity: 0.1 }, style))
+                : L.polyline(latlngs, style);
+
+            shape.bindTooltip(this.escapeHtml(measurement.label), { sticky: true });
+            shape.bindPopup(measurement.popup);
+            shape.on('click', (e) => {
+                L.DomEvent.stopPropagation(e); // Prevent map click event
+                if (this.pickPoint(e.latlng)) {
+                    shape.closePopup();
+                }
+            });
+            this.measurementLayer.addLayer(shape);
+        });
+    }
+
+    /**
+     * Replace the photo view cones. Each cone is { lat, lon, azimuth, fov,
+     * length (meters), label (plain text), onClick }.
+     */
+    showPhotoCones(cones) {
+        if (!this.photoConeLayer) return;
+
+        this.photoConeLayer.clearLayers();
+        cones.forEach(cone => {
+            const wedge = L.polygon(this.createConePoints(cone.lat, cone.lon, cone.azimuth, cone.fov, cone.length), {
+                color: '#ff6f00',
+                weight: 1,
+                fillColor: '#ffa000',
+                fillOpacity: 0.25
+            });
+
+            wedge.bindTooltip(this.escapeHtml(cone.label), { sticky: true });
+            wedge.on('click', (e) => {
+                L.DomEvent.stopPropagation(e); // Prevent map click event
+                if (this.pickPoint(e.latlng)) return;
+                cone.onClick();
+            });
+            this.photoConeLayer.addLayer(wedge);
+        });
+    }
+
+    /**
+     * Wedge outline: the capture point, then an arc from azimuth - fov/2 to
+     * azimuth + fov/2 at the given distance
+     */
+    createConePoints(lat, lon, azimuth, fov, length) {
+        const points = [[lat, lon]];
+        const steps = Math.max(2, Math.ceil(fov / 5));
+        const start = azimuth - fov / 2;
+
+        for (let i = 0; i <= steps; i++) {
+            points.push(this.destinationPoint(lat, lon, start + fov * i / steps, length));
+        }
+        return points;
+    }
+
+    /**
+     * Point reached from lat/lon along a compass bearing (degrees) after
+     * distance meters, on a spherical earth
+     */
+    destinationPoint(lat, lon, bearing, distance) {
+        const R = 6371008.8;
+        const toRad = Math.PI / 180;
+        const angular = distance / R;
+        const theta = bearing * toRad;
+        const phi1 = lat * toRad;
+        const lambda1 = lon * toRad;
+
+        const phi2 = Math.asin(Math.sin(phi1) * Math.cos(angular) +
+                               Math.cos(phi1) * Math.sin(angular) * Math.cos(theta));
+        const lambda2 = lambda1 + Math.atan2(Math.sin(theta) * Math.sin(angular) * Math.cos(phi1),
+                                             Math.cos(angular) - Math.sin(phi1) * Math.sin(phi2));
+
+        return [phi2 / toRad, ((lambda2 / toRad + 540) % 360) - 180];
+    }
+
+    /**
+     * Restyle a pin, and a line or polygon's outline, for its category
+     */
+    setPinStyle(marker, shape, source, category = null) {
+        if (marker) {
+            marker.setIcon(this.createPinIcon(source, category));
+        }
+        if (shape) {
+            shape.setStyle({ color: category ? category.color : this.shapeColor });
+        }
+    }
+
+    /**
+     * Move a saved pin and its outline into its category's layer, where
+     * they follow that layer's visibility
+     */
+    fileInCategory(marker, shape, category = null) {
+        const layer = this.categoryLayers.get(category ? category.id : '');
+        if (!layer) return;
+
+        [marker, shape].filter(Boolean).forEach(item => {
+            if (layer.hasLayer(item)) return;
+
+            this.categoryLayers.forEach(other => other.removeLayer(item));
+            this.map.removeLayer(item);
+            layer.addLayer(item);
+        });
+    }
+
+    /**
+     * Rough horizontal precision of a finger tap at the current zoom, in meters
+     * (about 10 screen pixels at the given latitude)
+     */
+    getTapAccuracy(lat) {
+        const metersPerPixel = 40075016.686 * Math.cos(lat * Math.PI / 180) / Math.pow(2, this.map.getZoom() + 8);
+        return metersPerPixel * 10;
+    }
+
     removeMarker(marker) {
         if (marker) {
+            this.categoryLayers.forEach(layer => layer.removeLayer(marker));
             this.map.removeLayer(marker);
         }
     }
 
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     getMap() {
         return this.map;
     }
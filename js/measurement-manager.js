@@ -0,0 +1,371 @@
+// Measurement Manager - Measures distance and bearing, path length and area
+// between points tapped on the map, pins or the current position, and saves
+// measurements with the active project
+class MeasurementManager {
+    constructor() {
+        this.store = window.surveyStore;
+        this.geodesy = new Geodesy();
+        this.measurements = [];
+        this.active = false;
+        this.mode = 'distance'; // 'distance' | 'path' | 'area'
+        this.points = [];
+
+        this.ready = this.init();
+        this.ready.catch(error => console.error('Error loading measurements:', error));
+    }
+
+    async init() {
+        console.log('Initializing Measurement Manager...');
+        this.setupEventListeners();
+
+        if (window.projectManager) {
+            await window.projectManager.ready;
+        }
+        await this.loadMeasurements();
+    }
+
+    setupEventListeners() {
+        document.getElementById('measure-btn').addEventListener('click', () => {
+            if (this.active) {
+                this.close();
+            } else {
+                this.open();
+            }
+        });
+
+        document.getElementById('close-measure-panel').addEventListener('click', () => {
+            this.close();
+        });
+
+        document.querySelectorAll('#measure-panel [data-measure-mode]').forEach(button => {
+            button.addEventListener('click', () => this.setMode(button.dataset.measureMode));
+        });
+
+        document.getElementById('measure-position-btn').addEventListener('click', () => {
+            this.addCurrentPosition();
+        });
+
+        document.getElementById('measure-undo-btn').addEventListener('click', () => {
+            this.points.pop();
+            this.update();
+        });
+
+        document.getElementById('measure-clear-btn').addEventListener('click', () => {
+            this.points = [];
+            this.update();
+        });
+
+        document.getElementById('measure-save-btn').addEventListener('click', () => {
+            this.save();
+        });
+    }
+
+    /**
+     * Load the active project's saved measurements
+     */
+    async loadMeasurements() {
+        const project = window.projectManager ? window.projectManager.activeProject : null;
+        this.measurements = [];
+
+        if (project) {
+            try {
+                const features = await this.store.getFeaturesByProject(project.id);
+                this.measurements = features.filter(feature => feature.kind === 'measurement');
+            } catch (error) {
+                console.error('Error loading project measurements:', error);
+            }
+        }
+
+        this.drawMeasurements();
+    }
+
+    async reloadForProject() {
+        this.points = [];
+        this.update();
+        await this.loadMeasurements();
+    }
+
+    getMeasurements() {
+        return this.measurements;
+    }
+
+    open() {
+        if (!window.mapManager || !window.mapManager.map) return;
+
+        // Measuring and drawing both take map taps
+        if (window.shapeDrawer && window.shapeDrawer.active) {
+            window.shapeDrawer.close();
+        }
+
+        this.active = true;
+        window.mapManager.startPointPicking(point => this.addPoint(point));
+        document.getElementById('measure-panel').classList.add('active');
+        document.getElementById('measure-btn').classList.add('active');
+        this.update();
+    }
+
+    close() {
+        this.active = false;
+        this.points = [];
+        if (window.mapManager) {
+            window.mapManager.stopPointPicking();
+            window.mapManager.clearSketch();
+        }
+        document.getElementById('measure-panel').classList.remove('active');
+        document.getElementById('measure-btn').classList.remove('active');
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+
+        // A two-point distance carries over as the start of a path or area
+        if (mode === 'distance') {
+            this.points = this.points.slice(0, 2);
+        }
+        this.update();
+    }
+
+    /**
+     * In distance mode further taps move the end point, so several
+     * targets can be checked from one start
+     */
+    addPoint(point) {
+        if (this.mode === 'distance' && this.points.length === 2) {
+            this.points[1] = point;
+        } else {
+            this.points.push(point);
+        }
+        this.update();
+    }
+
+    addCurrentPosition() {
+        const position = window.app ? window.app.currentPosition : null;
+        if (!position) {
+            this.showStatus('⚠️ Waiting for a GPS fix', 'warning');
+            return;
+        }
+
+        this.addPoint({ lat: position.lat, lon: position.lon, label: 'My position' });
+    }
+
+    getMinimumPoints(mode = this.mode) {
+        return mode === 'area' ? 3 : 2;
+    }
+
+    /**
+     * Geodesic results for a set of points. Bearings are from true north;
+     * the magnetic bearing uses the declination at the start point.
+     */
+    compute(mode, points) {
+        if (points.length < this.getMinimumPoints(mode)) return null;
+
+        if (mode === 'distance') {
+            const [start, end] = points;
+            const result = this.geodesy.inverse(start.lat, start.lon, end.lat, end.lon);
+            const declination = window.orientationManager && result.initialBearing !== null
+                ? window.orientationManager.getDeclinationAt(start.lat, start.lon)
+                : null;
+
+            return {
+                distance: result.distance,
+                bearing: result.initialBearing,
+                backBearing: result.finalBearing === null ? null : this.geodesy.normalizeBearing(result.finalBearing + 180),
+                magneticBearing: declination === null ? null : this.geodesy.normalizeBearing(result.initialBearing - declination),
+                declination: declination,
+                declinationModel: declination === null ? null : window.orientationManager.magneticModel.name
+            };
+        }
+
+        if (mode === 'path') {
+            return {
+                length: this.geodesy.pathLength(points),
+                segmentCount: points.length - 1
+            };
+        }
+
+        return {
+            area: this.geodesy.polygonArea(points),
+            perimeter: this.geodesy.perimeter(points)
+        };
+    }
+
+    /**
+     * Labelled lines of a result, each unit system side by side
+     */
+    describe(mode, result) {
+        const bothUnits = (value) => `${value.metric} · ${value.imperial}`;
+
+        if (mode === 'distance') {
+            const lines = [['Distance', bothUnits(this.geodesy.formatDistance(result.distance))]];
+            if (result.bearing !== null) {
+                lines.push(['Bearing', `${result.bearing.toFixed(1)}° T` +
+                    (result.magneticBearing !== null ? ` · ${result.magneticBearing.toFixed(1)}° M` : '')]);
+                lines.push(['Back bearing', `${result.backBearing.toFixed(1)}° T`]);
+            }
+            return lines;
+        }
+
+        if (mode === 'path') {
+            return [
+                ['Length', bothUnits(this.geodesy.formatDistance(result.length))],
+                ['Segments', String(result.segmentCount)]
+            ];
+        }
+
+        return [
+            ['Area', bothUnits(this.geodesy.formatArea(result.area))],
+            ['Perimeter', bothUnits(this.geodesy.formatDistance(result.perimeter))]
+        ];
+    }
+
+    /**
+     * Refresh the sketch on the map and the readout in the panel
+     */
+    update() {
+        if (!this.active) return;
+
+        window.mapManager.showSketch(this.points, this.mode === 'area');
+
+        document.querySelectorAll('#measure-panel [data-measure-mode]').forEach(button => {
+            button.classList.toggle('active', button.dataset.measureMode === this.mode);
+        });
+
+        const result = this.compute(this.mode, this.points);
+        const needed = this.getMinimumPoints() - this.points.length;
+        const hint = document.getElementById('measure-hint');
+        if (needed > 0) {
+            hint.textContent = `Tap the map or a pin to add ${needed === 1 ? 'another point' : `${needed} points`}`;
+        } else if (this.mode === 'distance') {
+            hint.textContent = 'Tap again to move the end point';
+        } else {
+            hint.textContent = 'Tap to add more points';
+        }
+
+        const results = document.getElementById('measure-results');
+        results.innerHTML = '';
+        if (result) {
+            this.describe(this.mode, result).forEach(([label, value]) => {
+                const term = document.createElement('dt');
+                const detail = document.createElement('dd');
+                term.textContent = label;
+                detail.textContent = value;
+                results.appendChild(term);
+                results.appendChild(detail);
+            });
+        }
+
+        document.getElementById('measure-undo-btn').disabled = this.points.length === 0;
+        document.getElementById('measure-clear-btn').disabled = this.points.length === 0;
+        document.getElementById('measure-save-btn').disabled = !result;
+    }
+
+    async save() {
+        const result = this.compute(this.mode, this.points);
+        if (!result) return;
+
+        const project = window.projectManager ? window.projectManager.activeProject : null;
+        const nameInput = document.getElementById('measure-name');
+        const noteInput = document.getElementById('measure-note');
+        const modeNames = { distance: 'Distance', path: 'Path', area: 'Area' };
+
+        const measurement = {
+            id: this.store.generateId(),
+            projectId: project ? project.id : null,
+            kind: 'measurement',
+            measureType: this.mode,
+            name: nameInput.value.trim() || `${modeNames[this.mode]} ${this.measurements.length + 1}`,
+            note: noteInput.value.trim(),
+            points: this.points.map(point => ({ lat: point.lat, lon: point.lon, label: point.label || null })),
+            measurement: result,
+            timestamp: new Date().toISOString()
+        };
+
+        try {
+            await this.store.saveFeature(measurement);
+        } catch (error) {
+            console.error('Error saving measurement:', error);
+            this.showStatus(`⚠️ Could not save measurement: ${error.message}`, 'error', false);
+            return;
+        }
+
+        this.measurements.push(measurement);
+        this.drawMeasurements();
+
+        this.points = [];
+        nameInput.value = '';
+        noteInput.value = '';
+        this.update();
+        this.showStatus(`Saved measurement "${measurement.name}"`, 'success');
+    }
+
+    async deleteMeasurement(measurement) {
+        if (!confirm(`Delete measurement "${measurement.name}"?`)) return;
+
+        try {
+            await this.store.deleteFeature(measurement.id);
+        } catch (error) {
+            console.error('Error deleting measurement:', error);
+            this.showStatus(`⚠️ Could not delete measurement: ${error.message}`, 'error', false);
+            return;
+        }
+
+        this.measurements = this.measurements.filter(m => m.id !== measurement.id);
+        this.drawMeasurements();
+    }
+
+    drawMeasurements() {
+        if (!window.mapManager) return;
+
+        window.mapManager.showMeasurements(this.measurements.map(measurement => ({
+            points: measurement.points,
+            closed: measurement.measureType === 'area',
+            label: `${measurement.name}: ${this.describe(measurement.measureType, measurement.measurement)[0][1]}`,
+            popup: this.createPopupContent(measurement)
+        })));
+    }
+
+    createPopupContent(measurement) {
+        const container = document.createElement('div');
+        container.className = 'measure-popup';
+
+        const title = document.createElement('strong');
+        title.textContent = measurement.name;
+        container.appendChild(title);
+
+        const lines = this.describe(measurement.measureType, measurement.measurement);
+        const labels = measurement.points.map(point => point.label).filter(Boolean);
+        if (labels.length > 0) {
+            lines.push(['Points', labels.join(', ')]);
+        }
+        if (measurement.note) {
+            lines.push(['Note', measurement.note]);
+        }
+        lines.forEach(([label, value]) => {
+            const line = document.createElement('div');
+            line.textContent = `${label}: ${value}`;
+            container.appendChild(line);
+        });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'btn btn-danger';
+        deleteButton.textContent = '🗑️ Delete';
+        deleteButton.addEventListener('click', () => this.deleteMeasurement(measurement));
+        container.appendChild(deleteButton);
+
+        return container;
+    }
+
+    showStatus(message, type = 'info', autoClear = true) {
+        if (window.app) {
+            window.app.showStatus(message, type);
+            if (autoClear) {
+                setTimeout(() => window.app.clearStatus(), 3000);
+            }
+        }
+    }
+}
+
+// Initialize measurement manager when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.measurementManager = new MeasurementManager();
+});
@@ -1,7 +1,42 @@
 // Metadata Handler - Embeds GPS, azimuth, elevation, and timestamp into photos
 class MetadataHandler {
     constructor() {
-        this.exifLib = null;
+        this.exifWriter = new ExifWriter();
+        this.coordinateConverter = new CoordinateConverter();
+    }
+
+    /**
+     * Version of the photo metadata written by prepareMetadata. Version 1
+     * (no metadataVersion field) stored the device's raw beta as elevation
+     * (90 = phone upright); version 2 stores camera pitch (0 = horizon).
+     */
+    static get METADATA_VERSION() {
+        return 2;
+    }
+
+    /**
+     * Photo metadata brought up to the current version; current metadata
+     * is returned as it is
+     */
+    static upgradeMetadata(metadata) {
+        if (!metadata || metadata.metadataVersion >= MetadataHandler.METADATA_VERSION) return metadata;
+
+        const upgraded = Object.assign({}, metadata, { metadataVersion: MetadataHandler.METADATA_VERSION });
+        if (typeof metadata.elevation === 'number') {
+            // Pitch of the rear camera for that beta, with the phone held level sideways
+            const pitch = Math.asin(-Math.cos(metadata.elevation * Math.PI / 180)) * 180 / Math.PI;
+            upgraded.elevation = Math.round(pitch * 10) / 10 || 0;
+        }
+        return upgraded;
+    }
+
+    /**
+     * Camera pitch in degrees (0 = horizon, 90 = straight up) whatever the
+     * metadata version, or null if it was not recorded
+     */
+    getPitch(metadata) {
+        const current = MetadataHandler.upgradeMetadata(metadata);
+        return current && typeof current.elevation === 'number' ? current.elevation : null;
     }
 
     /**
@@ -9,8 +44,7 @@ class MetadataHandler {
      */
     async addMetadataToImage(imageDataUrl, metadata) {
         try {
-            // For now, we'll create a text overlay with metadata
-            // Full EXIF embedding requires a library like piexifjs
+            // Draw a text overlay, then write EXIF tags into the re-encoded JPEG
             const canvas = document.createElement('canvas');
             const ctx = canvas.getContext('2d');
             const img = new Image();
@@ -26,8 +60,8 @@ class MetadataHandler {
                     // Add metadata overlay at bottom
                     this.drawMetadataOverlay(ctx, canvas.width, canvas.height, metadata);
 
-                    // Return new data URL
-                    resolve(canvas.toDataURL('image/jpeg', 0.95));
+                    // Canvas encoding drops all EXIF, so write ours back in
+                    resolve(this.embedExif(canvas.toDataURL('image/jpeg', 0.95), metadata));
                 };
 
                 img.onerror = reject;
@@ -39,6 +73,18 @@ class MetadataHandler {
         }
     }
 
+    /**
+     * Write GPS, orientation and time EXIF tags into a JPEG data URL
+     */
+    embedExif(jpegDataUrl, metadata) {
+        try {
+            return this.exifWriter.writeToDataUrl(jpegDataUrl, metadata);
+        } catch (error) {
+            console.error('Error writing EXIF:', error);
+            return jpegDataUrl; // Overlay-only image is still usable
+        }
+    }
+
     /**
      * Draw metadata overlay on image
      */
@@ -46,7 +92,17 @@ class MetadataHandler {
         const padding = 10;
         const lineHeight = 20;
         const fontSize = 14;
-        const overlayHeight = lineHeight * 5 + padding * 2;
+
+        // Format metadata; the overlay fits the lines drawn
+        const lines = [
+            `Project: ${this.formatProjectLabel(metadata)}`,
+            `Location: ${this.coordinateConverter.format(metadata.latitude, metadata.longitude)}`,
+            `Azimuth: ${this.formatAzimuth(metadata)} | Elevation: ${this.getPitch(metadata) !== null ? Math.round(this.getPitch(metadata)) : 'N/A'}° | Roll: ${typeof metadata.roll === 'number' ? Math.round(metadata.roll) : 'N/A'}°`,
+            `Date: ${metadata.datetime}`,
+            `Timezone: ${metadata.timezone}`
+        ];
+
+        const overlayHeight = lineHeight * lines.length + padding * 2;
 
         // Semi-transparent black background
         ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
@@ -59,20 +115,25 @@ class MetadataHandler {
 
         let y = height - overlayHeight + padding + lineHeight;
 
-        // Format and draw metadata
-        const lines = [
-            `Location: ${metadata.latitude.toFixed(6)}, ${metadata.longitude.toFixed(6)}`,
-            `Azimuth: ${Math.round(metadata.azimuth)}° | Elevation: ${metadata.elevation ? Math.round(metadata.elevation) : 'N/A'}°`,
-            `Date: ${metadata.datetime}`,
-            `Timezone: ${metadata.timezone}`
-        ];
-
         lines.forEach(line => {
             ctx.fillText(line, padding, y);
             y += lineHeight;
         });
     }
 
+    /**
+     * "Name · Client · Job #123", skipping whatever is not set
+     */
+    formatProjectLabel(metadata) {
+        if (!metadata.projectName) return 'N/A';
+
+        return [
+            metadata.projectName,
+            metadata.client,
+            metadata.jobNumber ? `Job #${metadata.jobNumber}` : ''
+        ].filter(Boolean).join(' · ');
+    }
+
     /**
      * Create filename with metadata
      */
@@ -80,7 +141,7 @@ class MetadataHandler {
         const timestamp = metadata.datetime.replace(/[:\s]/g, '-').replace(/,/g, '');
         const lat = metadata.latitude.toFixed(6).replace('.', '_');
         const lon = metadata.longitude.toFixed(6).replace('.', '_');
-        const azimuth = Math.round(metadata.azimuth);
+        const azimuth = typeof metadata.azimuth === 'number' ? Math.round(metadata.azimuth) : 'NA';
         
         return `survey_${lat}_${lon}_az${azimuth}_${timestamp}.jpg`;
     }
@@ -122,18 +183,38 @@ class MetadataHandler {
     /**
      * Prepare complete metadata object
      */
-    prepareMetadata(pinData, compassData, userLocation) {
+    prepareMetadata(pinData, compassData, userLocation, project = null) {
         const timezone = this.getTimezoneInfo();
+        const heading = this.resolveHeading(compassData);
         
         return {
+            metadataVersion: MetadataHandler.METADATA_VERSION,
+
+            // Survey project
+            projectId: project ? project.id : null,
+            projectName: project ? project.name : null,
+            client: project ? project.client : null,
+            jobNumber: project ? project.jobNumber : null,
+            
             // Location data
             latitude: pinData.lat,
             longitude: pinData.lon,
+            positionSource: pinData.source || 'map',
+            positionAccuracy: typeof pinData.accuracy === 'number' ? pinData.accuracy : null,
+            occupation: pinData.occupation || null,
             
             // Camera data
-            azimuth: compassData.azimuth || 0,
+            azimuth: heading.azimuth,
+            headingReference: heading.reference,
+            magneticAzimuth: heading.magneticAzimuth,
+            trueAzimuth: heading.trueAzimuth,
+            declination: heading.declination,
+            declinationModel: heading.declination !== null ? (compassData.declinationModel || null) : null,
+            compassState: compassData.compassState || null,
+            headingStdDev: typeof compassData.headingStdDev === 'number' ? compassData.headingStdDev : null,
             distance: compassData.distance || 0,
-            elevation: compassData.elevation || null,
+            elevation: typeof compassData.elevation === 'number' ? compassData.elevation : null,
+            roll: typeof compassData.roll === 'number' ? compassData.roll : null,
             
             // User position
             userLatitude: userLocation ? userLocation.lat : null,
@@ -142,49 +223,244 @@ class MetadataHandler {
             // Time data
             datetime: this.formatDateTime(),
             timezone: timezone.full,
+            timezoneOffset: timezone.offset.replace('UTC', ''),
             timestamp: Date.now(),
             
             // Additional
             accuracy: userLocation ? userLocation.accuracy : null,
+            altitude: userLocation && typeof userLocation.altitude === 'number' ? userLocation.altitude : null,
             locked: compassData.locked || false
         };
     }
 
     /**
-     * Create text file with metadata
+     * compassData.azimuth is magnetic; with a declination the headingReference
+     * setting picks whether the photo's azimuth is true or magnetic. Without
+     * a compass reading the azimuth and its reference stay null.
      */
-    createMetadataTextFile(metadata) {
-        const content = `Field Survey Metadata
-=====================
+    resolveHeading(compassData) {
+        const magneticAzimuth = typeof compassData.azimuth === 'number' ? compassData.azimuth : null;
+        const declination = typeof compassData.declination === 'number' ? compassData.declination : null;
+        const trueAzimuth = magneticAzimuth !== null && declination !== null
+            ? ((magneticAzimuth + declination) % 360 + 360) % 360
+            : null;
+        const preferred = window.settingsManager ? window.settingsManager.get('headingReference') : 'true';
+        const reference = magneticAzimuth === null ? null
+            : preferred === 'true' && trueAzimuth !== null ? 'true' : 'magnetic';
+
+        return {
+            azimuth: reference === 'true' ? trueAzimuth : magneticAzimuth,
+            reference: reference,
+            magneticAzimuth: magneticAzimuth,
+            trueAzimuth: trueAzimuth,
+            declination: declination
+        };
+    }
+
+    /**
+     * Azimuth from true north for drawing on maps. Photos from before
+     * declination was recorded only have the compass reading.
+     */
+    getTrueAzimuth(metadata) {
+        return typeof metadata.trueAzimuth === 'number' ? metadata.trueAzimuth : metadata.azimuth;
+    }
+
+    /**
+     * "131° T" or "123° M"; older photos did not record the reference
+     */
+    formatAzimuth(metadata) {
+        if (typeof metadata.azimuth !== 'number') return 'N/A';
 
-PIN LOCATION:
-  Latitude:  ${metadata.latitude}
-  Longitude: ${metadata.longitude}
+        const suffix = { 'true': ' T', 'magnetic': ' M' }[metadata.headingReference] || '';
+        return `${Math.round(metadata.azimuth)}°${suffix}`;
+    }
+
+    /**
+     * "Stable (±2.1° spread)" from the compass state saved at capture
+     */
+    formatCompassState(metadata) {
+        const labels = {
+            stable: 'Stable',
+            noisy: 'Noisy',
+            calibrate: 'Needed calibration',
+            unknown: 'Not settled'
+        };
+        const label = labels[metadata.compassState] || metadata.compassState;
+        return typeof metadata.headingStdDev === 'number'
+            ? `${label} (±${metadata.headingStdDev.toFixed(1)}° spread)`
+            : label;
+    }
+
+    formatDeclination(declination) {
+        return `${Math.abs(declination).toFixed(1)}° ${declination >= 0 ? 'E' : 'W'}`;
+    }
+
+    getHeadingFields(metadata) {
+        const reference = { 'true': 'true north', 'magnetic': 'magnetic north' }[metadata.headingReference];
+        const fields = [
+            ['Azimuth', typeof metadata.azimuth === 'number'
+                ? `${Math.round(metadata.azimuth)}° ${reference ? `from ${reference}` : '(compass direction)'}`
+                : 'N/A (no compass reading)']
+        ];
+
+        if (typeof metadata.declination === 'number') {
+            const model = metadata.declinationModel ? ` (${metadata.declinationModel})` : '';
+            if (typeof metadata.trueAzimuth === 'number') {
+                fields.push(
+                    ['Magnetic Azimuth', `${Math.round(metadata.magneticAzimuth)}°`],
+                    ['True Azimuth', `${Math.round(metadata.trueAzimuth)}°`]
+                );
+            }
+            fields.push(['Declination', `${this.formatDeclination(metadata.declination)}${model}`]);
+        }
+        if (metadata.compassState) {
+            fields.push(['Compass', this.formatCompassState(metadata)]);
+        }
+        return fields;
+    }
+
+    /**
+     * Metadata grouped into titled sections of [label, value] fields.
+     * Shared by the text file and by exports that show the same details.
+     * formAnswers comes from FormManager.describeAnswers().
+     */
+    getMetadataSections(metadata, formAnswers = null) {
+        const hasValue = (value) => value !== null && value !== undefined && value !== '';
+        const orNA = (value) => hasValue(value) ? value : 'N/A';
+
+        const sections = [
+            {
+                title: 'PROJECT',
+                fields: [
+                    ['Name', orNA(metadata.projectName)],
+                    ['Client', orNA(metadata.client)],
+                    ['Job Number', orNA(metadata.jobNumber)]
+                ]
+            },
+            {
+                title: 'PIN LOCATION',
+                fields: [
+                    ['Latitude', metadata.latitude],
+                    ['Longitude', metadata.longitude]
+                ].concat(this.getFormattedCoordinateFields(metadata.latitude, metadata.longitude), [
+                    ['Source', this.getPositionSourceLabel(metadata.positionSource)],
+                    ['Accuracy', hasValue(metadata.positionAccuracy) ? `±${metadata.positionAccuracy.toFixed(1)} meters` : 'N/A']
+                ], this.getOccupationFields(metadata.occupation))
+            },
+            {
+                title: 'CAMERA ORIENTATION',
+                fields: this.getHeadingFields(metadata).concat([
+                    ['Elevation', this.getPitch(metadata) !== null ? `${Math.round(this.getPitch(metadata))}° (camera tilt)` : 'N/A'],
+                    ['Roll', hasValue(metadata.roll) ? `${metadata.roll.toFixed(1)}° (horizon, clockwise positive)` : 'N/A']
+                ])
+            },
+            {
+                title: 'USER POSITION (when photo taken)',
+                fields: [
+                    ['User Lat', orNA(metadata.userLatitude)],
+                    ['User Lon', orNA(metadata.userLongitude)]
+                ].concat(this.getFormattedCoordinateFields(metadata.userLatitude, metadata.userLongitude), [
+                    ['Accuracy', hasValue(metadata.accuracy) ? `±${metadata.accuracy} meters` : 'N/A'],
+                    ['Altitude', hasValue(metadata.altitude) ? `${Math.round(metadata.altitude)} meters` : 'N/A']
+                ])
+            },
+            {
+                title: 'TIMESTAMP',
+                fields: [
+                    ['Date/Time', metadata.datetime],
+                    ['Timezone', metadata.timezone],
+                    ['Unix Time', metadata.timestamp]
+                ]
+            }
+        ];
+
+        if (formAnswers && formAnswers.fields.length > 0) {
+            sections.push({
+                title: `SURVEY FORM (${formAnswers.formName})`,
+                fields: formAnswers.fields.map(([label, value]) => [label, orNA(value)])
+            });
+        }
+
+        return sections;
+    }
+
+    /**
+     * The position again in the chosen coordinate format; the decimal
+     * WGS84 fields are always kept alongside
+     */
+    getFormattedCoordinateFields(lat, lon) {
+        const format = this.coordinateConverter.getFormat();
+        if (format === 'dd' || typeof lat !== 'number' || typeof lon !== 'number') return [];
+
+        return this.coordinateConverter.describe(lat, lon, format).map(([label, value]) => {
+            const names = { Lat: 'Latitude (DMS)', Lon: 'Longitude (DMS)' };
+            return [names[label] || label, value];
+        });
+    }
+
+    /**
+     * Pins from before sources were recorded could only be map taps
+     */
+    getPositionSourceLabel(source) {
+        const labels = {
+            'map': 'Map tap',
+            'gps': 'GPS fix',
+            'gps-averaged': 'GPS averaged'
+        };
+        return labels[source] || labels.map;
+    }
+
+    /**
+     * One-line summary of a pin's position source and accuracy, e.g. "🛰️ GPS fix · ±4 m"
+     */
+    describePositionSource(pin) {
+        if (pin.occupation) {
+            return `📡 Averaged from ${pin.occupation.fixCount} fixes · ±${pin.occupation.stdDev.toFixed(2)} m std dev`;
+        }
 
-CAMERA ORIENTATION:
-  Azimuth:   ${Math.round(metadata.azimuth)}° (compass direction)
-  Elevation: ${metadata.elevation ? Math.round(metadata.elevation) : 'N/A'}° (camera tilt)
+        const icon = pin.source === 'gps' ? '🛰️' : '📍';
+        const accuracy = typeof pin.accuracy === 'number' ? ` · ±${Math.round(pin.accuracy)} m` : '';
+        return `${icon} ${this.getPositionSourceLabel(pin.source)}${accuracy}`;
+    }
+
+    /**
+     * Quality statistics of an averaged (occupied) pin position
+     */
+    getOccupationFields(occupation) {
+        if (!occupation) return [];
+
+        return [
+            ['Position', `Averaged from ${occupation.fixCount} fixes over ${occupation.durationSeconds} s`],
+            ['Std Dev', `±${occupation.stdDev.toFixed(2)} m (N ±${occupation.stdDevNorth.toFixed(2)} m, E ±${occupation.stdDevEast.toFixed(2)} m)`],
+            ['Mean Accuracy', `±${occupation.meanAccuracy.toFixed(1)} meters`],
+            ['Accuracy Limit', `±${occupation.maxAccuracy} meters (${occupation.rejectedCount} fixes rejected)`]
+        ];
+    }
 
-USER POSITION (when photo taken):
-  User Lat:  ${metadata.userLatitude || 'N/A'}
-  User Lon:  ${metadata.userLongitude || 'N/A'}
-  Accuracy:  ±${metadata.accuracy || 'N/A'} meters
+    /**
+     * Create text file with metadata
+     */
+    createMetadataTextFile(metadata, formAnswers = null) {
+        const sections = this.getMetadataSections(metadata, formAnswers).map(section => {
+            const width = Math.max(...section.fields.map(([label]) => label.length)) + 2;
+            const lines = section.fields.map(([label, value]) => `  ${(label + ':').padEnd(width)}${value}`);
+            return `${section.title}:\n${lines.join('\n')}`;
+        });
+
+        return `Field Survey Metadata
+=====================
 
-TIMESTAMP:
-  Date/Time: ${metadata.datetime}
-  Timezone:  ${metadata.timezone}
-  Unix Time: ${metadata.timestamp}
+${sections.join('\n\n')}
 
 Generated by Field Survey App
 `;
-        return content;
     }
 
     /**
      * Download metadata as text file
      */
-    downloadMetadataFile(metadata, filename) {
-        const content = this.createMetadataTextFile(metadata);
+    downloadMetadataFile(metadata, filename, formAnswers = null) {
+        const content = this.createMetadataTextFile(metadata, formAnswers);
         const blob = new Blob([content], { type: 'text/plain' });
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
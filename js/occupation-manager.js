@@ -0,0 +1,165 @@
+// Occupation Manager - "Occupy point" mode: averages GPS fixes while the
+// surveyor stands over a point, then drops a pin at the averaged position
+class OccupationManager {
+    constructor() {
+        this.averager = null;
+        this.timer = null;
+        this.onComplete = null;
+        this.init();
+    }
+
+    init() {
+        console.log('Occupation Manager initialized');
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('occupy-btn').addEventListener('click', () => {
+            this.start();
+        });
+
+        document.getElementById('occupy-finish-btn').addEventListener('click', () => {
+            this.finish();
+        });
+
+        document.getElementById('occupy-cancel-btn').addEventListener('click', () => {
+            this.cancel();
+        });
+
+        document.getElementById('close-occupy-modal').addEventListener('click', () => {
+            this.cancel();
+        });
+    }
+
+    isActive() {
+        return this.averager !== null;
+    }
+
+    /**
+     * Start collecting fixes. onComplete(result) receives the averaged
+     * position; by default a new pin is dropped there.
+     */
+    start(onComplete = null) {
+        if (this.isActive()) return;
+
+        const settings = window.settingsManager;
+        this.fixCount = settings ? settings.get('occupationFixCount') : 30;
+        this.duration = settings ? settings.get('occupationDuration') : 60;
+        this.averager = new PositionAverager(settings ? settings.get('occupationMaxAccuracy') : 10);
+        this.onComplete = onComplete || (result => this.dropPin(result));
+
+        document.getElementById('occupy-modal').classList.add('active');
+        this.timer = setInterval(() => this.tick(), 1000);
+
+        // Use the fix we already have rather than waiting for the next one
+        if (window.app && window.app.currentPosition) {
+            this.addFix(window.app.currentPosition);
+        }
+        this.updateDisplay();
+    }
+
+    /**
+     * Called by FieldSurveyApp for every position update
+     */
+    addFix(position) {
+        if (!this.isActive()) return;
+
+        this.lastAccuracy = position.accuracy;
+        this.averager.addFix(position);
+        this.updateDisplay();
+
+        if (this.averager.count >= this.fixCount) {
+            this.finish();
+        }
+    }
+
+    tick() {
+        if (!this.isActive()) return;
+
+        this.updateDisplay();
+        if (this.averager.getElapsedSeconds() >= this.duration) {
+            this.finish();
+        }
+    }
+
+    finish() {
+        if (!this.isActive()) return;
+
+        const result = this.averager.getResult();
+        const maxAccuracy = this.averager.maxAccuracy;
+        const onComplete = this.onComplete;
+        this.stop();
+
+        if (!result) {
+            this.showStatus(`⚠️ No GPS fixes better than ±${maxAccuracy} m were received. Try again in the open, or raise the accuracy limit in Settings.`, 'error', false);
+            return;
+        }
+
+        onComplete(result);
+    }
+
+    cancel() {
+        if (!this.isActive()) return;
+
+        this.stop();
+        this.showStatus('Point occupation cancelled', 'info');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.averager = null;
+        this.onComplete = null;
+        this.lastAccuracy = null;
+        document.getElementById('occupy-modal').classList.remove('active');
+    }
+
+    dropPin(result) {
+        if (!window.pinManager) return;
+
+        window.pinManager.createPin(result.lat, result.lon, {
+            source: 'gps-averaged',
+            accuracy: result.meanAccuracy,
+            occupation: result
+        });
+        this.showStatus(`Averaged ${result.fixCount} fixes: ±${result.stdDev.toFixed(2)} m std dev`, 'success');
+    }
+
+    updateDisplay() {
+        if (!this.isActive()) return;
+
+        const averager = this.averager;
+        const result = averager.getResult();
+        const elapsed = Math.min(this.duration, Math.floor(averager.getElapsedSeconds()));
+
+        const progress = document.getElementById('occupy-progress');
+        progress.max = 1;
+        progress.value = Math.max(averager.count / this.fixCount, elapsed / this.duration);
+
+        document.getElementById('occupy-fix-count').textContent = `${averager.count} / ${this.fixCount}`;
+        document.getElementById('occupy-rejected').textContent = `${averager.rejectedCount} (worse than ±${averager.maxAccuracy} m)`;
+        document.getElementById('occupy-elapsed').textContent = `${elapsed} / ${this.duration} s`;
+        document.getElementById('occupy-accuracy').textContent =
+            typeof this.lastAccuracy === 'number' ? `±${this.lastAccuracy.toFixed(1)} m` : '--';
+        document.getElementById('occupy-mean').textContent =
+            result ? `${result.lat.toFixed(7)}, ${result.lon.toFixed(7)}` : '--';
+        document.getElementById('occupy-stddev').textContent =
+            result && result.fixCount > 1 ? `±${result.stdDev.toFixed(2)} m` : '--';
+
+        document.getElementById('occupy-finish-btn').disabled = averager.count === 0;
+    }
+
+    showStatus(message, type = 'info', autoClear = true) {
+        if (window.app) {
+            window.app.showStatus(message, type);
+            if (autoClear) {
+                setTimeout(() => window.app.clearStatus(), 3000);
+            }
+        }
+    }
+}
+
+// Initialize occupation manager when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.occupationManager = new OccupationManager();
+});
@@ -0,0 +1,289 @@
+// Offline Map Manager - Screen for choosing a survey area, downloading its
+// basemap tiles and listing or deleting areas already on the device
+class OfflineMapManager {
+    constructor() {
+        this.tileCache = new TileCache();
+        this.selectedBounds = null;
+        this.downloadController = null;
+        this.init();
+    }
+
+    init() {
+        console.log('Offline Map Manager initialized');
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('offline-maps-btn').addEventListener('click', () => {
+            if (window.exportManager) {
+                window.exportManager.closeModal();
+            }
+            this.openModal();
+        });
+
+        document.getElementById('close-offline-modal').addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        document.getElementById('offline-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'offline-modal') {
+                this.closeModal();
+            }
+        });
+
+        document.getElementById('offline-use-view-btn').addEventListener('click', () => {
+            this.setBounds(window.mapManager.getViewBounds());
+        });
+
+        document.getElementById('offline-draw-area-btn').addEventListener('click', () => {
+            this.drawArea();
+        });
+
+        ['offline-min-zoom', 'offline-max-zoom'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateEstimate());
+        });
+
+        document.getElementById('offline-download-btn').addEventListener('click', () => {
+            this.downloadSelectedArea();
+        });
+
+        document.getElementById('offline-cancel-btn').addEventListener('click', () => {
+            if (this.downloadController) {
+                this.downloadController.abort();
+            }
+        });
+    }
+
+    openModal() {
+        document.getElementById('offline-modal').classList.add('active');
+
+        // Start from a zoom range around the current view
+        const zoom = window.mapManager.getMap().getZoom();
+        const minInput = document.getElementById('offline-min-zoom');
+        const maxInput = document.getElementById('offline-max-zoom');
+        if (!minInput.value) minInput.value = Math.max(1, zoom - 2);
+        if (!maxInput.value) maxInput.value = Math.min(this.tileCache.maxZoom, Math.max(zoom, 17));
+
+        if (!this.selectedBounds) {
+            this.setBounds(window.mapManager.getViewBounds());
+        } else {
+            this.updateEstimate();
+        }
+
+        this.renderAreaList();
+    }
+
+    closeModal() {
+        document.getElementById('offline-modal').classList.remove('active');
+        if (!this.downloadController) {
+            window.mapManager.clearAreaRectangle();
+        }
+    }
+
+    /**
+     * Hide the modal while the user taps two corners on the map
+     */
+    drawArea() {
+        document.getElementById('offline-modal').classList.remove('active');
+        this.showStatus('Tap two opposite corners of the area on the map', 'info', false);
+
+        window.mapManager.startAreaSelection(bounds => {
+            window.app.clearStatus();
+            this.setBounds(bounds);
+            document.getElementById('offline-modal').classList.add('active');
+        });
+    }
+
+    setBounds(bounds) {
+        this.selectedBounds = bounds;
+        window.mapManager.showAreaRectangle(bounds);
+
+        document.getElementById('offline-area-bounds').textContent =
+            `${bounds.south.toFixed(4)}, ${bounds.west.toFixed(4)} → ${bounds.north.toFixed(4)}, ${bounds.east.toFixed(4)}`;
+        this.updateEstimate();
+    }
+
+    getZoomRange() {
+        const minZoom = parseInt(document.getElementById('offline-min-zoom').value, 10);
+        const maxZoom = parseInt(document.getElementById('offline-max-zoom').value, 10);
+
+        if (!Number.isInteger(minZoom) || !Number.isInteger(maxZoom)) return null;
+        if (minZoom < 1 || maxZoom > this.tileCache.maxZoom || minZoom > maxZoom) return null;
+        return { minZoom: minZoom, maxZoom: maxZoom };
+    }
+
+    updateEstimate() {
+        const estimateText = document.getElementById('offline-estimate');
+        const downloadButton = document.getElementById('offline-download-btn');
+        const zooms = this.getZoomRange();
+
+        if (!this.selectedBounds || !zooms) {
+            estimateText.textContent = `Choose an area and a zoom range between 1 and ${this.tileCache.maxZoom}`;
+            estimateText.className = 'offline-estimate invalid';
+            downloadButton.disabled = true;
+            return;
+        }
+
+        const estimate = this.tileCache.estimate(this.selectedBounds, zooms.minZoom, zooms.maxZoom);
+        let text = `${estimate.count} tiles · about ${this.tileCache.formatBytes(estimate.bytes)}`;
+        if (estimate.tooMany) {
+            text += ` — over the ${this.tileCache.maxTiles}-tile limit; pick a smaller area or fewer zoom levels`;
+        }
+
+        estimateText.textContent = text;
+        estimateText.className = 'offline-estimate' + (estimate.tooMany ? ' invalid' : '');
+        downloadButton.disabled = estimate.tooMany || !!this.downloadController;
+    }
+
+    async downloadSelectedArea() {
+        const zooms = this.getZoomRange();
+        if (!this.selectedBounds || !zooms || this.downloadController) return;
+
+        const nameInput = document.getElementById('offline-area-name');
+        const progress = document.getElementById('offline-progress');
+        const progressBar = document.getElementById('offline-progress-bar');
+        const progressText = document.getElementById('offline-progress-text');
+
+        this.downloadController = new AbortController();
+        this.setDownloading(true);
+        progressBar.value = 0;
+        progressText.textContent = 'Starting download...';
+        progress.style.display = 'block';
+
+        try {
+            const area = await this.tileCache.downloadArea({
+                name: nameInput.value.trim() || `Area ${this.tileCache.getAreas().length + 1}`,
+                bounds: this.selectedBounds,
+                minZoom: zooms.minZoom,
+                maxZoom: zooms.maxZoom
+            }, (done, total) => {
+                progressBar.max = total;
+                progressBar.value = done;
+                progressText.textContent = `${done} / ${total} tiles`;
+            }, this.downloadController.signal);
+
+            nameInput.value = '';
+            if (area.failedTiles > 0) {
+                this.showStatus(`⚠️ "${area.name}" saved, but ${area.failedTiles} tiles failed to download`, 'warning', false);
+            } else {
+                this.showStatus(`"${area.name}" is available offline (${this.tileCache.formatBytes(area.bytes)})`, 'success');
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showStatus('Tile download cancelled', 'info');
+            } else {
+                console.error('Error downloading tiles:', error);
+                const message = error.name === 'QuotaExceededError' ? 'device storage is full' : error.message;
+                this.showStatus(`⚠️ Tile download failed: ${message}`, 'error', false);
+            }
+        } finally {
+            this.downloadController = null;
+            this.setDownloading(false);
+            progress.style.display = 'none';
+            this.updateEstimate();
+            this.renderAreaList();
+        }
+    }
+
+    setDownloading(downloading) {
+        document.getElementById('offline-download-btn').style.display = downloading ? 'none' : '';
+        document.getElementById('offline-cancel-btn').style.display = downloading ? '' : 'none';
+        document.getElementById('offline-use-view-btn').disabled = downloading;
+        document.getElementById('offline-draw-area-btn').disabled = downloading;
+    }
+
+    async renderAreaList() {
+        const list = document.getElementById('offline-area-list');
+        const areas = this.tileCache.getAreas();
+
+        list.innerHTML = '';
+        if (areas.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'no-photo-text';
+            empty.textContent = 'No areas downloaded yet';
+            list.appendChild(empty);
+        }
+        areas.forEach(area => list.appendChild(this.createAreaItem(area)));
+
+        const usage = document.getElementById('offline-storage-usage');
+        const estimate = await this.tileCache.getStorageEstimate();
+        usage.textContent = estimate
+            ? `Device storage used: ${this.tileCache.formatBytes(estimate.usage)} of ${this.tileCache.formatBytes(estimate.quota)}`
+            : '';
+    }
+
+    createAreaItem(area) {
+        const item = document.createElement('li');
+        item.className = 'project-item';
+
+        const info = document.createElement('div');
+        info.className = 'project-item-info';
+
+        const name = document.createElement('strong');
+        name.textContent = area.name;
+        info.appendChild(name);
+
+        const details = document.createElement('span');
+        details.className = 'project-item-details';
+        details.textContent = [
+            `${area.tileCount} tiles`,
+            this.tileCache.formatBytes(area.bytes),
+            `zoom ${area.minZoom}–${area.maxZoom}`,
+            new Date(area.createdAt).toLocaleDateString(),
+            area.failedTiles ? `${area.failedTiles} missing` : ''
+        ].filter(Boolean).join(' · ');
+        info.appendChild(details);
+
+        item.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'project-item-actions';
+        actions.appendChild(this.createActionButton('Show', 'btn-primary', () => this.showArea(area)));
+        actions.appendChild(this.createActionButton('Delete', 'btn-danger', () => this.deleteArea(area)));
+
+        item.appendChild(actions);
+        return item;
+    }
+
+    createActionButton(label, className, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${className}`;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    showArea(area) {
+        this.closeModal();
+        window.mapManager.showAreaRectangle(area.bounds, true);
+    }
+
+    async deleteArea(area) {
+        if (!confirm(`Delete offline map "${area.name}"?`)) return;
+
+        try {
+            await this.tileCache.deleteArea(area.id);
+            this.showStatus(`Offline map "${area.name}" deleted`, 'success');
+        } catch (error) {
+            console.error('Error deleting offline area:', error);
+            this.showStatus(`⚠️ Could not delete offline map: ${error.message}`, 'error', false);
+        }
+
+        this.renderAreaList();
+    }
+
+    showStatus(message, type = 'info', autoClear = true) {
+        if (window.app) {
+            window.app.showStatus(message, type);
+            if (autoClear) {
+                setTimeout(() => window.app.clearStatus(), 3000);
+            }
+        }
+    }
+}
+
+// Initialize offline map manager when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.offlineMapManager = new OfflineMapManager();
+});
@@ -3,13 +3,29 @@ class OrientationManager {
     constructor() {
         this.azimuth = null;
         this.pitch = null;
+        this.roll = null;
         this.isTracking = false;
         this.hasReceivedData = false;
-        
-        // Smoothing for azimuth to reduce jitter
-        this.azimuthBuffer = [];
-        this.bufferSize = 5; // Average over last 5 readings
-        this.smoothedAzimuth = null;
+        this.hasAbsoluteData = false;
+        this.compassAccuracy = null; // iOS only, degrees (-1 = uncalibrated)
+
+        // Low-pass filter for azimuth to reduce jitter; its spread drives
+        // the compass state shown in the header (degrees std dev)
+        const settings = window.settingsManager;
+        this.headingFilter = new HeadingFilter(settings ? settings.get('compassResponse') : 0.5);
+        this.compassThresholds = { stable: 5, noisy: 15 };
+        this.minCompassSamples = 10;
+
+        // Bubble level: degrees counted as level, and the bubble's full travel
+        this.levelTolerance = 1.5;
+        this.levelRange = 15;
+        this.tilt = null;
+
+        // The sensors report magnetic north; declination from the World
+        // Magnetic Model at the last GPS fix turns that into true north
+        this.magneticModel = new MagneticModel();
+        this.declination = null;
+        this.declinationPosition = null;
         
         this.init();
     }
@@ -18,6 +34,13 @@ class OrientationManager {
         console.log('Initializing Orientation Manager...');
         console.log('User Agent:', navigator.userAgent);
         console.log('Secure Context (HTTPS):', window.isSecureContext);
+
+        document.addEventListener('settingschange', (e) => {
+            if (e.detail.key === 'compassResponse') {
+                this.headingFilter.timeConstant = e.detail.value;
+            }
+        });
+
         this.addPermissionButton();
         this.checkSensorSupport();
         this.startTracking();
@@ -178,8 +201,8 @@ class OrientationManager {
     }
 
     handleOrientationAbsolute(event) {
-        // DeviceOrientationEvent with absolute = true provides compass heading
-        // alpha: 0-360 degrees (0 = North, 90 = East, 180 = South, 270 = West)
+        // DeviceOrientationEvent with absolute = true is referenced to north
+        // alpha: 0-360 degrees, counter-clockwise from north with the device flat
         // beta: -180 to 180 degrees (pitch - forward/backward tilt)
         // gamma: -90 to 90 degrees (roll - left/right tilt)
 
@@ -187,46 +210,12 @@ class OrientationManager {
             console.log('First orientation data received!');
             this.hasReceivedData = true;
         }
+        this.hasAbsoluteData = true;
 
-        let rawAlpha = event.alpha;
-        let rawBeta = event.beta;
-        let rawGamma = event.gamma;
-
-        // Calculate pitch first (we need it for azimuth correction)
-        if (rawBeta !== null) {
-            // Normalize to -90 to 90 range where:
-            // 0 = horizon (phone vertical, camera forward)
-            // 90 = straight up (phone tilted back)
-            // -90 = straight down (phone tilted forward)
-            this.pitch = Math.round(rawBeta - 90);
-            
-            // Clamp to -90 to 90 range
-            if (this.pitch > 90) this.pitch = 90;
-            if (this.pitch < -90) this.pitch = -90;
-        }
+        this.updateTilt(event.beta, event.gamma);
 
-        if (rawAlpha !== null && rawBeta !== null) {
-            // Convert alpha to azimuth (0 = North)
-            let azimuth = rawAlpha;
-            
-            // IMPORTANT: Compensate for magnetometer reversal at high pitch angles
-            // When the phone is tilted past ~45 degrees (pitch > -45), the magnetometer
-            // reading flips by 180 degrees. We need to correct this.
-            // The camera's forward direction should always represent the azimuth.
-            
-            // When pitch is high (phone tilted back, camera pointing up):
-            // rawBeta ranges from ~90 to 180 (or -90 to -180 depending on device)
-            // pitch ranges from 0 to 90 degrees
-            
-            if (this.pitch > 45) {
-                // Phone is tilted significantly back (camera pointing upward)
-                // Magnetometer reading is reversed, so flip it by 180 degrees
-                azimuth = (rawAlpha + 180) % 360;
-                console.log(`Pitch compensation applied: pitch=${this.pitch}°, raw alpha=${rawAlpha}°, corrected=${azimuth}°`);
-            }
-            
-            this.azimuth = Math.round(azimuth);
-            this.smoothedAzimuth = this.smoothAzimuth(this.azimuth);
+        if (event.alpha !== null && event.beta !== null) {
+            this.addHeading(this.getCameraHeading(event.alpha, event.beta, event.gamma || 0));
         }
 
         this.updateDisplay();
@@ -241,57 +230,201 @@ class OrientationManager {
             console.log('First orientation data received (non-absolute)!');
             this.hasReceivedData = true;
         }
+
+        // Chrome sends relative events alongside the absolute ones; their
+        // alpha starts wherever the phone was pointing, so ignore them
+        if (this.hasAbsoluteData && !event.absolute) return;
         
-        let rawBeta = event.beta;
-        
-        // Calculate pitch first
-        if (rawBeta !== null) {
-            this.pitch = Math.round(rawBeta - 90);
-            if (this.pitch > 90) this.pitch = 90;
-            if (this.pitch < -90) this.pitch = -90;
-        }
+        this.updateTilt(event.beta, event.gamma);
         
-        // Handle azimuth with pitch compensation
-        if (event.webkitCompassHeading !== undefined) {
-            let azimuth = event.webkitCompassHeading;
-            
-            // Apply pitch compensation for iOS devices too
-            if (this.pitch > 45) {
-                azimuth = (azimuth + 180) % 360;
-                console.log(`iOS Pitch compensation: pitch=${this.pitch}°, raw=${event.webkitCompassHeading}°, corrected=${azimuth}°`);
-            }
-            
-            this.azimuth = Math.round(azimuth);
-            this.smoothedAzimuth = this.smoothAzimuth(this.azimuth);
+        if (event.webkitCompassHeading !== undefined && event.webkitCompassHeading !== null) {
+            // iOS heading is clockwise from north; as an absolute alpha it
+            // goes through the same tilt handling as other devices
+            this.compassAccuracy = typeof event.webkitCompassAccuracy === 'number' ? event.webkitCompassAccuracy : null;
+            this.addHeading(this.getCameraHeading(360 - event.webkitCompassHeading, event.beta || 0, event.gamma || 0));
         } else if (event.alpha !== null) {
             // Approximate heading from alpha (may not be accurate without magnetometer)
-            let azimuth = 360 - event.alpha;
-            
-            // Apply pitch compensation
-            if (this.pitch > 45) {
-                azimuth = (azimuth + 180) % 360;
-            }
-            
-            this.azimuth = Math.round(azimuth);
-            this.smoothedAzimuth = this.smoothAzimuth(this.azimuth);
+            this.addHeading(this.getCameraHeading(event.alpha, event.beta || 0, event.gamma || 0));
         }
 
         this.updateDisplay();
         this.updateMapMarker();
     }
 
+    /**
+     * Pitch and roll of the rear camera from beta and gamma. Alpha only
+     * turns the phone about the vertical, so it does not change either.
+     */
+    updateTilt(rawBeta, rawGamma) {
+        if (rawBeta === null || rawBeta === undefined) return;
+
+        const toRad = Math.PI / 180;
+        const beta = rawBeta * toRad;
+        const gamma = (rawGamma || 0) * toRad;
+
+        // "Up" seen from the device: x to the right of the screen, y to its top
+        const upX = -Math.cos(beta) * Math.sin(gamma);
+        const upY = Math.sin(beta);
+        const upZ = Math.cos(beta) * Math.cos(gamma);
+
+        // Pitch in the -90 to 90 range where:
+        // 0 = horizon (phone vertical, camera forward)
+        // 90 = straight up (phone tilted back)
+        // -90 = straight down (phone tilted forward)
+        const pitch = Math.asin(Math.max(-1, Math.min(1, -upZ))) / toRad;
+        this.pitch = Math.round(pitch * 10) / 10;
+
+        // Roll is how far the picture's horizon is turned: 0 = level,
+        // positive = turned clockwise (right side down), ±90 = landscape.
+        // Looking (nearly) straight up or down there is no horizon to measure.
+        this.roll = Math.abs(pitch) < 80
+            ? Math.round(Math.atan2(-upX, upY) / toRad * 10) / 10
+            : null;
+
+        // Kept for the level guide when the camera points at the ground
+        this.tilt = { beta: rawBeta, gamma: rawGamma || 0 };
+    }
+
+    /**
+     * Compass direction of the rear camera from the device rotation.
+     * Working from the full rotation keeps the heading steady as the phone
+     * tilts back past vertical, where alpha alone swings round by 180°.
+     * Returns null when the camera points nearly straight up or down.
+     */
+    getCameraHeading(alpha, beta, gamma) {
+        const toRad = Math.PI / 180;
+        const cA = Math.cos(alpha * toRad);
+        const sA = Math.sin(alpha * toRad);
+        const cB = Math.cos(beta * toRad);
+        const sB = Math.sin(beta * toRad);
+        const cG = Math.cos(gamma * toRad);
+        const sG = Math.sin(gamma * toRad);
+
+        // The camera looks along the device's -z axis; east and north parts
+        const east = -(cA * sG + sA * sB * cG);
+        const north = cA * sB * cG - sA * sG;
+        if (Math.sqrt(east * east + north * north) < 0.1) return null;
+
+        return ((Math.atan2(east, north) / toRad) + 360) % 360;
+    }
+
+    addHeading(heading) {
+        if (heading === null) return;
+
+        const filtered = this.headingFilter.addSample(heading);
+        this.azimuth = Math.round(filtered * 10) / 10;
+    }
+
+    /**
+     * 'stable', 'noisy', 'calibrate' (needs a figure-8) or 'unknown' before
+     * enough readings, with the spread of recent readings in degrees
+     */
+    getCompassStatus() {
+        const filter = this.headingFilter;
+        if (filter.sampleCount < this.minCompassSamples) {
+            return { state: 'unknown', stdDev: null };
+        }
+
+        const stdDev = filter.getStdDev();
+        const badAccuracy = this.compassAccuracy !== null &&
+            (this.compassAccuracy < 0 || this.compassAccuracy > this.compassThresholds.noisy);
+        let state = 'stable';
+        if (badAccuracy || stdDev > this.compassThresholds.noisy) {
+            state = 'calibrate';
+        } else if (stdDev > this.compassThresholds.stable) {
+            state = 'noisy';
+        }
+
+        return { state: state, stdDev: stdDev };
+    }
+
     updateDisplay() {
         const azimuthElement = document.getElementById('azimuth');
         const pitchElement = document.getElementById('pitch');
 
         if (this.azimuth !== null && azimuthElement) {
-            const direction = this.getCardinalDirection(this.azimuth);
-            azimuthElement.textContent = `Azimuth: ${this.azimuth}° (${direction})`;
+            const trueAzimuth = this.getTrueAzimuth();
+            const direction = this.getCardinalDirection(trueAzimuth !== null ? trueAzimuth : this.azimuth);
+            const trueText = trueAzimuth !== null ? `${Math.round(trueAzimuth)}° T` : '--° T';
+            azimuthElement.textContent = `Azimuth: ${Math.round(this.azimuth)}° M · ${trueText} (${direction})`;
+            azimuthElement.title = this.declination !== null
+                ? `Declination ${this.formatDeclination(this.declination)} (${this.magneticModel.name})`
+                : 'True heading needs a GPS fix';
         }
 
         if (this.pitch !== null && pitchElement) {
-            pitchElement.textContent = `Pitch: ${this.pitch}°`;
+            pitchElement.textContent = `Pitch: ${Math.round(this.pitch)}°`;
+        }
+
+        this.updateCompassState();
+        this.updateLevelGuide();
+    }
+
+    /**
+     * Bubble level in the pin modal. Pointing at the horizon the bubble
+     * shows roll (sideways) and pitch; pointing down it shows how far the
+     * phone is from flat, for plan-view photos of the ground.
+     */
+    updateLevelGuide() {
+        const guide = document.getElementById('level-guide');
+        if (!guide || this.pitch === null || !document.getElementById('pin-modal').classList.contains('active')) return;
+
+        const status = this.getLevelStatus();
+        const range = this.levelRange;
+        const clamp = (value) => Math.max(-range, Math.min(range, value)) / range;
+        const bubble = document.getElementById('level-bubble');
+        bubble.style.left = `${50 + clamp(status.x) * 40}%`;
+        bubble.style.top = `${50 + clamp(status.y) * 40}%`;
+
+        document.getElementById('level-horizon').style.transform = `rotate(${status.mode === 'horizon' ? -this.roll : 0}deg)`;
+        document.getElementById('level-readout').textContent = status.mode === 'horizon'
+            ? `Roll ${this.roll.toFixed(1)}° · Pitch ${this.pitch.toFixed(1)}°${status.level ? ' · Level' : ''}`
+            : `Pointing down · ${status.offVertical.toFixed(1)}° off vertical${status.level ? ' · Level' : ''}`;
+        guide.classList.toggle('level-ok', status.level);
+    }
+
+    /**
+     * x/y are the bubble offsets in degrees (right and down positive). As on
+     * a spirit level the bubble drifts to the high side, and when the camera
+     * aims above the horizon it rises. level is within levelTolerance.
+     */
+    getLevelStatus() {
+        if (this.pitch < -45 && this.tilt) {
+            const offVertical = 90 + this.pitch;
+            return {
+                mode: 'down',
+                x: -this.tilt.gamma,
+                y: -this.tilt.beta,
+                offVertical: offVertical,
+                level: offVertical <= this.levelTolerance
+            };
         }
+
+        const roll = this.roll || 0;
+        return {
+            mode: 'horizon',
+            x: -roll,
+            y: -this.pitch,
+            level: Math.abs(roll) <= this.levelTolerance && Math.abs(this.pitch) <= this.levelTolerance
+        };
+    }
+
+    updateCompassState() {
+        const element = document.getElementById('compass-state');
+        if (!element) return;
+
+        const status = this.getCompassStatus();
+        const labels = {
+            unknown: '🧭 --',
+            stable: '🧭 Stable',
+            noisy: '⚠️ Noisy',
+            calibrate: '🔄 Calibrate: wave phone in a figure-8'
+        };
+        const spread = status.stdDev !== null ? ` ±${Math.round(status.stdDev)}°` : '';
+
+        element.textContent = labels[status.state] + (status.state === 'calibrate' ? '' : spread);
+        element.className = `compass-state compass-${status.state}`;
+        element.title = status.stdDev !== null ? `Heading spread ±${status.stdDev.toFixed(1)}° (std dev)` : 'Waiting for compass readings';
     }
 
     getCardinalDirection(azimuth) {
@@ -301,40 +434,58 @@ class OrientationManager {
         return directions[index];
     }
 
-    smoothAzimuth(newAzimuth) {
-        // Add new reading to buffer
-        this.azimuthBuffer.push(newAzimuth);
-        
-        // Keep buffer at specified size
-        if (this.azimuthBuffer.length > this.bufferSize) {
-            this.azimuthBuffer.shift();
+    updateMapMarker() {
+        // Update the map marker rotation if map manager is available
+        // The map is drawn to true north
+        if (window.mapManager && this.azimuth !== null) {
+            const heading = this.declination !== null
+                ? this.toTrueHeading(this.azimuth, this.declination)
+                : this.azimuth;
+            window.mapManager.updateUserLocationRotation(heading);
         }
-        
-        // Handle wraparound at 0/360 degrees
-        // Check if readings span across the 0/360 boundary
-        const hasWraparound = this.azimuthBuffer.some(v => v < 90) && 
-                              this.azimuthBuffer.some(v => v > 270);
-        
-        let average;
-        if (hasWraparound) {
-            // Normalize values for averaging across 0/360 boundary
-            const normalized = this.azimuthBuffer.map(v => v < 180 ? v + 360 : v);
-            average = normalized.reduce((a, b) => a + b, 0) / normalized.length;
-            average = average % 360;
-        } else {
-            // Simple average
-            average = this.azimuthBuffer.reduce((a, b) => a + b, 0) / this.azimuthBuffer.length;
+    }
+
+    /**
+     * Called by FieldSurveyApp for every position update. Declination
+     * changes slowly, so it is only recalculated after moving ~1 km.
+     */
+    updateDeclination(position) {
+        const last = this.declinationPosition;
+        if (last && Math.abs(last.lat - position.lat) < 0.01 && Math.abs(last.lon - position.lon) < 0.01) {
+            return;
         }
-        
-        return Math.round(average);
+
+        this.declination = this.getDeclinationAt(position.lat, position.lon, position.altitude);
+        this.declinationPosition = { lat: position.lat, lon: position.lon };
+        this.updateDisplay();
+        this.updateMapMarker();
     }
 
-    updateMapMarker() {
-        // Update the map marker rotation if map manager is available
-        // Use smoothed azimuth to reduce jitter
-        if (window.mapManager && this.smoothedAzimuth !== null) {
-            window.mapManager.updateUserLocationRotation(this.smoothedAzimuth);
+    /**
+     * Magnetic declination in degrees (east positive) at a position today
+     */
+    getDeclinationAt(lat, lon, altitude = 0) {
+        const now = new Date();
+        if (!this.magneticModel.isValidFor(now)) {
+            console.warn(`${this.magneticModel.name} is not valid for ${now.getUTCFullYear()}; declination is extrapolated`);
         }
+        return this.magneticModel.getDeclination(lat, lon, typeof altitude === 'number' ? altitude : 0, now);
+    }
+
+    toTrueHeading(magneticAzimuth, declination) {
+        return ((magneticAzimuth + declination) % 360 + 360) % 360;
+    }
+
+    /**
+     * True-north azimuth, or null until a GPS fix gives the declination
+     */
+    getTrueAzimuth() {
+        if (this.azimuth === null || this.declination === null) return null;
+        return this.toTrueHeading(this.azimuth, this.declination);
+    }
+
+    formatDeclination(declination) {
+        return `${Math.abs(declination).toFixed(1)}° ${declination >= 0 ? 'E' : 'W'}`;
     }
 
     showStatus(message, type = 'info') {
@@ -358,6 +509,22 @@ class OrientationManager {
     getPitch() {
         return this.pitch;
     }
+
+    getRoll() {
+        return this.roll;
+    }
+
+    /**
+     * Everything a photo records about how the camera was held
+     */
+    getCaptureOrientation() {
+        return {
+            azimuth: this.azimuth,
+            pitch: this.pitch,
+            roll: this.roll,
+            compass: this.getCompassStatus()
+        };
+    }
 }
 
 // Initialize orientation manager when DOM is ready
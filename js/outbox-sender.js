@@ -0,0 +1,331 @@
+// Outbox Sender - Uploads queued locations and photos to the configured
+// endpoint. It runs in the page and in the service worker (Background Sync),
+// so it only uses IndexedDB and fetch. An item is claimed with a lease before
+// it is sent, so the two never upload the same item at once, and it is only
+// marked sent once the server has answered with a 2xx status.
+class OutboxSender {
+    constructor(dbName = 'field-survey') {
+        this.dbName = dbName;
+
+        // A claimed item is given back if the sender disappears mid-upload
+        this.leaseTime = 2 * 60 * 1000;
+        this.requestTimeout = 60 * 1000;
+
+        // Retry after 30 s, 1 min, 2 min ... up to an hour; an item is
+        // marked failed (and kept) after this many attempts
+        this.baseDelay = 30 * 1000;
+        this.maxDelay = 60 * 60 * 1000;
+        this.maxAttempts = 10;
+
+        // Answers that stop the run without using up an attempt, and ones
+        // that fail only the item that was sent
+        this.authErrors = [401, 403];
+        this.payloadErrors = [400, 409, 413, 415, 422];
+
+        // Locations go first so the server knows them before their photos
+        this.kindOrder = { location: 0, photo: 1 };
+    }
+
+    /**
+     * Send every item that is due, one at a time, and return a summary
+     * of the outbox. Stops at the first network or server error, since
+     * the rest would most likely fail the same way.
+     */
+    async run() {
+        const db = await this.openDb();
+
+        try {
+            const config = await this.get(db, 'syncConfig', 'upload');
+            if (config && config.endpoint) {
+                let item;
+                while ((item = await this.claimNextItem(db))) {
+                    if (!(await this.sendItem(db, config, item))) break;
+                }
+            }
+
+            return this.summarize(await this.getAll(db, 'outbox'));
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Open the survey database at whatever version the app created; the
+     * sender never creates or upgrades it
+     */
+    openDb() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName);
+
+            request.onupgradeneeded = () => request.transaction.abort();
+            request.onsuccess = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('outbox')) {
+                    db.close();
+                    reject(new Error('Survey store has no outbox yet'));
+                    return;
+                }
+
+                // Let the app upgrade the database while a run is in progress
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error || new Error('Survey store not found'));
+        });
+    }
+
+    transaction(db, storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            result = work(tx);
+        });
+    }
+
+    async get(db, storeName, key) {
+        let request;
+        await this.transaction(db, [storeName], 'readonly', (tx) => {
+            request = tx.objectStore(storeName).get(key);
+        });
+        return request.result || null;
+    }
+
+    async getAll(db, storeName) {
+        let request;
+        await this.transaction(db, [storeName], 'readonly', (tx) => {
+            request = tx.objectStore(storeName).getAll();
+        });
+        return request.result || [];
+    }
+
+    /**
+     * Take the next due item: pending and past its retry time, or sending
+     * with an expired lease. Claiming happens in one transaction.
+     */
+    async claimNextItem(db) {
+        let claimed = null;
+
+        await this.transaction(db, ['outbox'], 'readwrite', (tx) => {
+            const outbox = tx.objectStore('outbox');
+            outbox.getAll().onsuccess = (event) => {
+                const now = Date.now();
+                const due = event.target.result
+                    .filter(item => (item.status === 'pending' && item.nextAttemptAt <= now) ||
+                        (item.status === 'sending' && item.leaseUntil < now))
+                    .sort((a, b) => (this.kindOrder[a.kind] - this.kindOrder[b.kind]) || (a.createdAt - b.createdAt));
+                if (due.length === 0) return;
+
+                claimed = Object.assign({}, due[0], { status: 'sending', leaseUntil: now + this.leaseTime });
+                outbox.put(claimed);
+            };
+        });
+
+        return claimed;
+    }
+
+    /**
+     * Upload one item. Returns false when the run should stop.
+     */
+    async sendItem(db, config, item) {
+        const request = await this.buildRequest(db, item);
+
+        // Deleted on the device since it was queued: nothing left to send
+        if (!request) {
+            await this.transaction(db, ['outbox'], 'readwrite', (tx) => {
+                tx.objectStore('outbox').delete(item.id);
+            });
+            return true;
+        }
+
+        let response;
+        try {
+            response = await this.post(config, item, request);
+        } catch (error) {
+            await this.release(db, item, `Network error: ${error.message}`, false);
+            return false;
+        }
+
+        if (response.ok) {
+            await this.markSent(db, item);
+            return true;
+        }
+
+        const error = `HTTP ${response.status} ${response.statusText || ''}`.trim();
+
+        // A wrong token fails every item the same way: stop, and keep the
+        // item's attempts for when the settings are fixed
+        if (this.authErrors.includes(response.status)) {
+            await this.release(db, item, error, false, false);
+            return false;
+        }
+
+        // The server rejected this payload; sending it again will not help,
+        // but the next item may go through
+        if (this.payloadErrors.includes(response.status)) {
+            await this.release(db, item, error, true);
+            return true;
+        }
+
+        await this.release(db, item, error, false);
+        return false;
+    }
+
+    /**
+     * The body of an upload: JSON for a location, multipart form data for
+     * a photo (its metadata as JSON plus the overlaid and original images).
+     * Null if the location or photo no longer exists.
+     */
+    async buildRequest(db, item) {
+        if (item.kind === 'location') {
+            const location = await this.get(db, 'locations', item.entityId);
+            if (!location) return null;
+
+            const project = location.projectId ? await this.get(db, 'projects', location.projectId) : null;
+            return {
+                contentType: 'application/json',
+                body: JSON.stringify({
+                    type: 'location',
+                    itemId: item.id,
+                    revision: item.revision,
+                    project: project ? {
+                        id: project.id,
+                        name: project.name,
+                        client: project.client || null,
+                        jobNumber: project.jobNumber || null
+                    } : null,
+                    location: location
+                })
+            };
+        }
+
+        const photo = await this.get(db, 'photos', item.entityId);
+        const location = photo ? await this.get(db, 'locations', photo.locationId) : null;
+        const descriptor = location ? (location.photos || []).find(p => p.id === photo.id) : null;
+        if (!descriptor) return null;
+
+        const form = new FormData();
+        form.append('item', JSON.stringify({
+            type: 'photo',
+            itemId: item.id,
+            revision: item.revision,
+            photoId: photo.id,
+            locationId: location.id,
+            projectId: location.projectId || null,
+            name: descriptor.name || null,
+            timestamp: descriptor.timestamp || null,
+            metadata: descriptor.metadata || null
+        }));
+        form.append('photo', photo.blob, `${photo.id}.jpg`);
+        if (photo.originalBlob) {
+            form.append('original', photo.originalBlob, descriptor.name || `${photo.id}-original`);
+        }
+        return { contentType: null, body: form };
+    }
+
+    /**
+     * POST with the configured auth header. The idempotency key lets the
+     * server ignore a repeat of an upload it already stored, e.g. when
+     * its answer was lost.
+     */
+    async post(config, item, request) {
+        const headers = { 'Idempotency-Key': `${item.id}:${item.revision}` };
+        if (request.contentType) {
+            headers['Content-Type'] = request.contentType;
+        }
+        if (config.authHeader && config.authValue) {
+            headers[config.authHeader] = config.authValue;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+        try {
+            return await fetch(config.endpoint, {
+                method: 'POST',
+                headers: headers,
+                body: request.body,
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Record the acknowledgement, unless the item was queued again while
+     * it was being sent; then the newer version is still to go
+     */
+    markSent(db, item) {
+        return this.updateItem(db, item, () => ({
+            status: 'sent',
+            leaseUntil: 0,
+            lastError: null,
+            sentAt: Date.now()
+        }));
+    }
+
+    /**
+     * Give an item back after a failed attempt, to be retried later or,
+     * when retrying cannot help, marked failed. An attempt that says
+     * nothing about the item itself is not counted.
+     */
+    release(db, item, error, permanent, countAttempt = true) {
+        return this.updateItem(db, item, (current) => {
+            const attempts = current.attempts + (countAttempt ? 1 : 0);
+            const failed = permanent || attempts >= this.maxAttempts;
+            return {
+                status: failed ? 'failed' : 'pending',
+                attempts: attempts,
+                nextAttemptAt: failed ? 0 : Date.now() + this.getRetryDelay(Math.max(1, attempts)),
+                leaseUntil: 0,
+                lastError: error
+            };
+        });
+    }
+
+    updateItem(db, item, getChanges) {
+        return this.transaction(db, ['outbox'], 'readwrite', (tx) => {
+            const outbox = tx.objectStore('outbox');
+            outbox.get(item.id).onsuccess = (event) => {
+                const current = event.target.result;
+                if (!current || current.revision !== item.revision) return;
+
+                outbox.put(Object.assign({}, current, getChanges(current), { updatedAt: Date.now() }));
+            };
+        });
+    }
+
+    /**
+     * Exponential backoff with ±20% jitter, so many devices coming back
+     * online do not all retry at the same moment
+     */
+    getRetryDelay(attempts) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempts - 1));
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Counts per status and when the next retry or lease expiry is due
+     */
+    summarize(items) {
+        const summary = { pending: 0, sending: 0, sent: 0, failed: 0, nextAttemptAt: null };
+
+        items.forEach(item => {
+            summary[item.status]++;
+            const due = item.status === 'pending' ? item.nextAttemptAt
+                : item.status === 'sending' ? item.leaseUntil
+                : null;
+            if (due !== null && (summary.nextAttemptAt === null || due < summary.nextAttemptAt)) {
+                summary.nextAttemptAt = due;
+            }
+        });
+
+        return summary;
+    }
+}
+
+// self is window in the page and the worker scope in the service worker
+self.OutboxSender = OutboxSender;
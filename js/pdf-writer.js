@@ -0,0 +1,344 @@
+// PDF Writer - Builds simple PDF documents in the browser: text in the
+// built-in Helvetica fonts, lines and shapes, and JPEG images embedded as
+// they are. Positions are in points (1/72 inch) from the top-left corner.
+class PdfWriter {
+    constructor(pageWidth = 595.28, pageHeight = 841.89) {
+        // A4 portrait by default
+        this.pageWidth = pageWidth;
+        this.pageHeight = pageHeight;
+        this.pages = [];
+        this.images = [];
+
+        this.fonts = {
+            regular: { resource: 'F1', baseFont: 'Helvetica', widths: PdfWriter.getWidths('regular') },
+            bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: PdfWriter.getWidths('bold') }
+        };
+    }
+
+    /**
+     * Glyph widths (1/1000 em) of Helvetica and Helvetica-Bold for
+     * characters 32-126, from the standard Adobe font metrics
+     */
+    static getWidths(style) {
+        const regular = [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ];
+        const bold = [
+            278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+            975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+            333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+            611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+        ];
+        return style === 'bold' ? bold : regular;
+    }
+
+    /**
+     * Start a new page and return it; drawing calls take the page to draw on
+     */
+    addPage() {
+        const page = { content: [] };
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Add a page before the others, e.g. a cover written once the rest is laid out
+     */
+    insertPage(index) {
+        const page = { content: [] };
+        this.pages.splice(index, 0, page);
+        return page;
+    }
+
+    /**
+     * Map text to WinAnsi (Windows-1252) codes, the encoding of the
+     * built-in fonts. Characters it lacks (Greek, Cyrillic, CJK, emoji ...)
+     * print as "?" so a name in another script does not silently vanish;
+     * showing them would mean embedding a Unicode font.
+     */
+    encodeText(text) {
+        const special = {
+            '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '•': 0x95, '–': 0x96, '—': 0x97,
+            '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '™': 0x99
+        };
+        const codes = [];
+
+        // Composed first, so e.g. an e with a separate accent becomes é
+        for (const char of String(text).normalize('NFC')) {
+            const code = char.codePointAt(0);
+            if (code >= 32 && code <= 126) {
+                codes.push(code);
+            } else if (code >= 160 && code <= 255) {
+                codes.push(code);
+            } else if (special[char]) {
+                codes.push(special[char]);
+            } else if (code >= 32 && !/[\p{M}\u200d]/u.test(char)) {
+                // Marks and joiners belong to the character before them
+                codes.push(63);
+            }
+        }
+        return codes;
+    }
+
+    textWidth(text, size, style = 'regular') {
+        const widths = this.fonts[style].widths;
+        // Widths of the other characters survey text uses; the rest are estimated
+        const extra = { 0x85: 1000, 0x95: 350, 0x96: 556, 0x97: 1000, 0xB0: 400, 0xB1: 584, 0xB2: 333, 0xB7: 278, 0xD7: 584 };
+        return this.encodeText(text).reduce((sum, code) =>
+            sum + (code >= 32 && code <= 126 ? widths[code - 32] : extra[code] || 556), 0) * size / 1000;
+    }
+
+    /**
+     * Break text into lines no wider than maxWidth, at spaces where possible
+     */
+    wrapText(text, maxWidth, size, style = 'regular') {
+        const lines = [];
+
+        String(text).split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(' ').forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.textWidth(candidate, size, style) <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+
+                if (line) lines.push(line);
+                line = word;
+                // A single word longer than the line is split by character
+                while (this.textWidth(line, size, style) > maxWidth && line.length > 1) {
+                    let cut = line.length - 1;
+                    while (cut > 1 && this.textWidth(line.slice(0, cut), size, style) > maxWidth) cut--;
+                    lines.push(line.slice(0, cut));
+                    line = line.slice(cut);
+                }
+            });
+            lines.push(line);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Write one line of text with its baseline at y. options: size, style
+     * ('regular' | 'bold'), color ([r, g, b] 0-1), align ('left' | 'center' | 'right')
+     */
+    text(page, x, y, text, options = {}) {
+        const size = options.size || 10;
+        const style = options.style || 'regular';
+        const codes = this.encodeText(text);
+        if (codes.length === 0) return;
+
+        const width = this.textWidth(text, size, style);
+        const left = options.align === 'center' ? x - width / 2
+            : options.align === 'right' ? x - width
+            : x;
+        const hex = codes.map(code => code.toString(16).padStart(2, '0')).join('');
+
+        page.content.push(
+            `BT /${this.fonts[style].resource} ${this.number(size)} Tf ${this.color(options.color || [0, 0, 0], 'rg')} ` +
+            `${this.number(left)} ${this.number(this.pageHeight - y)} Td <${hex}> Tj ET`
+        );
+    }
+
+    line(page, x1, y1, x2, y2, options = {}) {
+        page.content.push(`${this.strokeStyle(options)} ${this.number(x1)} ${this.number(this.pageHeight - y1)} m ` +
+            `${this.number(x2)} ${this.number(this.pageHeight - y2)} l S Q`);
+    }
+
+    /**
+     * options: stroke ([r, g, b] or null), fill ([r, g, b] or null), width, dash ([on, off])
+     */
+    rect(page, x, y, width, height, options = {}) {
+        page.content.push(`${this.strokeStyle(options)} ${this.number(x)} ${this.number(this.pageHeight - y - height)} ` +
+            `${this.number(width)} ${this.number(height)} re ${this.paintOperator(options)} Q`);
+    }
+
+    /**
+     * A circle from four Bézier arcs
+     */
+    circle(page, cx, cy, r, options = {}) {
+        const k = 0.5523 * r;
+        const y = this.pageHeight - cy;
+        const n = (value) => this.number(value);
+
+        page.content.push(`${this.strokeStyle(options)} ${n(cx + r)} ${n(y)} m ` +
+            `${n(cx + r)} ${n(y + k)} ${n(cx + k)} ${n(y + r)} ${n(cx)} ${n(y + r)} c ` +
+            `${n(cx - k)} ${n(y + r)} ${n(cx - r)} ${n(y + k)} ${n(cx - r)} ${n(y)} c ` +
+            `${n(cx - r)} ${n(y - k)} ${n(cx - k)} ${n(y - r)} ${n(cx)} ${n(y - r)} c ` +
+            `${n(cx + k)} ${n(y - r)} ${n(cx + r)} ${n(y - k)} ${n(cx + r)} ${n(y)} c ${this.paintOperator(options)} Q`);
+    }
+
+    /**
+     * Open or closed outline through [[x, y], ...]
+     */
+    polyline(page, points, options = {}) {
+        if (points.length < 2) return;
+
+        const path = points.map(([x, y], index) =>
+            `${this.number(x)} ${this.number(this.pageHeight - y)} ${index === 0 ? 'm' : 'l'}`).join(' ');
+        page.content.push(`${this.strokeStyle(options)} ${path}${options.closed ? ' h' : ''} ${this.paintOperator(options)} Q`);
+    }
+
+    /**
+     * Register JPEG bytes as an image; returns its handle for image()
+     */
+    addJpeg(bytes) {
+        const info = this.readJpegInfo(bytes);
+        const image = {
+            resource: `Im${this.images.length + 1}`,
+            bytes: bytes,
+            width: info.width,
+            height: info.height,
+            colorSpace: info.components === 1 ? '/DeviceGray' : info.components === 4 ? '/DeviceCMYK' : '/DeviceRGB',
+            // Adobe CMYK JPEGs store inverted values
+            decode: info.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : ''
+        };
+        this.images.push(image);
+        return image;
+    }
+
+    image(page, image, x, y, width, height) {
+        page.content.push(`q ${this.number(width)} 0 0 ${this.number(height)} ${this.number(x)} ` +
+            `${this.number(this.pageHeight - y - height)} cm /${image.resource} Do Q`);
+    }
+
+    /**
+     * Size and colour components from the JPEG start-of-frame segment
+     */
+    readJpegInfo(bytes) {
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            throw new Error('Image is not a JPEG');
+        }
+
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+            if (bytes[offset] !== 0xFF) {
+                offset++;
+                continue;
+            }
+
+            const marker = bytes[offset + 1];
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+            if (isStartOfFrame) {
+                return {
+                    height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                    width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+                    components: bytes[offset + 9]
+                };
+            }
+            offset += 2 + length;
+        }
+
+        throw new Error('JPEG size not found');
+    }
+
+    strokeStyle(options) {
+        const parts = ['q'];
+        if (options.stroke !== null) parts.push(this.color(options.stroke || [0, 0, 0], 'RG'));
+        if (options.fill) parts.push(this.color(options.fill, 'rg'));
+        parts.push(`${this.number(options.width || 1)} w`);
+        parts.push(options.dash ? `[${options.dash.map(v => this.number(v)).join(' ')}] 0 d` : '[] 0 d');
+        return parts.join(' ');
+    }
+
+    paintOperator(options) {
+        const stroke = options.stroke !== null;
+        if (options.fill && stroke) return 'B';
+        if (options.fill) return 'f';
+        return 'S';
+    }
+
+    color(rgb, operator) {
+        return `${rgb.map(v => this.number(v)).join(' ')} ${operator}`;
+    }
+
+    number(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Assemble the document: catalog, page tree, fonts, images and one
+     * uncompressed content stream per page, with the cross-reference table
+     */
+    toBlob() {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const writeObject = (id, body, stream = null) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n${body}\n`);
+            if (stream) {
+                write('stream\n');
+                write(stream);
+                write('\nendstream\n');
+            }
+            write('endobj\n');
+        };
+
+        // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, then images, then pages
+        const fontIds = { regular: 3, bold: 4 };
+        const firstImageId = 5;
+        const firstPageId = firstImageId + this.images.length;
+        const pageIds = this.pages.map((page, index) => firstPageId + index * 2);
+        const objectCount = firstPageId + this.pages.length * 2;
+
+        // The binary comment marks the file as binary for transfer tools
+        write('%PDF-1.4\n');
+        write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+
+        writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pages.length} >>`);
+        Object.keys(fontIds).forEach(style => {
+            writeObject(fontIds[style], `<< /Type /Font /Subtype /Type1 /BaseFont /${this.fonts[style].baseFont} /Encoding /WinAnsiEncoding >>`);
+        });
+
+        this.images.forEach((image, index) => {
+            writeObject(firstImageId + index,
+                `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                `/ColorSpace ${image.colorSpace} /BitsPerComponent 8 /Filter /DCTDecode${image.decode} /Length ${image.bytes.length} >>`,
+                image.bytes);
+        });
+
+        const fontResources = `/Font << /F1 ${fontIds.regular} 0 R /F2 ${fontIds.bold} 0 R >>`;
+        const imageResources = this.images.length > 0
+            ? ` /XObject << ${this.images.map((image, index) => `/${image.resource} ${firstImageId + index} 0 R`).join(' ')} >>`
+            : '';
+
+        this.pages.forEach((page, index) => {
+            const pageId = pageIds[index];
+            const content = encoder.encode(page.content.join('\n'));
+            writeObject(pageId,
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.number(this.pageWidth)} ${this.number(this.pageHeight)}] ` +
+                `/Resources << ${fontResources}${imageResources} >> /Contents ${pageId + 1} 0 R >>`);
+            writeObject(pageId + 1, `<< /Length ${content.length} >>`, content);
+        });
+
+        const xrefOffset = length;
+        const xref = ['xref', `0 ${objectCount}`, '0000000000 65535 f '];
+        for (let id = 1; id < objectCount; id++) {
+            xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n `);
+        }
+        write(`${xref.join('\n')}\ntrailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+}
+
+// Make available globally
+window.PdfWriter = PdfWriter;
@@ -4,18 +4,16 @@ class PinManager {
         this.currentPin = null;
         this.currentPhoto = null;
         this.savedLocations = [];
-        this.currentAzimuth = null;
-        this.currentElevation = null;
-        this.orientationPermission = false;
         this.metadataHandler = new MetadataHandler();
-        this.loadSavedLocations();
+        this.geodesy = new Geodesy();
+        this.store = window.surveyStore;
         this.init();
+        this.loadSavedLocations();
     }
 
     init() {
         console.log('Pin Manager initialized');
         this.setupEventListeners();
-        this.requestOrientationPermission();
     }
 
     setupEventListeners() {
@@ -44,6 +42,18 @@ class PinManager {
             this.downloadPhoto();
         });
 
+        document.getElementById('move-photo-left-btn').addEventListener('click', () => {
+            this.moveSelectedPhoto(-1);
+        });
+
+        document.getElementById('move-photo-right-btn').addEventListener('click', () => {
+            this.moveSelectedPhoto(1);
+        });
+
+        document.getElementById('delete-photo-btn').addEventListener('click', () => {
+            this.deleteSelectedPhoto();
+        });
+
         // Pin actions
         document.getElementById('save-favorite-btn').addEventListener('click', () => {
             this.saveAsFavorite();
@@ -53,101 +63,299 @@ class PinManager {
             this.deletePin();
         });
 
-        // Saved locations dropdown
-        document.getElementById('saved-locations-dropdown').addEventListener('change', (e) => {
-            this.navigateToSavedLocation(e.target.value);
+        document.getElementById('pin-here-btn').addEventListener('click', () => {
+            this.pinAtCurrentPosition();
+        });
+
+        document.getElementById('edit-shape-btn').addEventListener('click', () => {
+            this.editCurrentShape();
         });
-    }
 
-    async requestOrientationPermission() {
-        // iOS 13+ requires permission for DeviceOrientationEvent
-        if (typeof DeviceOrientationEvent !== 'undefined' && 
-            typeof DeviceOrientationEvent.requestPermission === 'function') {
-            try {
-                const permission = await DeviceOrientationEvent.requestPermission();
-                if (permission === 'granted') {
-                    this.startOrientationTracking();
-                    this.orientationPermission = true;
+        // Cone size follows the camera settings
+        document.addEventListener('settingschange', (e) => {
+            if (e.detail.key === 'cameraFov' || e.detail.key === 'coneLength') {
+                this.refreshPhotoCones();
+            } else if (e.detail.key === 'coordinateFormat') {
+                this.savedLocations.forEach(location => this.updateMarkerPopup(location));
+                if (this.currentPin) {
+                    this.updateCoordinatesDisplay(this.currentPin.lat, this.currentPin.lon);
                 }
-            } catch (error) {
-                console.log('Orientation permission:', error);
             }
-        } else if (window.DeviceOrientationEvent) {
-            // Non-iOS or older iOS
-            this.startOrientationTracking();
-            this.orientationPermission = true;
-        }
-    }
-
-    startOrientationTracking() {
-        // Just track current orientation, don't display it
-        window.addEventListener('deviceorientation', (e) => {
-            // Alpha = compass direction (0-360)
-            this.currentAzimuth = e.alpha || 0;
-            // Beta = front-to-back tilt (-180 to 180)
-            this.currentElevation = e.beta || 0;
-        }, true);
+        });
     }
 
-    createPin(lat, lon) {
+    /**
+     * details: { source: 'map' | 'gps' | 'gps-averaged', accuracy (meters),
+     * occupation (averaging statistics) }
+     */
+    createPin(lat, lon, details = {}) {
         console.log('Creating pin at:', lat, lon);
 
         // Remove current pin if exists
-        if (this.currentPin && this.currentPin.marker) {
-            window.mapManager.removeMarker(this.currentPin.marker);
+        if (this.currentPin && this.currentPin.marker && !this.isSavedLocation(this.currentPin)) {
+            this.removeFromMap(this.currentPin);
         }
 
+        const source = details.source || 'map';
+
         // Create new pin marker
-        const marker = window.mapManager.addCustomPin(lat, lon);
+        const marker = window.mapManager.addCustomPin(lat, lon, null, source);
 
         // Store pin data
         this.currentPin = {
             lat: lat,
             lon: lon,
             marker: marker,
-            photo: null,
-            name: ''
+            photos: [],
+            name: '',
+            source: source,
+            accuracy: typeof details.accuracy === 'number' ? details.accuracy : null,
+            occupation: details.occupation || null
         };
 
-        // Reset photo
+        // Reset photo selection
         this.currentPhoto = null;
 
         // Show modal
         this.openModal(lat, lon);
     }
 
+    /**
+     * Start a line or polygon feature from vertices drawn on the map.
+     * geometryType is 'line' or 'polygon'. It gets a pin at its label
+     * point and the same name, form and photos as any other pin.
+     */
+    createShape(geometryType, vertices) {
+        if (this.currentPin && this.currentPin.marker && !this.isSavedLocation(this.currentPin)) {
+            this.removeFromMap(this.currentPin);
+        }
+
+        const labelPoint = this.getLabelPoint(geometryType, vertices);
+        this.currentPin = {
+            lat: labelPoint.lat,
+            lon: labelPoint.lon,
+            marker: window.mapManager.addCustomPin(labelPoint.lat, labelPoint.lon, null, 'map'),
+            shape: window.mapManager.addShape(vertices, geometryType),
+            geometryType: geometryType,
+            vertices: vertices,
+            photos: [],
+            name: '',
+            source: 'map',
+            accuracy: null,
+            occupation: null
+        };
+        this.currentPhoto = null;
+
+        this.openModal(labelPoint.lat, labelPoint.lon);
+    }
+
+    isShape(pin) {
+        return !!pin && (pin.geometryType === 'line' || pin.geometryType === 'polygon');
+    }
+
+    /**
+     * Where a line or polygon's pin goes: halfway along a line, or the
+     * middle of a polygon
+     */
+    getLabelPoint(geometryType, vertices) {
+        return geometryType === 'polygon'
+            ? this.geodesy.polygonCentroid(vertices)
+            : this.geodesy.pathMidpoint(vertices);
+    }
+
+    /**
+     * "〰️ Line · 4 vertices · 123.45 m · 405.0 ft"
+     */
+    describeShape(pin) {
+        const count = `${pin.vertices.length} vertices`;
+        if (pin.geometryType === 'polygon') {
+            const area = this.geodesy.formatArea(this.geodesy.polygonArea(pin.vertices));
+            const perimeter = this.geodesy.formatDistance(this.geodesy.perimeter(pin.vertices));
+            return `⬛ Polygon · ${count} · ${area.metric} · ${area.imperial} · perimeter ${perimeter.metric}`;
+        }
+
+        const length = this.geodesy.formatDistance(this.geodesy.pathLength(pin.vertices));
+        return `〰️ Line · ${count} · ${length.metric} · ${length.imperial}`;
+    }
+
+    /**
+     * Take a pin's marker, and a line or polygon's outline, off the map
+     */
+    removeFromMap(pin) {
+        window.mapManager.removeMarker(pin.marker);
+        if (pin.shape) {
+            window.mapManager.removeMarker(pin.shape);
+        }
+    }
+
     openModal(lat, lon, isEdit = false) {
         const modal = document.getElementById('pin-modal');
         modal.classList.add('active');
 
         // Update coordinates display
-        document.getElementById('pin-coordinates').textContent = 
-            `Lat: ${lat.toFixed(6)}, Lon: ${lon.toFixed(6)}`;
+        this.updateCoordinatesDisplay(lat, lon);
+        this.updatePositionQuality();
 
         if (!isEdit) {
             // Reset form for new pin
             document.getElementById('pin-name').value = '';
             this.clearPhotoPreview();
         }
-        
-        // Hide download button initially
-        document.getElementById('download-photo-btn').style.display = 'none';
+
+        const saved = isEdit && this.isSavedLocation(this.currentPin);
+        const titles = { line: '〰️ Line Details', polygon: '⬛ Polygon Details' };
+        document.getElementById('pin-modal-title').textContent = titles[this.currentPin.geometryType] || '📍 Pin Details';
+        document.getElementById('edit-shape-btn').style.display = saved && this.isShape(this.currentPin) ? 'block' : 'none';
+        document.getElementById('save-favorite-btn').textContent = saved ? '💾 Save Changes' : '⭐ Save as Favorite';
+        document.getElementById('delete-pin-btn').textContent = saved ? '🗑️ Delete Location' : '🗑️ Delete Pin';
+
+        if (window.formManager) {
+            window.formManager.showFormForPin(isEdit ? this.currentPin : null);
+        }
+        if (window.categoryManager) {
+            this.previewCategory(window.categoryManager.showCategoryForPin(isEdit ? this.currentPin : null));
+        }
+    }
+
+    /**
+     * Show the category chosen in the modal on the pin before it is saved
+     */
+    previewCategory(category) {
+        const pin = this.currentPin;
+        if (pin && window.mapManager) {
+            window.mapManager.setPinStyle(pin.marker, pin.shape, pin.source || 'map', category);
+        }
+    }
+
+    getCategory(location) {
+        return window.categoryManager ? window.categoryManager.getCategory(location.categoryId) : null;
+    }
+
+    /**
+     * Style a saved location's pin for its category and file it in that
+     * category's map layer
+     */
+    applyCategory(location) {
+        if (!window.mapManager) return;
+
+        const category = this.getCategory(location);
+        window.mapManager.setPinStyle(location.marker, location.shape, location.source || 'map', category);
+        window.mapManager.fileInCategory(location.marker, location.shape, category);
+    }
+
+    /**
+     * After categories were edited or deleted
+     */
+    refreshCategoryMarkers() {
+        this.savedLocations.forEach(location => {
+            this.applyCategory(location);
+            this.updateMarkerPopup(location);
+        });
+    }
+
+    /**
+     * Drop a pin where the user is standing, from the latest GPS fix or,
+     * if enabled in Settings, from an averaged occupation
+     */
+    pinAtCurrentPosition() {
+        const position = window.app ? window.app.currentPosition : null;
+        const averaged = window.settingsManager && window.settingsManager.get('pinHereAveraged');
+
+        if (averaged && window.occupationManager) {
+            window.occupationManager.start();
+            return;
+        }
+
+        if (!position) {
+            if (window.app) {
+                window.app.showStatus('Waiting for GPS location...', 'info');
+                setTimeout(() => window.app.clearStatus(), 2000);
+            }
+            return;
+        }
+
+        this.createPin(position.lat, position.lon, {
+            source: 'gps',
+            accuracy: position.accuracy
+        });
+    }
+
+    updateCoordinatesDisplay(lat, lon) {
+        document.getElementById('pin-coordinates').textContent = this.metadataHandler.coordinateConverter
+            .describe(lat, lon)
+            .map(([label, value]) => `${label}: ${value}`)
+            .join(', ');
+    }
+
+    /**
+     * Show how the pin position was obtained and how precise it is
+     */
+    updatePositionQuality() {
+        const quality = document.getElementById('pin-position-quality');
+        const pin = this.currentPin;
+
+        quality.textContent = !pin ? ''
+            : this.isShape(pin) ? this.describeShape(pin)
+            : this.metadataHandler.describePositionSource(pin);
+        quality.className = 'pin-position-quality pin-source-' + ((pin && pin.source) || 'map');
+        quality.style.display = pin ? 'block' : 'none';
     }
 
     editPin(pinData) {
         console.log('Editing pin:', pinData);
         
         this.currentPin = pinData;
+        this.currentPhoto = null;
         this.openModal(pinData.lat, pinData.lon, true);
         
         // Restore pin data
-        if (pinData.name) {
-            document.getElementById('pin-name').value = pinData.name;
+        document.getElementById('pin-name').value = pinData.name || '';
+
+        if (pinData.photos && pinData.photos.length > 0) {
+            this.currentPhoto = pinData.photos[0];
+            this.renderPhotoGallery();
+
+            Promise.all(pinData.photos.map(photo => this.loadPhotoData(photo)))
+                .then(() => {
+                    // Ignore if the modal moved on to another pin meanwhile
+                    if (this.currentPin === pinData) {
+                        this.renderPhotoGallery();
+                    }
+                })
+                .catch(error => {
+                    console.error('Error loading photos:', error);
+                    this.showStorageError('Could not load photos', error);
+                });
+        } else {
+            this.clearPhotoPreview();
         }
-        if (pinData.photo) {
-            this.currentPhoto = pinData.photo;
-            this.displayPhoto(pinData.photo.data);
+    }
+
+    /**
+     * Load photo binaries from the survey store the first time they are needed
+     */
+    async loadPhotoData(photo) {
+        if (photo.blob) return photo;
+
+        const record = await this.store.getPhoto(photo.id);
+        if (!record) {
+            throw new Error('Photo data missing from storage');
+        }
+
+        photo.blob = record.blob;
+        photo.originalBlob = record.originalBlob;
+        return photo;
+    }
+
+    getPhotoUrl(photo) {
+        if (!photo.url) {
+            photo.url = URL.createObjectURL(photo.blob);
         }
+        return photo.url;
+    }
+
+    isSavedLocation(pin) {
+        return !!pin && (pin.saved || this.savedLocations.includes(pin));
     }
 
     closeModal() {
@@ -155,9 +363,12 @@ class PinManager {
         modal.classList.remove('active');
 
         // Remove current pin if not saved
-        if (this.currentPin && this.currentPin.marker && !this.currentPin.saved) {
-            window.mapManager.removeMarker(this.currentPin.marker);
+        if (this.currentPin && this.currentPin.marker && !this.isSavedLocation(this.currentPin)) {
+            this.removeFromMap(this.currentPin);
             this.currentPin = null;
+        } else if (this.currentPin && this.savedLocations.includes(this.currentPin)) {
+            // Undo a category previewed but not saved
+            this.applyCategory(this.currentPin);
         }
     }
 
@@ -169,26 +380,45 @@ class PinManager {
         const file = event.target.files[0];
         if (!file) return;
 
+        // Allow the same file to be picked again
+        event.target.value = '';
+
+        // Hold on to the pin this photo belongs to in case the modal changes
+        const pin = this.currentPin;
+        if (!pin) return;
+
+        // Capture heading, pitch and roll as the photo comes back, before
+        // the phone is lowered while the file is read
+        const orientation = window.orientationManager;
+        const capture = orientation ? orientation.getCaptureOrientation() : null;
+
         const reader = new FileReader();
         reader.onload = async (e) => {
             // Get user location
             const userLocation = window.app ? window.app.currentPosition : null;
+            const compass = capture ? capture.compass : null;
 
-            // Capture azimuth and elevation at this exact moment
-            const captureAzimuth = this.currentAzimuth || 0;
-            const captureElevation = this.currentElevation || 0;
+            // Declination where the photo is taken, or at the pin without a fix
+            const place = userLocation || pin;
+            const declination = orientation ? orientation.getDeclinationAt(place.lat, place.lon, place.altitude) : null;
 
             // Prepare metadata with captured orientation
             const compassData = {
-                azimuth: captureAzimuth,
-                elevation: captureElevation,
+                azimuth: capture ? capture.azimuth : null,
+                declination: declination,
+                declinationModel: orientation ? orientation.magneticModel.name : null,
+                compassState: compass ? compass.state : null,
+                headingStdDev: compass ? compass.stdDev : null,
+                elevation: capture ? capture.pitch : null,
+                roll: capture ? capture.roll : null,
                 distance: null // No distance since we removed the slider
             };
 
             const metadata = this.metadataHandler.prepareMetadata(
-                this.currentPin,
+                pin,
                 compassData,
-                userLocation
+                userLocation,
+                window.projectManager ? window.projectManager.getActiveProjectInfo() : null
             );
 
             // Add metadata overlay to image
@@ -197,29 +427,83 @@ class PinManager {
                 metadata
             );
 
-            this.currentPhoto = {
-                data: imageWithMetadata,
-                originalData: e.target.result,
+            const photo = {
+                id: this.store.generateId(),
+                blob: this.store.dataUrlToBlob(imageWithMetadata),
+                originalBlob: file,
                 name: file.name,
                 timestamp: metadata.datetime,
                 metadata: metadata
             };
 
-            // Update pin with photo
-            if (this.currentPin) {
-                this.currentPin.photo = this.currentPhoto;
+            // Photos of a saved location are written straight away
+            pin.photos.push(photo);
+            if (this.isSavedLocation(pin)) {
+                const saved = await this.persistLocation(pin, [photo]);
+                if (!saved) {
+                    pin.photos.splice(pin.photos.indexOf(photo), 1);
+                    return;
+                }
             }
 
-            // Display photo
-            this.displayPhoto(imageWithMetadata);
+            this.refreshPhotoCones();
+
+            // Show the new photo
+            if (this.currentPin === pin) {
+                this.currentPhoto = photo;
+                this.renderPhotoGallery();
+            }
+
+            if (compass && compass.state === 'calibrate' && window.app) {
+                window.app.showStatus('⚠️ Compass needed calibration when this photo was taken; its azimuth may be off', 'warning');
+                setTimeout(() => window.app.clearStatus(), 4000);
+            }
         };
 
         reader.readAsDataURL(file);
     }
 
-    displayPhoto(imageData) {
+    /**
+     * Render the selected photo large, with a thumbnail strip of every photo on the pin
+     */
+    renderPhotoGallery() {
+        const photos = this.currentPin ? this.currentPin.photos : [];
+        if (photos.length === 0) {
+            this.clearPhotoPreview();
+            return;
+        }
+
+        if (!photos.includes(this.currentPhoto)) {
+            this.currentPhoto = photos[0];
+        }
+
+        const index = photos.indexOf(this.currentPhoto);
         const preview = document.getElementById('photo-preview');
-        preview.innerHTML = `<img src="${imageData}" alt="Captured photo">`;
+        preview.innerHTML = this.currentPhoto.blob
+            ? `<img src="${this.getPhotoUrl(this.currentPhoto)}" alt="Photo ${index + 1} of ${photos.length}">`
+            : '<p class="no-photo-text">Loading photo...</p>';
+
+        const gallery = document.getElementById('photo-gallery');
+        gallery.innerHTML = '';
+        photos.forEach((photo, i) => {
+            const thumb = document.createElement('button');
+            thumb.type = 'button';
+            thumb.className = 'photo-thumb' + (photo === this.currentPhoto ? ' selected' : '');
+            thumb.title = photo.timestamp || `Photo ${i + 1}`;
+            thumb.innerHTML = photo.blob
+                ? `<img src="${this.getPhotoUrl(photo)}" alt="Photo ${i + 1}"><span class="photo-thumb-number">${i + 1}</span>`
+                : `<span class="photo-thumb-number">${i + 1}</span>`;
+            thumb.addEventListener('click', () => {
+                this.currentPhoto = photo;
+                this.renderPhotoGallery();
+            });
+            gallery.appendChild(thumb);
+        });
+
+        document.getElementById('photo-count').textContent = `(${photos.length})`;
+        document.getElementById('photo-actions').style.display = 'flex';
+        document.getElementById('move-photo-left-btn').disabled = index === 0;
+        document.getElementById('move-photo-right-btn').disabled = index === photos.length - 1;
 
         // Show download button
         document.getElementById('download-photo-btn').style.display = 'inline-block';
@@ -227,24 +511,75 @@ class PinManager {
 
     clearPhotoPreview() {
         const preview = document.getElementById('photo-preview');
-        preview.innerHTML = '<p class="no-photo-text">No photo attached</p>';
+        preview.innerHTML = '<p class="no-photo-text">No photos attached</p>';
+        document.getElementById('photo-gallery').innerHTML = '';
+        document.getElementById('photo-count').textContent = '';
+        document.getElementById('photo-actions').style.display = 'none';
         document.getElementById('download-photo-btn').style.display = 'none';
     }
 
-    downloadPhoto() {
-        if (!this.currentPhoto) {
+    /**
+     * Move the selected photo one place earlier (-1) or later (+1)
+     */
+    async moveSelectedPhoto(direction) {
+        const pin = this.currentPin;
+        if (!pin || !this.currentPhoto) return;
+
+        const photos = pin.photos;
+        const from = photos.indexOf(this.currentPhoto);
+        const to = from + direction;
+        if (from === -1 || to < 0 || to >= photos.length) return;
+
+        photos.splice(to, 0, photos.splice(from, 1)[0]);
+
+        if (this.isSavedLocation(pin) && !(await this.persistLocation(pin))) {
+            // Put it back so the screen matches storage
+            photos.splice(from, 0, photos.splice(to, 1)[0]);
+        }
+
+        this.renderPhotoGallery();
+        this.refreshPhotoCones();
+    }
+
+    async deleteSelectedPhoto() {
+        const pin = this.currentPin;
+        const photo = this.currentPhoto;
+        if (!pin || !photo) return;
+
+        if (!confirm('Remove this photo from the pin?')) return;
+
+        const index = pin.photos.indexOf(photo);
+        pin.photos.splice(index, 1);
+
+        if (this.isSavedLocation(pin) && !(await this.persistLocation(pin, [], [photo.id]))) {
+            pin.photos.splice(index, 0, photo);
+            this.renderPhotoGallery();
+            return;
+        }
+
+        if (photo.url) {
+            URL.revokeObjectURL(photo.url);
+        }
+
+        this.currentPhoto = pin.photos[Math.min(index, pin.photos.length - 1)] || null;
+        this.renderPhotoGallery();
+        this.refreshPhotoCones();
+    }
+
+    downloadPhoto(photo = this.currentPhoto) {
+        if (!photo || !photo.blob) {
             alert('No photo to download');
             return;
         }
 
         // Create filename with metadata
         const filename = this.metadataHandler.createMetadataFilename(
-            this.currentPhoto.metadata
+            photo.metadata
         );
 
         // Download image with metadata overlay
         const link = document.createElement('a');
-        link.href = this.currentPhoto.data;
+        link.href = this.getPhotoUrl(photo);
         link.download = filename;
         
         document.body.appendChild(link);
@@ -253,8 +588,9 @@ class PinManager {
 
         // Also download separate metadata text file
         this.metadataHandler.downloadMetadataFile(
-            this.currentPhoto.metadata,
-            filename
+            photo.metadata,
+            filename,
+            window.formManager ? window.formManager.describeCurrentAnswers() : null
         );
 
         // Show success message
@@ -264,35 +600,63 @@ class PinManager {
         }
     }
 
-    saveAsFavorite() {
+    async saveAsFavorite() {
         if (!this.currentPin) return;
 
+        const form = window.formManager ? window.formManager.collect(this.currentPin) : { valid: true, formId: null, values: {} };
+        if (!form.valid) {
+            if (window.app) {
+                const labels = form.errors.map(error => error.label).join(', ');
+                window.app.showStatus(`Please complete the survey form: ${labels}`, 'error');
+            }
+            return;
+        }
+
+        if (this.savedLocations.includes(this.currentPin)) {
+            await this.updateSavedLocation(this.currentPin, form);
+            return;
+        }
+
+        const kinds = { line: 'Line', polygon: 'Polygon' };
         const name = document.getElementById('pin-name').value.trim() || 
-                     `Location ${this.savedLocations.length + 1}`;
+                     `${kinds[this.currentPin.geometryType] || 'Location'} ${this.savedLocations.length + 1}`;
 
         const savedLocation = {
             id: Date.now(),
             name: name,
             lat: this.currentPin.lat,
             lon: this.currentPin.lon,
-            photo: this.currentPhoto,
+            photos: this.currentPin.photos,
+            categoryId: this.getSelectedCategoryId(),
+            formId: form.formId,
+            formData: form.values,
+            source: this.currentPin.source || 'map',
+            accuracy: this.currentPin.accuracy,
+            occupation: this.currentPin.occupation || null,
             timestamp: new Date().toISOString(),
+            projectId: window.projectManager.activeProject.id,
             marker: this.currentPin.marker
         };
 
+        if (this.isShape(this.currentPin)) {
+            savedLocation.geometryType = this.currentPin.geometryType;
+            savedLocation.vertices = this.currentPin.vertices;
+            savedLocation.shape = this.currentPin.shape;
+        }
+
+        // Keep the modal open on failure so the photos are not lost
+        const saved = await this.persistLocation(savedLocation, savedLocation.photos);
+        if (!saved) return;
+
         this.savedLocations.push(savedLocation);
         this.currentPin.saved = true;
         this.currentPin.id = savedLocation.id;
-        this.saveSavedLocations();
-        this.updateSavedLocationsDropdown();
+        this.updateSavedLocationsList();
+        this.refreshPhotoCones();
 
-        // Update marker to be clickable
-        if (this.currentPin.marker) {
-            this.currentPin.marker.off('click');
-            this.currentPin.marker.on('click', (e) => {
-                L.DomEvent.stopPropagation(e);
-                this.editPin(savedLocation);
-            });
+        // Make the marker open, drag and describe the saved location
+        if (savedLocation.marker) {
+            this.bindSavedMarker(savedLocation);
         }
 
         // Show success message
@@ -304,9 +668,49 @@ class PinManager {
         this.closeModal();
     }
 
-    deletePin() {
+    /**
+     * Save name, category and form changes to a location that is already stored
+     */
+    async updateSavedLocation(location, form) {
+        const previous = {
+            name: location.name,
+            categoryId: location.categoryId,
+            formId: location.formId,
+            formData: location.formData,
+            updatedAt: location.updatedAt
+        };
+
+        location.name = document.getElementById('pin-name').value.trim() || location.name;
+        location.categoryId = this.getSelectedCategoryId();
+        location.formId = form.formId;
+        location.formData = form.values;
+        location.updatedAt = new Date().toISOString();
+
+        if (!(await this.persistLocation(location))) {
+            Object.assign(location, previous);
+            return;
+        }
+
+        this.updateSavedLocationsList();
+        this.applyCategory(location);
+        this.updateMarkerPopup(location);
+
+        if (window.app) {
+            window.app.showStatus(`"${location.name}" updated`, 'success');
+            setTimeout(() => window.app.clearStatus(), 2000);
+        }
+
+        this.closeModal();
+    }
+
+    async deletePin() {
+        if (this.currentPin && this.savedLocations.includes(this.currentPin)) {
+            await this.deleteCurrentSavedLocation();
+            return;
+        }
+
         if (this.currentPin && this.currentPin.marker) {
-            window.mapManager.removeMarker(this.currentPin.marker);
+            this.removeFromMap(this.currentPin);
             this.currentPin = null;
             this.currentPhoto = null;
         }
@@ -319,90 +723,549 @@ class PinManager {
         }
     }
 
-    saveSavedLocations() {
+    /**
+     * Remove the saved location shown in the modal from storage and the map
+     */
+    async deleteCurrentSavedLocation() {
+        const location = this.currentPin;
+        const photoCount = (location.photos || []).length;
+        const confirmed = confirm(
+            `Delete saved location "${location.name}"` +
+            (photoCount > 0 ? ` and its ${photoCount} photo${photoCount === 1 ? '' : 's'}` : '') +
+            '?\n\nThis cannot be undone.'
+        );
+        if (!confirmed) return;
+
+        if (!(await this.deleteSavedLocation(location.id))) return;
+
+        this.removeFromMap(location);
+        (location.photos || []).forEach(photo => {
+            if (photo.url) URL.revokeObjectURL(photo.url);
+        });
+        this.refreshPhotoCones();
+
+        this.currentPin = null;
+        this.currentPhoto = null;
+        this.closeModal();
+
+        if (window.app) {
+            window.app.showStatus(`"${location.name}" deleted`, 'info');
+            setTimeout(() => window.app.clearStatus(), 2000);
+        }
+    }
+
+    /**
+     * Ask before committing a dragged marker's new position; snap back if
+     * the user declines or the move cannot be saved
+     */
+    async handleMarkerDrag(location) {
+        const marker = location.marker;
+        const target = marker.getLatLng();
+        const original = L.latLng(location.lat, location.lon);
+        const distance = original.distanceTo(target);
+        const photoCount = (location.photos || []).length;
+
+        const confirmed = confirm(
+            `Move "${location.name}" ${distance < 1000 ? Math.round(distance) + ' m' : (distance / 1000).toFixed(2) + ' km'}?\n\n` +
+            `New position: ${this.metadataHandler.coordinateConverter.format(target.lat, target.lng)}` +
+            (photoCount > 0 ? `\n\nThe pin location recorded on its ${photoCount} photo${photoCount === 1 ? '' : 's'} will be updated.` : '')
+        );
+
+        if (!confirmed || !(await this.moveSavedLocation(location, target.lat, target.lng))) {
+            marker.setLatLng(original);
+        }
+    }
+
+    /**
+     * Change a saved location's coordinates. Photos are re-rendered so the
+     * overlay, the EXIF pin (destination) tags and the stored metadata all
+     * show the new pin position; the camera position is left as captured.
+     */
+    async moveSavedLocation(location, lat, lon) {
+        if (window.app) {
+            window.app.showStatus(`Moving "${location.name}"...`, 'info');
+        }
+
+        // A dragged position is a map position, no longer a GPS or averaged one
+        const accuracy = window.mapManager.getTapAccuracy(lat);
+
+        let photos;
         try {
-            localStorage.setItem('savedLocations', JSON.stringify(this.savedLocations));
+            photos = [];
+            for (const photo of location.photos || []) {
+                photos.push(await this.relocatePhoto(photo, lat, lon, accuracy));
+            }
         } catch (error) {
-            console.error('Error saving locations:', error);
+            console.error('Error updating photos for move:', error);
+            this.showStorageError(`Could not update the photos of "${location.name}"`, error);
+            return false;
+        }
+
+        const moved = Object.assign({}, location, {
+            lat: lat,
+            lon: lon,
+            source: 'map',
+            accuracy: accuracy,
+            occupation: null,
+            photos: photos,
+            updatedAt: new Date().toISOString()
+        });
+        if (!(await this.persistLocation(moved, photos))) return false;
+
+        (location.photos || []).forEach(photo => {
+            if (photo.url) URL.revokeObjectURL(photo.url);
+        });
+        location.lat = lat;
+        location.lon = lon;
+        location.source = 'map';
+        location.accuracy = accuracy;
+        location.occupation = null;
+        location.photos = photos;
+        location.updatedAt = moved.updatedAt;
+
+        this.applyCategory(location);
+        this.updateMarkerPopup(location);
+        this.refreshPhotoCones();
+
+        if (window.app) {
+            window.app.showStatus(`"${location.name}" moved`, 'success');
+            setTimeout(() => window.app.clearStatus(), 2000);
         }
+        return true;
     }
 
-    loadSavedLocations() {
+    /**
+     * Replace a saved line or polygon's vertices. Its pin moves to the new
+     * label point; photos keep the position recorded when they were taken.
+     */
+    async updateShapeGeometry(location, vertices) {
+        const previous = {
+            vertices: location.vertices,
+            lat: location.lat,
+            lon: location.lon,
+            updatedAt: location.updatedAt
+        };
+        const labelPoint = this.getLabelPoint(location.geometryType, vertices);
+
+        location.vertices = vertices;
+        location.lat = labelPoint.lat;
+        location.lon = labelPoint.lon;
+        location.updatedAt = new Date().toISOString();
+
+        if (!(await this.persistLocation(location))) {
+            Object.assign(location, previous);
+            return false;
+        }
+
+        location.marker.setLatLng([location.lat, location.lon]);
+        location.shape.setLatLngs(vertices.map(vertex => [vertex.lat, vertex.lon]));
+        this.updateMarkerPopup(location);
+
+        if (window.app) {
+            window.app.showStatus(`"${location.name}" reshaped`, 'success');
+            setTimeout(() => window.app.clearStatus(), 2000);
+        }
+        return true;
+    }
+
+    /**
+     * Close the modal and let the user drag, add or remove the vertices
+     * of the saved line or polygon shown in it
+     */
+    editCurrentShape() {
+        const location = this.currentPin;
+        if (!this.isShape(location) || !this.isSavedLocation(location) || !window.shapeDrawer) return;
+
+        this.closeModal();
+        window.shapeDrawer.edit(location);
+    }
+
+    /**
+     * A copy of a photo with the pin position in its metadata and image
+     * replaced. Uses the untouched original when available, otherwise only
+     * rewrites the EXIF of the stored image.
+     */
+    async relocatePhoto(photo, lat, lon, accuracy) {
+        await this.loadPhotoData(photo);
+
+        const metadata = Object.assign({}, photo.metadata, {
+            latitude: lat,
+            longitude: lon,
+            positionSource: 'map',
+            positionAccuracy: accuracy,
+            occupation: null
+        });
+        let imageDataUrl;
+        if (photo.originalBlob) {
+            const original = await this.blobToDataUrl(photo.originalBlob);
+            imageDataUrl = await this.metadataHandler.addMetadataToImage(original, metadata);
+        } else {
+            imageDataUrl = this.metadataHandler.embedExif(await this.blobToDataUrl(photo.blob), metadata);
+        }
+
+        return Object.assign({}, photo, {
+            blob: this.store.dataUrlToBlob(imageDataUrl),
+            metadata: metadata,
+            url: null
+        });
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Write a location to the survey store, along with the binaries of any new
+     * photos and the removal of deleted ones, in a single transaction that
+     * also queues them for upload. Returns false (after telling the user) if
+     * the write failed.
+     */
+    async persistLocation(location, newPhotos = [], deletedPhotoIds = []) {
+        const photoRecords = newPhotos
+            .filter(photo => photo.blob)
+            .map(photo => ({
+                id: photo.id,
+                locationId: location.id,
+                blob: photo.blob,
+                originalBlob: photo.originalBlob || null
+            }));
+
+        const outboxItems = window.syncManager ? window.syncManager.createOutboxItems(location, photoRecords) : [];
+
         try {
-            const saved = localStorage.getItem('savedLocations');
-            if (saved) {
-                this.savedLocations = JSON.parse(saved);
-                this.updateSavedLocationsDropdown();
-                
-                // Restore markers on map
-                this.restoreSavedMarkers();
+            await this.store.saveLocation(this.toLocationRecord(location), photoRecords, deletedPhotoIds, outboxItems);
+            if (outboxItems.length > 0) {
+                window.syncManager.sync();
             }
+            return true;
+        } catch (error) {
+            console.error('Error saving location:', error);
+            this.showStorageError(`Could not save "${location.name}"`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Strip runtime-only fields (markers, blobs, object URLs) before storage
+     */
+    toLocationRecord(location) {
+        const photos = (location.photos || []).map(photo => ({
+            id: photo.id,
+            name: photo.name,
+            timestamp: photo.timestamp,
+            metadata: photo.metadata
+        }));
+
+        const record = {
+            id: location.id,
+            name: location.name,
+            lat: location.lat,
+            lon: location.lon,
+            timestamp: location.timestamp,
+            updatedAt: location.updatedAt || null,
+            projectId: location.projectId,
+            categoryId: location.categoryId || null,
+            formId: location.formId || null,
+            formData: location.formData || {},
+            source: location.source || 'map',
+            accuracy: typeof location.accuracy === 'number' ? location.accuracy : null,
+            occupation: location.occupation || null,
+            photos: photos
+        };
+
+        // Lines and polygons keep their outline; lat/lon is the label point
+        if (this.isShape(location)) {
+            record.geometryType = location.geometryType;
+            record.vertices = location.vertices.map(vertex => ({ lat: vertex.lat, lon: vertex.lon }));
+        }
+        return record;
+    }
+
+    showStorageError(message, error) {
+        const reason = error && error.name === 'QuotaExceededError'
+            ? 'device storage is full'
+            : (error && error.message) || 'unknown error';
+
+        // Leave the message up; storage failures must not go unnoticed
+        if (window.app) {
+            window.app.showStatus(`⚠️ ${message}: ${reason}`, 'error');
+        } else {
+            alert(`${message}: ${reason}`);
+        }
+    }
+
+    async loadSavedLocations() {
+        try {
+            const project = await window.projectManager.ready;
+
+            const migrated = await this.store.migrateFromLocalStorage(project.id);
+            if (migrated && window.app) {
+                window.app.showStatus(`Moved ${migrated} saved locations to offline storage`, 'success');
+                setTimeout(() => window.app.clearStatus(), 3000);
+            }
+
+            this.savedLocations = await this.store.getLocationsByProject(project.id);
+            this.updateSavedLocationsList();
+
+            // Restore markers on map
+            this.restoreSavedMarkers();
+
+            this.store.requestPersistence();
         } catch (error) {
             console.error('Error loading locations:', error);
+            this.showStorageError('Could not load saved locations', error);
         }
     }
 
-    restoreSavedMarkers() {
-        if (!window.mapManager) return;
+    /**
+     * Swap the map and saved-locations list over to the newly active project
+     */
+    async reloadForProject() {
+        const modal = document.getElementById('pin-modal');
+        if (modal.classList.contains('active')) {
+            this.closeModal();
+        }
 
         this.savedLocations.forEach(location => {
-            const marker = window.mapManager.addCustomPin(location.lat, location.lon, location);
-            
-            location.marker = marker; // Store reference
-            
-            let popupContent = `<strong>${location.name}</strong><br>`;
-            popupContent += `Lat: ${location.lat.toFixed(6)}<br>`;
-            popupContent += `Lon: ${location.lon.toFixed(6)}`;
-            if (location.photo && location.photo.metadata) {
-                popupContent += `<br>Azimuth: ${Math.round(location.photo.metadata.azimuth)}°`;
+            this.removeFromMap(location);
+        });
+        this.savedLocations = [];
+        this.currentPin = null;
+        this.currentPhoto = null;
+
+        try {
+            this.savedLocations = await this.store.getLocationsByProject(window.projectManager.activeProject.id);
+        } catch (error) {
+            console.error('Error loading project locations:', error);
+            this.showStorageError('Could not load project locations', error);
+        }
+
+        this.updateSavedLocationsList();
+        this.restoreSavedMarkers();
+    }
+
+    /**
+     * Add locations built by an importer to the active project
+     */
+    async importLocations(locations) {
+        const projectId = window.projectManager.activeProject.id;
+
+        // Categories from the file are matched before the write, but missing
+        // ones are only created once the locations are stored
+        const newCategories = [];
+        locations.forEach(location => {
+            const category = window.categoryManager ? window.categoryManager.matchCategory(location.category, newCategories) : null;
+            location.projectId = projectId;
+            location.categoryId = category ? category.id : null;
+            delete location.category;
+        });
+
+        const outboxItems = [];
+        if (window.syncManager) {
+            locations.forEach(location => outboxItems.push(...window.syncManager.createOutboxItems(location)));
+        }
+
+        try {
+            await this.store.saveLocations(locations.map(location => this.toLocationRecord(location)), outboxItems);
+        } catch (error) {
+            console.error('Error importing locations:', error);
+            this.showStorageError('Could not import locations', error);
+            return false;
+        }
+
+        if (window.categoryManager) {
+            window.categoryManager.addCategories(newCategories);
+        }
+
+        if (outboxItems.length > 0) {
+            window.syncManager.sync();
+        }
+
+        this.savedLocations.push(...locations);
+        this.updateSavedLocationsList();
+        this.restoreSavedMarkers(locations);
+        return true;
+    }
+
+    restoreSavedMarkers(locations = this.savedLocations) {
+        if (!window.mapManager) return;
+
+        locations.forEach(location => {
+            location.marker = window.mapManager.addCustomPin(location.lat, location.lon, null, location.source); // Store reference
+            if (this.isShape(location)) {
+                location.shape = window.mapManager.addShape(location.vertices, location.geometryType);
             }
-            
-            marker.bindPopup(popupContent);
-            
-            // Add click handler to edit
-            marker.on('click', (e) => {
+            this.bindSavedMarker(location);
+        });
+
+        this.refreshPhotoCones();
+    }
+
+    /**
+     * Draw a view cone for every photo of the saved locations, from where
+     * the photo was taken along its azimuth
+     */
+    refreshPhotoCones() {
+        if (!window.mapManager) return;
+
+        const settings = window.settingsManager;
+        const fov = settings ? settings.get('cameraFov') : 60;
+        const length = settings ? settings.get('coneLength') : 20;
+        const cones = [];
+
+        this.savedLocations.forEach(location => {
+            (location.photos || []).forEach((photo, index) => {
+                const metadata = photo.metadata;
+                if (!metadata || typeof metadata.azimuth !== 'number') return;
+
+                // The map is drawn to true north; older photos may only have the compass reading
+                const azimuth = this.metadataHandler.getTrueAzimuth(metadata);
+                const suffix = typeof metadata.trueAzimuth === 'number' || metadata.headingReference === 'true' ? ' T'
+                    : metadata.headingReference === 'magnetic' ? ' M' : '';
+                const hasUserPosition = typeof metadata.userLatitude === 'number' && typeof metadata.userLongitude === 'number';
+                cones.push({
+                    lat: hasUserPosition ? metadata.userLatitude : location.lat,
+                    lon: hasUserPosition ? metadata.userLongitude : location.lon,
+                    azimuth: azimuth,
+                    fov: fov,
+                    length: length,
+                    label: `${location.name} – Photo ${index + 1} · ${Math.round(azimuth)}°${suffix}`,
+                    onClick: () => this.openPhoto(location, photo)
+                });
+            });
+        });
+
+        window.mapManager.showPhotoCones(cones);
+    }
+
+    /**
+     * Open a saved location's modal with one of its photos selected
+     */
+    openPhoto(location, photo) {
+        this.editPin(location);
+        this.currentPhoto = photo;
+        this.renderPhotoGallery();
+    }
+
+    /**
+     * Saved markers open the pin modal on click and can be dragged to a new
+     * position. Lines and polygons open from their outline too, and are
+     * reshaped vertex by vertex rather than dragged.
+     */
+    bindSavedMarker(location) {
+        const marker = location.marker;
+
+        marker.off('click');
+        marker.on('click', (e) => {
+            L.DomEvent.stopPropagation(e);
+            // While measuring, a tap on a pin measures to its exact position
+            if (window.mapManager.pickPoint(marker.getLatLng(), location.name)) return;
+            this.editPin(location);
+        });
+
+        if (location.shape) {
+            location.shape.off('click');
+            location.shape.on('click', (e) => {
                 L.DomEvent.stopPropagation(e);
+                if (window.mapManager.pickPoint(e.latlng)) return;
                 this.editPin(location);
             });
-        });
+        }
+
+        marker.off('dragend');
+        marker.on('dragend', () => this.handleMarkerDrag(location));
+        if (marker.dragging && !this.isShape(location)) {
+            marker.dragging.enable();
+        }
+
+        this.applyCategory(location);
+        this.updateMarkerPopup(location);
     }
 
-    updateSavedLocationsDropdown() {
-        const dropdown = document.getElementById('saved-locations-dropdown');
-        
-        // Clear existing options except first
-        dropdown.innerHTML = '<option value="">📍 Saved Locations</option>';
+    updateMarkerPopup(location) {
+        if (!location.marker) return;
 
-        // Add saved locations
-        this.savedLocations.forEach(location => {
-            const option = document.createElement('option');
-            option.value = location.id;
-            option.textContent = location.name;
-            dropdown.appendChild(option);
+        let popupContent = `<strong>${this.escapeHtml(location.name)}</strong><br>`;
+        const category = this.getCategory(location);
+        if (category) {
+            popupContent += `${this.escapeHtml(`${category.icon} ${category.name}`)}<br>`;
+        }
+        this.metadataHandler.coordinateConverter.describe(location.lat, location.lon).forEach(([label, value]) => {
+            popupContent += `${label}: ${this.escapeHtml(value)}<br>`;
         });
+        popupContent += this.escapeHtml(this.isShape(location)
+            ? this.describeShape(location)
+            : this.metadataHandler.describePositionSource(location));
+        if (location.photos && location.photos.length > 0) {
+            popupContent += `<br>Photos: ${location.photos.length}`;
+            if (location.photos[0].metadata) {
+                popupContent += `<br>Azimuth: ${this.metadataHandler.formatAzimuth(location.photos[0].metadata)}`;
+            }
+        }
+
+        if (location.marker.getPopup()) {
+            location.marker.setPopupContent(popupContent);
+        } else {
+            location.marker.bindPopup(popupContent);
+        }
+
+        if (location.shape) {
+            location.shape.unbindTooltip();
+            location.shape.bindTooltip(this.escapeHtml(location.name), { sticky: true });
+        }
+    }
+
+    getSelectedCategoryId() {
+        const category = window.categoryManager ? window.categoryManager.getSelectedCategory() : null;
+        return category ? category.id : null;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    updateSavedLocationsList() {
+        const count = this.savedLocations.length;
+        document.getElementById('saved-locations-btn').textContent = count > 0 ? `📍 Saved Locations (${count})` : '📍 Saved Locations';
+
+        if (window.locationList) {
+            window.locationList.refresh();
+        }
     }
 
     navigateToSavedLocation(locationId) {
         if (!locationId) return;
 
         const location = this.savedLocations.find(loc => loc.id == locationId);
-        if (location && window.mapManager) {
-            window.mapManager.centerMap(location.lat, location.lon, 18);
-            
+        if (location && location.marker && window.mapManager) {
+            window.mapManager.flyToPin(location.marker, location.shape);
+
             if (window.app) {
                 window.app.showStatus(`Navigated to "${location.name}"`, 'success');
                 setTimeout(() => window.app.clearStatus(), 2000);
             }
         }
-
-        // Reset dropdown
-        document.getElementById('saved-locations-dropdown').value = '';
     }
 
-    deleteSavedLocation(locationId) {
+    async deleteSavedLocation(locationId) {
+        try {
+            await this.store.deleteLocation(locationId);
+        } catch (error) {
+            console.error('Error deleting location:', error);
+            this.showStorageError('Could not delete location', error);
+            return false;
+        }
+
         this.savedLocations = this.savedLocations.filter(loc => loc.id !== locationId);
-        this.saveSavedLocations();
-        this.updateSavedLocationsDropdown();
+        this.updateSavedLocationsList();
+        return true;
     }
 }
 
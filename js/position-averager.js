@@ -0,0 +1,87 @@
+// Position Averager - Averages repeated GPS fixes of one point, dropping
+// fixes whose reported accuracy is worse than the threshold
+class PositionAverager {
+    constructor(maxAccuracy) {
+        this.maxAccuracy = maxAccuracy;
+        this.fixes = [];
+        this.rejectedCount = 0;
+        this.startedAt = Date.now();
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * Returns true if the fix was accepted. Repeats of the same fix
+     * (same timestamp) are ignored without counting as rejected.
+     */
+    addFix(position) {
+        if (position.timestamp && position.timestamp === this.lastTimestamp) return false;
+        this.lastTimestamp = position.timestamp;
+
+        if (typeof position.accuracy !== 'number' || position.accuracy > this.maxAccuracy) {
+            this.rejectedCount++;
+            return false;
+        }
+
+        this.fixes.push({
+            lat: position.lat,
+            lon: position.lon,
+            accuracy: position.accuracy,
+            altitude: typeof position.altitude === 'number' ? position.altitude : null,
+            timestamp: position.timestamp || Date.now()
+        });
+        return true;
+    }
+
+    get count() {
+        return this.fixes.length;
+    }
+
+    getElapsedSeconds() {
+        return (Date.now() - this.startedAt) / 1000;
+    }
+
+    /**
+     * Mean position with its spread in meters, or null with no fixes.
+     * stdDev is the horizontal (2D RMS) standard deviation of the fixes.
+     */
+    getResult() {
+        const n = this.fixes.length;
+        if (n === 0) return null;
+
+        const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const lat = mean(this.fixes.map(fix => fix.lat));
+        const lon = mean(this.fixes.map(fix => fix.lon));
+        const altitudes = this.fixes.map(fix => fix.altitude).filter(a => a !== null);
+
+        // Offsets from the mean in meters (local flat-earth approximation)
+        const metersPerDegLat = 111132.92 - 559.82 * Math.cos(2 * lat * Math.PI / 180);
+        const metersPerDegLon = 111412.84 * Math.cos(lat * Math.PI / 180);
+        const north = this.fixes.map(fix => (fix.lat - lat) * metersPerDegLat);
+        const east = this.fixes.map(fix => (fix.lon - lon) * metersPerDegLon);
+        const stdDev = (offsets) => n > 1
+            ? Math.sqrt(offsets.reduce((sum, d) => sum + d * d, 0) / (n - 1))
+            : 0;
+
+        const stdDevNorth = stdDev(north);
+        const stdDevEast = stdDev(east);
+
+        return {
+            lat: lat,
+            lon: lon,
+            altitude: altitudes.length > 0 ? mean(altitudes) : null,
+            fixCount: n,
+            rejectedCount: this.rejectedCount,
+            durationSeconds: Math.round(this.getElapsedSeconds()),
+            stdDevNorth: stdDevNorth,
+            stdDevEast: stdDevEast,
+            stdDev: Math.sqrt(stdDevNorth * stdDevNorth + stdDevEast * stdDevEast),
+            meanAccuracy: mean(this.fixes.map(fix => fix.accuracy)),
+            maxAccuracy: this.maxAccuracy,
+            startedAt: new Date(this.fixes[0].timestamp).toISOString(),
+            endedAt: new Date(this.fixes[n - 1].timestamp).toISOString()
+        };
+    }
+}
+
+// Make available globally
+window.PositionAverager = PositionAverager;
@@ -0,0 +1,324 @@
+// Project Manager - Groups saved locations into named survey projects (jobs)
+class ProjectManager {
+    constructor() {
+        this.store = window.surveyStore;
+        this.projects = [];
+        this.activeProject = null;
+        this.ready = this.init();
+        this.ready.catch(error => console.error('Error initializing projects:', error));
+    }
+
+    async init() {
+        console.log('Initializing Project Manager...');
+        this.setupEventListeners();
+
+        this.projects = await this.store.getAllProjects();
+        if (this.projects.length === 0) {
+            await this.createProject({ name: 'Default Project' }, false);
+        }
+
+        const activeId = localStorage.getItem('activeProjectId');
+        this.activeProject = this.projects.find(p => p.id === activeId && !p.archived) ||
+                             this.getOpenProjects()[0] ||
+                             this.projects[0];
+        localStorage.setItem('activeProjectId', this.activeProject.id);
+
+        // Locations saved before projects existed join the active project
+        const adopted = await this.store.adoptOrphanLocations(this.activeProject.id);
+        if (adopted) {
+            console.log(`Assigned ${adopted} existing locations to "${this.activeProject.name}"`);
+        }
+
+        this.updateProjectButton();
+        return this.activeProject;
+    }
+
+    setupEventListeners() {
+        document.getElementById('project-btn').addEventListener('click', () => {
+            this.openModal();
+        });
+
+        document.getElementById('close-project-modal').addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        document.getElementById('project-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'project-modal') {
+                this.closeModal();
+            }
+        });
+
+        document.getElementById('create-project-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleCreateProject();
+        });
+    }
+
+    getOpenProjects() {
+        return this.projects.filter(p => !p.archived);
+    }
+
+    getArchivedProjects() {
+        return this.projects.filter(p => p.archived);
+    }
+
+    /**
+     * Identity of the active project, as stamped into photo metadata
+     */
+    getActiveProjectInfo() {
+        if (!this.activeProject) return null;
+
+        return {
+            id: this.activeProject.id,
+            name: this.activeProject.name,
+            client: this.activeProject.client || '',
+            jobNumber: this.activeProject.jobNumber || ''
+        };
+    }
+
+    async createProject(details, activate = true) {
+        const project = {
+            id: this.store.generateId(),
+            name: details.name,
+            client: details.client || '',
+            jobNumber: details.jobNumber || '',
+            createdAt: new Date().toISOString(),
+            archived: false
+        };
+
+        await this.store.saveProject(project);
+        this.projects.push(project);
+
+        if (activate) {
+            await this.switchProject(project.id);
+        }
+
+        return project;
+    }
+
+    async handleCreateProject() {
+        const nameInput = document.getElementById('project-name');
+        const clientInput = document.getElementById('project-client');
+        const jobInput = document.getElementById('project-job-number');
+        const name = nameInput.value.trim();
+
+        if (!name) {
+            alert('Please enter a project name');
+            nameInput.focus();
+            return;
+        }
+
+        try {
+            const project = await this.createProject({
+                name: name,
+                client: clientInput.value.trim(),
+                jobNumber: jobInput.value.trim()
+            });
+
+            nameInput.value = '';
+            clientInput.value = '';
+            jobInput.value = '';
+            this.renderProjectList();
+            this.showStatus(`Project "${project.name}" created`, 'success');
+        } catch (error) {
+            console.error('Error creating project:', error);
+            this.showStatus(`⚠️ Could not create project: ${error.message}`, 'error', false);
+        }
+    }
+
+    /**
+     * Make a project active and reload the map and saved-locations list for it
+     */
+    async switchProject(projectId) {
+        const project = this.projects.find(p => p.id === projectId);
+        if (!project || project === this.activeProject) return;
+
+        this.activeProject = project;
+        localStorage.setItem('activeProjectId', project.id);
+        this.updateProjectButton();
+
+        if (window.shapeDrawer) {
+            window.shapeDrawer.close();
+        }
+        if (window.pinManager) {
+            await window.pinManager.reloadForProject();
+        }
+        if (window.trackRecorder) {
+            await window.trackRecorder.reloadForProject();
+        }
+        if (window.measurementManager) {
+            await window.measurementManager.reloadForProject();
+        }
+
+        this.renderProjectList();
+    }
+
+    async setArchived(projectId, archived) {
+        const project = this.projects.find(p => p.id === projectId);
+        if (!project) return;
+
+        if (archived && this.getOpenProjects().length === 1) {
+            alert('Create another project before archiving the last open one');
+            return;
+        }
+
+        project.archived = archived;
+        project.archivedAt = archived ? new Date().toISOString() : null;
+
+        try {
+            await this.store.saveProject(project);
+        } catch (error) {
+            project.archived = !archived;
+            console.error('Error updating project:', error);
+            this.showStatus(`⚠️ Could not update project: ${error.message}`, 'error', false);
+            return;
+        }
+
+        if (archived && project === this.activeProject) {
+            await this.switchProject(this.getOpenProjects()[0].id);
+        }
+
+        this.renderProjectList();
+    }
+
+    async deleteProject(projectId) {
+        const project = this.projects.find(p => p.id === projectId);
+        if (!project) return;
+
+        if (this.projects.length === 1) {
+            alert('The last project cannot be deleted');
+            return;
+        }
+
+        const count = await this.store.countLocationsByProject(projectId);
+        const confirmed = confirm(
+            `Delete project "${project.name}" and its ${count} saved location(s) with all photos and GPS tracks?\n\nThis cannot be undone.`
+        );
+        if (!confirmed) return;
+
+        try {
+            await this.store.deleteProject(projectId);
+        } catch (error) {
+            console.error('Error deleting project:', error);
+            this.showStatus(`⚠️ Could not delete project: ${error.message}`, 'error', false);
+            return;
+        }
+
+        this.projects = this.projects.filter(p => p.id !== projectId);
+
+        if (project === this.activeProject) {
+            const next = this.getOpenProjects()[0];
+            if (next) {
+                await this.switchProject(next.id);
+            } else {
+                // Only archived projects remain, so bring one back
+                await this.setArchived(this.projects[0].id, false);
+                await this.switchProject(this.projects[0].id);
+            }
+        }
+
+        this.renderProjectList();
+        this.showStatus(`Project "${project.name}" deleted`, 'info');
+    }
+
+    updateProjectButton() {
+        const label = document.getElementById('active-project-name');
+        if (label && this.activeProject) {
+            label.textContent = this.activeProject.name;
+        }
+    }
+
+    openModal() {
+        document.getElementById('project-modal').classList.add('active');
+        this.renderProjectList();
+    }
+
+    closeModal() {
+        document.getElementById('project-modal').classList.remove('active');
+    }
+
+    async renderProjectList() {
+        const openList = document.getElementById('project-list');
+        const archivedList = document.getElementById('archived-project-list');
+        const archivedSection = document.getElementById('archived-projects-section');
+
+        const counts = {};
+        await Promise.all(this.projects.map(async project => {
+            counts[project.id] = await this.store.countLocationsByProject(project.id);
+        }));
+
+        openList.innerHTML = '';
+        this.getOpenProjects().forEach(project => {
+            openList.appendChild(this.createProjectItem(project, counts[project.id]));
+        });
+
+        archivedList.innerHTML = '';
+        const archived = this.getArchivedProjects();
+        archived.forEach(project => {
+            archivedList.appendChild(this.createProjectItem(project, counts[project.id]));
+        });
+        archivedSection.style.display = archived.length > 0 ? 'block' : 'none';
+    }
+
+    createProjectItem(project, locationCount) {
+        const item = document.createElement('li');
+        item.className = 'project-item' + (project === this.activeProject ? ' active' : '');
+
+        const info = document.createElement('div');
+        info.className = 'project-item-info';
+
+        const name = document.createElement('strong');
+        name.textContent = project.name;
+        info.appendChild(name);
+
+        const details = document.createElement('span');
+        details.className = 'project-item-details';
+        details.textContent = [
+            project.client,
+            project.jobNumber ? `Job #${project.jobNumber}` : '',
+            `${locationCount} location${locationCount === 1 ? '' : 's'}`
+        ].filter(Boolean).join(' · ');
+        info.appendChild(details);
+
+        item.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'project-item-actions';
+
+        if (!project.archived && project !== this.activeProject) {
+            actions.appendChild(this.createActionButton('Open', 'btn-primary', () => this.switchProject(project.id)));
+        }
+        if (project.archived) {
+            actions.appendChild(this.createActionButton('Restore', 'btn-light', () => this.setArchived(project.id, false)));
+        } else {
+            actions.appendChild(this.createActionButton('Archive', 'btn-light', () => this.setArchived(project.id, true)));
+        }
+        actions.appendChild(this.createActionButton('Delete', 'btn-danger', () => this.deleteProject(project.id)));
+
+        item.appendChild(actions);
+        return item;
+    }
+
+    createActionButton(label, className, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${className}`;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    showStatus(message, type = 'info', autoClear = true) {
+        if (window.app) {
+            window.app.showStatus(message, type);
+            if (autoClear) {
+                setTimeout(() => window.app.clearStatus(), 2000);
+            }
+        }
+    }
+}
+
+// Initialize project manager when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.projectManager = new ProjectManager();
+});
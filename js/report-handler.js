@@ -0,0 +1,558 @@
+// Report Handler - Lays out a survey as one PDF: a cover page with the
+// contents, a map overview with numbered locations, then a section per
+// location with its photos and the same details as the metadata files.
+// Everything is built on the device; only the basemap needs the tiles.
+class ReportHandler {
+    constructor(metadataHandler) {
+        this.metadataHandler = metadataHandler;
+        this.geodesy = new Geodesy();
+
+        // Same tiles as the map, so areas saved for offline use work here too
+        this.tileUrl = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+        this.maxTiles = 48;
+        this.basemapTimeout = 8000;
+
+        // Layout, in points
+        this.margin = 42;
+        this.top = 50;
+        this.bottomMargin = 56;
+        this.labelWidth = 120;
+        this.maxPhotoHeight = 300;
+
+        this.colors = {
+            text: [0.13, 0.13, 0.13],
+            muted: [0.45, 0.45, 0.45],
+            accent: [0.13, 0.4, 0.76],
+            rule: [0.8, 0.8, 0.8],
+            band: [0.93, 0.95, 0.98],
+            pin: [0.85, 0.2, 0.2],
+            shape: [0.224, 0.286, 0.671]
+        };
+    }
+
+    /**
+     * Build the report and return it as a PDF blob
+     */
+    async createReport(locations, project) {
+        this.pdf = new PdfWriter();
+        this.contentWidth = this.pdf.pageWidth - 2 * this.margin;
+        this.bottom = this.pdf.pageHeight - this.bottomMargin;
+
+        // The cover lists page numbers, so it is written last and put in front
+        const mapPage = this.pdf.addPage();
+        const basemapUsed = await this.drawMapOverview(mapPage, locations);
+
+        const contents = [{ title: 'Map overview', page: 0 }];
+        for (let i = 0; i < locations.length; i++) {
+            contents.push({
+                title: `${i + 1}. ${locations[i].name}`,
+                page: this.pdf.pages.length
+            });
+            await this.addLocationSection(locations[i], i + 1);
+        }
+
+        this.addCover(locations, project, contents);
+        this.addFooters(project, basemapUsed);
+
+        return this.pdf.toBlob();
+    }
+
+    /**
+     * Cover page(s): project details, counts and the contents, whose page
+     * numbers allow for any extra contents pages
+     */
+    addCover(locations, project, contents) {
+        const pdf = this.pdf;
+        const timezone = this.metadataHandler.getTimezoneInfo();
+        const converter = this.metadataHandler.coordinateConverter;
+        const format = converter.getFormat();
+        const photoCount = locations.reduce((sum, location) => sum + (location.photos || []).length, 0);
+        const counts = { point: 0, line: 0, polygon: 0 };
+        locations.forEach(location => counts[location.geometryType || 'point']++);
+
+        // Contents rows that fit on the cover and on each further page
+        const rowHeight = 16;
+        const coverContentsTop = 430;
+        const coverRows = Math.floor((this.bottom - coverContentsTop) / rowHeight);
+        const pageRows = Math.floor((this.bottom - this.top - 24) / rowHeight);
+        const extraPages = Math.max(0, Math.ceil((contents.length - coverRows) / pageRows));
+        const offset = 1 + extraPages;
+
+        const cover = pdf.insertPage(0);
+        pdf.rect(cover, 0, 0, pdf.pageWidth, 8, { stroke: null, fill: this.colors.accent });
+        pdf.text(cover, this.margin, 120, 'Field Survey Report', { size: 28, style: 'bold', color: this.colors.accent });
+
+        let y = 160;
+        pdf.wrapText(project ? project.name : 'Field Survey', this.contentWidth, 18, 'bold').forEach(line => {
+            pdf.text(cover, this.margin, y, line, { size: 18, style: 'bold', color: this.colors.text });
+            y += 24;
+        });
+
+        y += 10;
+        const details = [
+            ['Client', project && project.client ? project.client : 'N/A'],
+            ['Job Number', project && project.jobNumber ? project.jobNumber : 'N/A'],
+            ['Generated', `${this.metadataHandler.formatDateTime()} ${timezone.full}`],
+            ['Locations', `${locations.length} (${counts.point} points, ${counts.line} lines, ${counts.polygon} polygons)`],
+            ['Photos', String(photoCount)],
+            ['Coordinates', `WGS84 decimal degrees${format !== 'dd' ? ` and ${converter.formats[format]}` : ''}`]
+        ];
+        details.forEach(([label, value]) => {
+            y = this.drawField(cover, y, label, value);
+        });
+
+        y = coverContentsTop - 30;
+        pdf.text(cover, this.margin, y, 'Contents', { size: 14, style: 'bold', color: this.colors.text });
+        pdf.line(cover, this.margin, y + 6, this.margin + this.contentWidth, y + 6, { stroke: this.colors.rule, width: 0.5 });
+
+        let page = cover;
+        y = coverContentsTop;
+        let row = 0;
+        let limit = coverRows;
+        contents.forEach(entry => {
+            if (row === limit) {
+                page = pdf.insertPage(pdf.pages.indexOf(page) + 1);
+                pdf.text(page, this.margin, this.top, 'Contents (continued)', { size: 11, style: 'bold', color: this.colors.muted });
+                y = this.top + 24;
+                row = 0;
+                limit = pageRows;
+            }
+
+            const pageLabel = String(entry.page + offset + 1);
+            const maxTitleWidth = this.contentWidth - pdf.textWidth(pageLabel, 10) - 20;
+            const title = this.truncate(entry.title, maxTitleWidth, 10);
+
+            pdf.text(page, this.margin, y, title, { size: 10, color: this.colors.text });
+            pdf.text(page, this.margin + this.contentWidth, y, pageLabel, { size: 10, color: this.colors.text, align: 'right' });
+            pdf.line(page, this.margin + pdf.textWidth(title, 10) + 4, y, this.margin + this.contentWidth - pdf.textWidth(pageLabel, 10) - 4, y,
+                { stroke: this.colors.rule, width: 0.5, dash: [1, 2] });
+            y += rowHeight;
+            row++;
+        });
+    }
+
+    addFooters(project, basemapUsed) {
+        const pdf = this.pdf;
+        const total = pdf.pages.length;
+        const title = project ? project.name : 'Field Survey';
+        const y = pdf.pageHeight - 28;
+
+        pdf.pages.forEach((page, index) => {
+            pdf.line(page, this.margin, y - 12, this.margin + this.contentWidth, y - 12, { stroke: this.colors.rule, width: 0.5 });
+            pdf.text(page, this.margin, y, title, { size: 8, color: this.colors.muted });
+            pdf.text(page, this.margin + this.contentWidth, y, `Page ${index + 1} of ${total}`,
+                { size: 8, color: this.colors.muted, align: 'right' });
+        });
+
+        // OSM attribution is required wherever its tiles appear
+        if (basemapUsed) {
+            const mapPage = pdf.pages.find(page => page.isMap);
+            pdf.text(mapPage, this.margin + this.contentWidth / 2, y, 'Basemap © OpenStreetMap contributors',
+                { size: 8, color: this.colors.muted, align: 'center' });
+        }
+    }
+
+    /**
+     * Every location on one map, numbered as in the contents. Returns
+     * whether basemap tiles could be drawn under it.
+     */
+    async drawMapOverview(page, locations) {
+        const pdf = this.pdf;
+        page.isMap = true;
+
+        pdf.text(page, this.margin, this.top, 'Map overview', { size: 16, style: 'bold', color: this.colors.text });
+
+        const box = { x: this.margin, y: this.top + 16, width: this.contentWidth, height: 600 };
+        const view = this.fitView(locations, box);
+        const toPage = (lat, lon) => {
+            const [mx, my] = this.toMercator(lat, lon);
+            return [box.x + (mx - view.minX) * view.scale, box.y + (my - view.minY) * view.scale];
+        };
+
+        let basemapUsed = false;
+        try {
+            const image = await this.renderBasemap(view, box);
+            if (image) {
+                pdf.image(page, pdf.addJpeg(image), box.x, box.y, box.width, box.height);
+                basemapUsed = true;
+            }
+        } catch (error) {
+            console.warn('Report basemap unavailable:', error);
+        }
+
+        if (!basemapUsed) {
+            pdf.rect(page, box.x, box.y, box.width, box.height, { stroke: null, fill: [0.96, 0.96, 0.94] });
+        }
+
+        // Shapes first so the numbers stay on top
+        locations.forEach(location => {
+            if (location.geometryType !== 'line' && location.geometryType !== 'polygon') return;
+            const points = location.vertices.map(vertex => toPage(vertex.lat, vertex.lon));
+            pdf.polyline(page, points, {
+                closed: location.geometryType === 'polygon',
+                stroke: this.colors.shape,
+                width: 2
+            });
+        });
+
+        locations.forEach((location, index) => {
+            const [x, y] = toPage(location.lat, location.lon);
+            const isShape = location.geometryType === 'line' || location.geometryType === 'polygon';
+            this.drawNumber(page, x, y, index + 1, isShape ? this.colors.shape : this.colors.pin);
+        });
+
+        pdf.rect(page, box.x, box.y, box.width, box.height, { stroke: this.colors.muted, width: 0.75 });
+        this.drawNorthArrow(page, box.x + box.width - 22, box.y + 14);
+        this.drawScaleBar(page, box, view);
+
+        let y = box.y + box.height + 22;
+        this.drawLegendItem(page, box.x, y, 'pin', 'Point');
+        this.drawLegendItem(page, box.x + 90, y, 'shape', 'Line or polygon');
+        if (!basemapUsed) {
+            pdf.text(page, box.x + box.width, y + 3, 'Basemap not available offline for this area',
+                { size: 8, color: this.colors.muted, align: 'right' });
+        }
+        y += 22;
+        pdf.text(page, box.x, y, 'Numbers match the location sections and the contents.', { size: 9, color: this.colors.muted });
+
+        return basemapUsed;
+    }
+
+    /**
+     * Web Mercator window around every point and vertex, padded and with
+     * a minimum span so a single pin is shown with its surroundings
+     */
+    fitView(locations, box) {
+        const coords = [];
+        locations.forEach(location => {
+            coords.push(this.toMercator(location.lat, location.lon));
+            (location.vertices || []).forEach(vertex => coords.push(this.toMercator(vertex.lat, vertex.lon)));
+        });
+
+        let minX = Math.min(...coords.map(c => c[0]));
+        let maxX = Math.max(...coords.map(c => c[0]));
+        let minY = Math.min(...coords.map(c => c[1]));
+        let maxY = Math.max(...coords.map(c => c[1]));
+
+        const centerLat = this.fromMercatorY((minY + maxY) / 2);
+        const minSpan = 300 / (40075016.686 * Math.cos(centerLat * Math.PI / 180));
+        const spanX = Math.max(maxX - minX, minSpan) * 1.15;
+        const spanY = Math.max(maxY - minY, minSpan) * 1.15;
+        const scale = Math.min(box.width / spanX, box.height / spanY);
+
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        minX = centerX - box.width / scale / 2;
+        minY = centerY - box.height / scale / 2;
+
+        return { minX: minX, minY: minY, scale: scale, centerLat: centerLat };
+    }
+
+    /**
+     * Basemap tiles drawn to a canvas at twice the page resolution and
+     * returned as JPEG bytes, or null without a canvas or any tiles
+     */
+    async renderBasemap(view, box) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(box.width * 2);
+        canvas.height = Math.round(box.height * 2);
+        const ctx = canvas.getContext('2d');
+        if (!ctx || typeof createImageBitmap !== 'function') return null;
+
+        const pixelsPerUnit = view.scale * 2;
+        const zoom = Math.max(0, Math.min(19, Math.round(Math.log2(pixelsPerUnit / 256))));
+        const tileCount = Math.pow(2, zoom);
+        const tileSize = pixelsPerUnit / tileCount;
+
+        const minTileX = Math.floor(view.minX * tileCount);
+        const maxTileX = Math.floor((view.minX + canvas.width / pixelsPerUnit) * tileCount);
+        const minTileY = Math.max(0, Math.floor(view.minY * tileCount));
+        const maxTileY = Math.min(tileCount - 1, Math.floor((view.minY + canvas.height / pixelsPerUnit) * tileCount));
+        if ((maxTileX - minTileX + 1) * (maxTileY - minTileY + 1) > this.maxTiles) return null;
+
+        ctx.fillStyle = '#f5f5f0';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.basemapTimeout);
+        let drawn = 0;
+
+        try {
+            for (let ty = minTileY; ty <= maxTileY; ty++) {
+                for (let tx = minTileX; tx <= maxTileX; tx++) {
+                    const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+                    const url = this.tileUrl.replace('{z}', zoom).replace('{x}', wrappedX).replace('{y}', ty);
+
+                    try {
+                        const response = await fetch(url, { signal: controller.signal });
+                        if (!response.ok) continue;
+                        const bitmap = await createImageBitmap(await response.blob());
+                        ctx.drawImage(bitmap,
+                            (tx / tileCount - view.minX) * pixelsPerUnit,
+                            (ty / tileCount - view.minY) * pixelsPerUnit,
+                            tileSize, tileSize);
+                        drawn++;
+                    } catch (error) {
+                        if (controller.signal.aborted) throw error;
+                    }
+                }
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (drawn === 0) return null;
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+        return blob ? new Uint8Array(await blob.arrayBuffer()) : null;
+    }
+
+    toMercator(lat, lon) {
+        const clamped = Math.max(-85.05112878, Math.min(85.05112878, lat)) * Math.PI / 180;
+        return [
+            (lon + 180) / 360,
+            (1 - Math.log(Math.tan(clamped) + 1 / Math.cos(clamped)) / Math.PI) / 2
+        ];
+    }
+
+    fromMercatorY(y) {
+        return Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI;
+    }
+
+    drawNumber(page, x, y, number, color) {
+        const label = String(number);
+        const radius = Math.max(7, this.pdf.textWidth(label, 8, 'bold') / 2 + 3);
+        this.pdf.circle(page, x, y, radius, { stroke: [1, 1, 1], fill: color, width: 1.5 });
+        this.pdf.text(page, x, y + 2.8, label, { size: 8, style: 'bold', color: [1, 1, 1], align: 'center' });
+    }
+
+    drawNorthArrow(page, x, y) {
+        this.pdf.polyline(page, [[x, y], [x + 6, y + 18], [x, y + 14], [x - 6, y + 18]],
+            { closed: true, stroke: [1, 1, 1], fill: this.colors.text, width: 1 });
+        this.pdf.text(page, x, y + 30, 'N', { size: 9, style: 'bold', color: this.colors.text, align: 'center' });
+    }
+
+    /**
+     * A round length of about a quarter of the map width, measured at the
+     * map's center latitude
+     */
+    drawScaleBar(page, box, view) {
+        const metersPerPoint = 40075016.686 * Math.cos(view.centerLat * Math.PI / 180) / view.scale;
+        const target = metersPerPoint * box.width / 4;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+        const meters = [5, 2, 1].map(step => step * magnitude).find(length => length <= target) || magnitude;
+        const width = meters / metersPerPoint;
+        const x = box.x + 12;
+        const y = box.y + box.height - 14;
+
+        this.pdf.rect(page, x - 4, y - 16, width + 8, 22, { stroke: null, fill: [1, 1, 1] });
+        this.pdf.line(page, x, y, x + width, y, { stroke: this.colors.text, width: 2 });
+        this.pdf.line(page, x, y - 4, x, y, { stroke: this.colors.text, width: 1 });
+        this.pdf.line(page, x + width, y - 4, x + width, y, { stroke: this.colors.text, width: 1 });
+        this.pdf.text(page, x + width / 2, y - 6,
+            meters >= 1000 ? `${meters / 1000} km` : `${meters} m`,
+            { size: 8, color: this.colors.text, align: 'center' });
+    }
+
+    drawLegendItem(page, x, y, type, label) {
+        if (type === 'pin') {
+            this.pdf.circle(page, x + 6, y, 6, { stroke: null, fill: this.colors.pin });
+        } else {
+            this.pdf.line(page, x, y, x + 12, y, { stroke: this.colors.shape, width: 2 });
+        }
+        this.pdf.text(page, x + 18, y + 3, label, { size: 9, color: this.colors.text });
+    }
+
+    /**
+     * One location: heading, position and form answers, then each photo
+     * with its orientation, position and time
+     */
+    async addLocationSection(location, number) {
+        const pdf = this.pdf;
+        this.sectionName = `${number}. ${location.name}`;
+        this.page = pdf.addPage();
+        this.y = this.top;
+
+        const nameLines = pdf.wrapText(location.name, this.contentWidth - 40, 14, 'bold');
+        pdf.rect(this.page, this.margin, this.y - 16, this.contentWidth, 8 + nameLines.length * 18, { stroke: null, fill: this.colors.band });
+        this.drawNumber(this.page, this.margin + 14, this.y - 3, number,
+            this.isShape(location) ? this.colors.shape : this.colors.pin);
+        nameLines.forEach(line => {
+            pdf.text(this.page, this.margin + 30, this.y + 2, line, { size: 14, style: 'bold', color: this.colors.text });
+            this.y += 18;
+        });
+        this.y += 12;
+
+        this.addFields(this.getLocationFields(location));
+
+        const answers = window.formManager ? window.formManager.describeLocationAnswers(location) : null;
+        if (answers && answers.fields.length > 0) {
+            this.addSectionTitle(`SURVEY FORM (${answers.formName})`);
+            this.addFields(answers.fields.map(([label, value]) =>
+                [label, value === null || value === undefined || value === '' ? 'N/A' : value]));
+        }
+
+        const photos = location.photos || [];
+        if (photos.length === 0) {
+            this.ensureSpace(20);
+            pdf.text(this.page, this.margin, this.y + 10, 'No photos', { size: 9, color: this.colors.muted });
+            this.y += 20;
+        }
+
+        for (let i = 0; i < photos.length; i++) {
+            await this.addPhoto(photos[i], i + 1, photos.length);
+        }
+    }
+
+    getLocationFields(location) {
+        const fields = [['Coordinates', `${location.lat.toFixed(6)}, ${location.lon.toFixed(6)} (WGS84)`]]
+            .concat(this.metadataHandler.getFormattedCoordinateFields(location.lat, location.lon));
+
+        if (this.isShape(location)) {
+            fields[0][0] = location.geometryType === 'polygon' ? 'Centroid' : 'Midpoint';
+            if (location.geometryType === 'polygon') {
+                const area = this.geodesy.formatArea(this.geodesy.polygonArea(location.vertices));
+                const perimeter = this.geodesy.formatDistance(this.geodesy.perimeter(location.vertices));
+                fields.push(['Area', `${area.metric} · ${area.imperial}`]);
+                fields.push(['Perimeter', `${perimeter.metric} · ${perimeter.imperial}`]);
+            } else {
+                const length = this.geodesy.formatDistance(this.geodesy.pathLength(location.vertices));
+                fields.push(['Length', `${length.metric} · ${length.imperial}`]);
+            }
+            fields.push(['Vertices', location.vertices.map(vertex =>
+                `${vertex.lat.toFixed(6)}, ${vertex.lon.toFixed(6)}`).join('; ')]);
+        } else {
+            const accuracy = typeof location.accuracy === 'number' ? ` · ±${location.accuracy.toFixed(1)} m` : '';
+            fields.push(['Source', `${this.metadataHandler.getPositionSourceLabel(location.source)}${accuracy}`]);
+            fields.push(...this.metadataHandler.getOccupationFields(location.occupation));
+        }
+
+        if (location.timestamp) {
+            fields.push(['Saved', this.formatTimestamp(location.timestamp)]);
+        }
+        return fields;
+    }
+
+    /**
+     * A photo as large as fits the page width, then the capture details
+     */
+    async addPhoto(photo, index, count) {
+        const pdf = this.pdf;
+        let image = null;
+
+        try {
+            await window.pinManager.loadPhotoData(photo);
+            image = pdf.addJpeg(new Uint8Array(await photo.blob.arrayBuffer()));
+        } catch (error) {
+            console.error('Error adding photo to report:', error);
+        }
+
+        const title = `Photo ${index} of ${count}${photo.name ? ` · ${photo.name}` : ''}`;
+        let width = 0;
+        let height = 0;
+        if (image) {
+            const fit = Math.min(this.contentWidth / image.width, this.maxPhotoHeight / image.height);
+            width = image.width * fit;
+            height = image.height * fit;
+        }
+
+        this.ensureSpace(height + 40);
+        this.y += 8;
+        pdf.text(this.page, this.margin, this.y + 8, title, { size: 11, style: 'bold', color: this.colors.accent });
+        this.y += 16;
+
+        if (image) {
+            pdf.image(this.page, image, this.margin, this.y, width, height);
+            this.y += height + 8;
+        } else {
+            pdf.text(this.page, this.margin, this.y + 8, 'Photo could not be included', { size: 9, color: this.colors.muted });
+            this.y += 16;
+        }
+
+        if (!photo.metadata) return;
+
+        const wanted = ['CAMERA ORIENTATION', 'USER POSITION', 'TIMESTAMP'];
+        this.metadataHandler.getMetadataSections(photo.metadata)
+            .filter(section => wanted.some(title => section.title.startsWith(title)))
+            .forEach(section => {
+                this.addSectionTitle(section.title);
+                this.addFields(section.fields);
+            });
+    }
+
+    addSectionTitle(title) {
+        this.ensureSpace(34);
+        this.y += 8;
+        this.pdf.text(this.page, this.margin, this.y + 8, title, { size: 9, style: 'bold', color: this.colors.muted });
+        this.pdf.line(this.page, this.margin, this.y + 12, this.margin + this.contentWidth, this.y + 12,
+            { stroke: this.colors.rule, width: 0.5 });
+        this.y += 18;
+    }
+
+    addFields(fields) {
+        fields.forEach(([label, value]) => {
+            const lines = this.pdf.wrapText(String(value), this.contentWidth - this.labelWidth, 9);
+            this.ensureSpace(lines.length * 12);
+            this.y = this.drawField(this.page, this.y, label, value);
+        });
+    }
+
+    /**
+     * Label and wrapped value with the first baseline just below y;
+     * returns the y below the field
+     */
+    drawField(page, y, label, value) {
+        const lines = this.pdf.wrapText(String(value), this.contentWidth - this.labelWidth, 9);
+        this.pdf.text(page, this.margin, y + 9, label, { size: 9, style: 'bold', color: this.colors.muted });
+        lines.forEach((line, index) => {
+            this.pdf.text(page, this.margin + this.labelWidth, y + 9 + index * 12, line, { size: 9, color: this.colors.text });
+        });
+        return y + lines.length * 12 + 2;
+    }
+
+    /**
+     * Continue on a new page when the next block would run past the bottom
+     */
+    ensureSpace(height) {
+        if (this.y + height <= this.bottom) return;
+
+        this.page = this.pdf.addPage();
+        this.pdf.text(this.page, this.margin, this.top,
+            `${this.truncate(this.sectionName, this.contentWidth - 80, 10, 'bold')} (continued)`,
+            { size: 10, style: 'bold', color: this.colors.muted });
+        this.y = this.top + 14;
+    }
+
+    /**
+     * Shorten text with an ellipsis to fit maxWidth
+     */
+    truncate(text, maxWidth, size, style = 'regular') {
+        let result = text;
+        for (let length = text.length - 1; this.pdf.textWidth(result, size, style) > maxWidth && length > 3; length--) {
+            result = `${text.slice(0, length)}…`;
+        }
+        return result;
+    }
+
+    isShape(location) {
+        return location.geometryType === 'line' || location.geometryType === 'polygon';
+    }
+
+    /**
+     * Stored ISO time in local time with the UTC offset
+     */
+    formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) return String(timestamp);
+
+        const pad = (value) => String(value).padStart(2, '0');
+        const offset = -date.getTimezoneOffset();
+        const sign = offset >= 0 ? '+' : '-';
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ` +
+            `UTC${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    }
+}
+
+// Make available globally
+window.ReportHandler = ReportHandler;
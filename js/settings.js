@@ -0,0 +1,159 @@
+// Settings Manager - Device settings kept in localStorage and edited on the
+// settings screen. Inputs with a data-setting attribute are bound automatically.
+class SettingsManager {
+    constructor() {
+        this.storageKey = 'surveySettings';
+        this.defaults = {
+            // Point occupation: stop after this many good fixes or seconds,
+            // whichever comes first, ignoring fixes worse than maxAccuracy
+            occupationFixCount: 30,
+            occupationDuration: 60,
+            occupationMaxAccuracy: 10,
+
+            // "Pin here" averages fixes like Occupy Point instead of using one
+            pinHereAveraged: false,
+
+            // Photo view cones: horizontal camera field of view (degrees),
+            // drawn length (meters) and whether the map layer is shown
+            cameraFov: 60,
+            coneLength: 20,
+            showPhotoCones: true,
+
+            // Pin categories switched off in the map's layer control ('' is
+            // uncategorized pins) and whether the map legend is folded up
+            hiddenCategories: [],
+            legendCollapsed: false,
+
+            // Photo azimuths are saved from 'true' or 'magnetic' north
+            headingReference: 'true',
+
+            // Compass filter time constant (seconds): higher is steadier but slower
+            compassResponse: 0.5,
+
+            // How coordinates are shown: 'dd', 'dms', 'utm' or 'mgrs'.
+            // Map exports always keep WGS84 decimal degrees.
+            coordinateFormat: 'dd',
+
+            // Spreadsheet export: 'csv' or 'xlsx', the coordinate format of
+            // its columns, 'metric' or 'imperial' units and the column
+            // mapping (null until columns are changed)
+            tableFileFormat: 'csv',
+            tableCoordinateFormat: 'dd',
+            tableUnits: 'metric',
+            tableColumns: null
+        };
+        this.values = this.load();
+        this.init();
+    }
+
+    init() {
+        console.log('Settings Manager initialized');
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('settings-btn').addEventListener('click', () => {
+            if (window.exportManager) {
+                window.exportManager.closeModal();
+            }
+            this.openModal();
+        });
+
+        document.getElementById('close-settings-modal').addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        document.getElementById('settings-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'settings-modal') {
+                this.closeModal();
+            }
+        });
+
+        document.querySelectorAll('[data-setting]').forEach(input => {
+            input.addEventListener('change', () => this.handleInputChange(input));
+        });
+
+        document.getElementById('reset-settings-btn').addEventListener('click', () => {
+            if (confirm('Restore all settings to their defaults?')) {
+                this.reset();
+            }
+        });
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return Object.assign({}, this.defaults, stored);
+        } catch (error) {
+            console.error('Error reading settings:', error);
+            return Object.assign({}, this.defaults);
+        }
+    }
+
+    get(key) {
+        return key in this.values ? this.values[key] : this.defaults[key];
+    }
+
+    /**
+     * Store a setting and announce it with a 'settingschange' event on document
+     */
+    set(key, value) {
+        this.values[key] = value;
+        localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        document.dispatchEvent(new CustomEvent('settingschange', { detail: { key: key, value: value } }));
+    }
+
+    reset() {
+        Object.keys(this.defaults).forEach(key => this.set(key, this.defaults[key]));
+        this.renderInputs();
+    }
+
+    openModal() {
+        this.renderInputs();
+        document.getElementById('settings-modal').classList.add('active');
+    }
+
+    closeModal() {
+        document.getElementById('settings-modal').classList.remove('active');
+    }
+
+    renderInputs() {
+        document.querySelectorAll('[data-setting]').forEach(input => {
+            const value = this.get(input.dataset.setting);
+            if (input.type === 'checkbox') {
+                input.checked = !!value;
+            } else {
+                input.value = value;
+            }
+        });
+    }
+
+    /**
+     * Number inputs are checked against their min/max; bad values snap back
+     */
+    handleInputChange(input) {
+        const key = input.dataset.setting;
+        let value;
+
+        if (input.type === 'checkbox') {
+            value = input.checked;
+        } else if (input.type === 'number') {
+            value = Number(input.value);
+            const min = input.min !== '' ? Number(input.min) : -Infinity;
+            const max = input.max !== '' ? Number(input.max) : Infinity;
+            if (input.value === '' || !Number.isFinite(value) || value < min || value > max) {
+                input.value = this.get(key);
+                return;
+            }
+        } else {
+            value = input.value;
+        }
+
+        this.set(key, value);
+    }
+}
+
+// Initialize settings when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.settingsManager = new SettingsManager();
+});
@@ -0,0 +1,215 @@
+// Shape Drawer - Draws line and polygon survey features (fence lines,
+// easements, damage areas) by tapping vertices on the map, and reshapes
+// saved ones. Finished shapes are handed to PinManager like a new pin.
+class ShapeDrawer {
+    constructor() {
+        this.geodesy = new Geodesy();
+        this.active = false;
+        this.geometryType = 'line'; // 'line' | 'polygon'
+        this.points = [];
+        this.editing = null; // saved location being reshaped, if any
+        this.init();
+    }
+
+    init() {
+        console.log('Shape Drawer initialized');
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('draw-btn').addEventListener('click', () => {
+            if (this.active) {
+                this.cancel();
+            } else {
+                this.open(this.geometryType);
+            }
+        });
+
+        document.getElementById('close-draw-panel').addEventListener('click', () => {
+            this.cancel();
+        });
+
+        document.querySelectorAll('#draw-panel [data-draw-type]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.geometryType = button.dataset.drawType;
+                this.update();
+            });
+        });
+
+        document.getElementById('draw-position-btn').addEventListener('click', () => {
+            this.addCurrentPosition();
+        });
+
+        document.getElementById('draw-undo-btn').addEventListener('click', () => {
+            this.points.pop();
+            this.update();
+        });
+
+        document.getElementById('draw-finish-btn').addEventListener('click', () => {
+            this.finish();
+        });
+    }
+
+    /**
+     * Start drawing; with a saved location, start from its vertices
+     */
+    open(geometryType, points = [], editing = null) {
+        if (!window.mapManager || !window.mapManager.map) return;
+
+        // Measuring and drawing both take map taps
+        if (window.measurementManager && window.measurementManager.active) {
+            window.measurementManager.close();
+        }
+
+        this.active = true;
+        this.geometryType = geometryType;
+        this.points = points;
+        this.editing = editing;
+
+        window.mapManager.startPointPicking(point => this.addPoint(point));
+        document.getElementById('draw-panel').classList.add('active');
+        document.getElementById('draw-btn').classList.add('active');
+        this.update();
+    }
+
+    edit(location) {
+        this.open(location.geometryType, location.vertices.map(vertex => ({ lat: vertex.lat, lon: vertex.lon })), location);
+    }
+
+    close() {
+        this.active = false;
+        this.points = [];
+        this.editing = null;
+        if (window.mapManager) {
+            window.mapManager.stopPointPicking();
+            window.mapManager.clearSketch();
+        }
+        document.getElementById('draw-panel').classList.remove('active');
+        document.getElementById('draw-btn').classList.remove('active');
+    }
+
+    /**
+     * Drop the sketch; a reshape returns to the location's details
+     */
+    cancel() {
+        const location = this.editing;
+        this.close();
+
+        if (location && window.pinManager) {
+            window.pinManager.editPin(location);
+        }
+    }
+
+    addPoint(point) {
+        this.points.push({ lat: point.lat, lon: point.lon });
+        this.update();
+    }
+
+    addCurrentPosition() {
+        const position = window.app ? window.app.currentPosition : null;
+        if (!position) {
+            this.showStatus('⚠️ Waiting for a GPS fix', 'warning');
+            return;
+        }
+
+        this.addPoint(position);
+    }
+
+    moveVertex(index, point) {
+        this.points[index] = point;
+        this.update();
+    }
+
+    getMinimumPoints() {
+        return this.geometryType === 'polygon' ? 3 : 2;
+    }
+
+    /**
+     * Refresh the sketch on the map and the length or area in the panel
+     */
+    update() {
+        if (!this.active) return;
+
+        const polygon = this.geometryType === 'polygon';
+        window.mapManager.showSketch(this.points, polygon, (index, point) => this.moveVertex(index, point));
+
+        // A saved shape keeps its type while it is reshaped
+        document.querySelectorAll('#draw-panel [data-draw-type]').forEach(button => {
+            button.classList.toggle('active', button.dataset.drawType === this.geometryType);
+            button.disabled = !!this.editing;
+        });
+
+        const needed = this.getMinimumPoints() - this.points.length;
+        document.getElementById('draw-hint').textContent = needed > 0
+            ? `Tap the map or a pin to add ${needed === 1 ? 'another vertex' : `${needed} vertices`}`
+            : 'Tap to add vertices, drag one to move it';
+
+        const lines = [];
+        if (needed <= 0) {
+            if (polygon) {
+                const area = this.geodesy.formatArea(this.geodesy.polygonArea(this.points));
+                const perimeter = this.geodesy.formatDistance(this.geodesy.perimeter(this.points));
+                lines.push(['Area', `${area.metric} · ${area.imperial}`]);
+                lines.push(['Perimeter', `${perimeter.metric} · ${perimeter.imperial}`]);
+            } else {
+                const length = this.geodesy.formatDistance(this.geodesy.pathLength(this.points));
+                lines.push(['Length', `${length.metric} · ${length.imperial}`]);
+            }
+        }
+        lines.push(['Vertices', String(this.points.length)]);
+
+        const results = document.getElementById('draw-results');
+        results.innerHTML = '';
+        lines.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            const detail = document.createElement('dd');
+            term.textContent = label;
+            detail.textContent = value;
+            results.appendChild(term);
+            results.appendChild(detail);
+        });
+
+        document.getElementById('draw-undo-btn').disabled = this.points.length === 0;
+        document.getElementById('draw-finish-btn').disabled = needed > 0;
+        document.getElementById('draw-finish-btn').textContent = this.editing ? '💾 Save Shape' : '✅ Finish';
+    }
+
+    /**
+     * A new shape opens the pin screen for its name, form and photos; a
+     * reshaped one is saved and its details shown again
+     */
+    async finish() {
+        if (this.points.length < this.getMinimumPoints() || !window.pinManager) return;
+
+        const geometryType = this.geometryType;
+        const vertices = this.points.slice();
+        const location = this.editing;
+        this.close();
+
+        if (!location) {
+            window.pinManager.createShape(geometryType, vertices);
+            return;
+        }
+
+        if (await window.pinManager.updateShapeGeometry(location, vertices)) {
+            window.pinManager.editPin(location);
+        } else {
+            // Keep the new outline on screen so it can be saved again
+            this.open(geometryType, vertices, location);
+        }
+    }
+
+    showStatus(message, type = 'info', autoClear = true) {
+        if (window.app) {
+            window.app.showStatus(message, type);
+            if (autoClear) {
+                setTimeout(() => window.app.clearStatus(), 3000);
+            }
+        }
+    }
+}
+
+// Initialize shape drawer when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.shapeDrawer = new ShapeDrawer();
+});
@@ -0,0 +1,315 @@
+// Survey Form - Renders a JSON form schema into the pin modal, tracks
+// conditional visibility and validates answers (schema format: see README)
+class SurveyForm {
+    constructor(schema) {
+        SurveyForm.validateSchema(schema);
+        this.schema = schema;
+        this.container = null;
+        this.inputs = new Map();
+    }
+
+    static get FIELD_TYPES() {
+        return ['text', 'number', 'select', 'checkbox', 'date'];
+    }
+
+    /**
+     * Throw a descriptive error if a schema cannot be rendered
+     */
+    static validateSchema(schema) {
+        if (!schema || typeof schema !== 'object') {
+            throw new Error('Form definition must be a JSON object');
+        }
+        if (!schema.id || typeof schema.id !== 'string') {
+            throw new Error('Form definition needs a string "id"');
+        }
+        if (!schema.name || typeof schema.name !== 'string') {
+            throw new Error('Form definition needs a string "name"');
+        }
+        if (!Array.isArray(schema.fields) || schema.fields.length === 0) {
+            throw new Error('Form definition needs a non-empty "fields" array');
+        }
+
+        const ids = new Set();
+        schema.fields.forEach((field, index) => {
+            const where = `Field ${index + 1}`;
+            if (!field.id || typeof field.id !== 'string') {
+                throw new Error(`${where} needs a string "id"`);
+            }
+            if (ids.has(field.id)) {
+                throw new Error(`${where}: duplicate id "${field.id}"`);
+            }
+            if (!SurveyForm.FIELD_TYPES.includes(field.type)) {
+                throw new Error(`${where}: type must be one of ${SurveyForm.FIELD_TYPES.join(', ')}`);
+            }
+            if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0)) {
+                throw new Error(`${where}: select fields need an "options" array`);
+            }
+            ids.add(field.id);
+        });
+
+        schema.fields.forEach(field => {
+            if (field.showIf && !ids.has(field.showIf.field)) {
+                throw new Error(`Field "${field.id}": showIf refers to unknown field "${field.showIf.field}"`);
+            }
+        });
+
+        // Visibility follows showIf from field to field, so the chain must end
+        const byId = new Map(schema.fields.map(field => [field.id, field]));
+        schema.fields.forEach(field => {
+            const chain = [field.id];
+            for (let current = field; current.showIf; ) {
+                current = byId.get(current.showIf.field);
+                if (chain.includes(current.id)) {
+                    throw new Error(`Field "${field.id}": showIf forms a loop (${chain.concat([current.id]).join(' → ')})`);
+                }
+                chain.push(current.id);
+            }
+        });
+    }
+
+    /**
+     * Options may be plain strings or { value, label } objects
+     */
+    static normalizeOption(option) {
+        return typeof option === 'object' ? option : { value: option, label: option };
+    }
+
+    /**
+     * Human-readable [label, value] pairs for stored answers
+     */
+    static describeAnswers(schema, values) {
+        if (!schema) {
+            return Object.keys(values || {}).map(key => [key, SurveyForm.formatValue(null, values[key])]);
+        }
+
+        return schema.fields
+            .filter(field => values && values[field.id] !== undefined)
+            .map(field => [field.label || field.id, SurveyForm.formatValue(field, values[field.id])]);
+    }
+
+    static formatValue(field, value) {
+        if (value === null || value === undefined || value === '') return '';
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+
+        if (field && field.type === 'select') {
+            const option = field.options
+                .map(SurveyForm.normalizeOption)
+                .find(opt => String(opt.value) === String(value));
+            if (option) return String(option.label);
+        }
+
+        return String(value);
+    }
+
+    render(container, values = {}) {
+        this.container = container;
+        this.inputs.clear();
+        container.innerHTML = '';
+
+        this.schema.fields.forEach(field => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'survey-field';
+            wrapper.dataset.fieldId = field.id;
+
+            const input = this.createInput(field, values[field.id]);
+            input.id = `survey-field-${field.id}`;
+            input.addEventListener('change', () => this.updateVisibility());
+            input.addEventListener('input', () => this.clearError(field.id));
+
+            const label = document.createElement('label');
+            label.htmlFor = input.id;
+            label.textContent = (field.label || field.id) + (field.required ? ' *' : '');
+
+            if (field.type === 'checkbox') {
+                wrapper.classList.add('survey-field-checkbox');
+                wrapper.appendChild(input);
+                wrapper.appendChild(label);
+            } else {
+                wrapper.appendChild(label);
+                wrapper.appendChild(input);
+            }
+
+            const error = document.createElement('div');
+            error.className = 'survey-field-error';
+            wrapper.appendChild(error);
+
+            container.appendChild(wrapper);
+            this.inputs.set(field.id, { field: field, input: input, wrapper: wrapper, error: error });
+        });
+
+        this.updateVisibility();
+    }
+
+    createInput(field, value) {
+        let input;
+
+        switch (field.type) {
+            case 'select': {
+                input = document.createElement('select');
+                const placeholder = document.createElement('option');
+                placeholder.value = '';
+                placeholder.textContent = field.placeholder || '-- Select --';
+                input.appendChild(placeholder);
+
+                field.options.map(SurveyForm.normalizeOption).forEach(opt => {
+                    const option = document.createElement('option');
+                    option.value = opt.value;
+                    option.textContent = opt.label;
+                    input.appendChild(option);
+                });
+                input.value = value !== undefined && value !== null ? value : (field.default || '');
+                break;
+            }
+            case 'checkbox':
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = value !== undefined ? !!value : !!field.default;
+                break;
+            case 'number':
+                input = document.createElement('input');
+                input.type = 'number';
+                input.inputMode = 'decimal';
+                if (field.min !== undefined) input.min = field.min;
+                if (field.max !== undefined) input.max = field.max;
+                input.step = field.step !== undefined ? field.step : 'any';
+                input.value = value !== undefined && value !== null ? value : (field.default !== undefined ? field.default : '');
+                break;
+            case 'date':
+                input = document.createElement('input');
+                input.type = 'date';
+                input.value = value || field.default || '';
+                break;
+            default:
+                input = document.createElement(field.multiline ? 'textarea' : 'input');
+                if (!field.multiline) input.type = 'text';
+                input.value = value || field.default || '';
+                break;
+        }
+
+        if (field.type !== 'checkbox') {
+            input.className = 'pin-name-input';
+            if (field.placeholder && field.type !== 'select') input.placeholder = field.placeholder;
+        }
+
+        return input;
+    }
+
+    readValue(entry) {
+        const { field, input } = entry;
+
+        switch (field.type) {
+            case 'checkbox':
+                return input.checked;
+            case 'number':
+                return input.value === '' ? null : Number(input.value);
+            default:
+                return input.value.trim();
+        }
+    }
+
+    readAllValues() {
+        const values = {};
+        this.inputs.forEach((entry, id) => {
+            values[id] = this.readValue(entry);
+        });
+        return values;
+    }
+
+    isVisible(field, values) {
+        const condition = field.showIf;
+        if (!condition) return true;
+
+        // A field hidden by its own parent condition hides its dependants too
+        const parent = this.inputs.get(condition.field);
+        if (parent && !this.isVisible(parent.field, values)) return false;
+
+        const value = values[condition.field];
+        if (condition.notEmpty) {
+            return value !== '' && value !== null && value !== undefined && value !== false;
+        }
+        if (Array.isArray(condition.in)) {
+            return condition.in.map(String).includes(String(value));
+        }
+        if (condition.equals !== undefined) {
+            return typeof condition.equals === 'boolean'
+                ? value === condition.equals
+                : String(value) === String(condition.equals);
+        }
+        return true;
+    }
+
+    updateVisibility() {
+        const values = this.readAllValues();
+        this.inputs.forEach(entry => {
+            entry.wrapper.style.display = this.isVisible(entry.field, values) ? '' : 'none';
+        });
+    }
+
+    /**
+     * Answers for visible fields only; hidden fields are not stored
+     */
+    getValues() {
+        const all = this.readAllValues();
+        const values = {};
+        this.inputs.forEach((entry, id) => {
+            if (this.isVisible(entry.field, all)) {
+                values[id] = all[id];
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Mark invalid fields in place; returns the list of problems
+     */
+    validate() {
+        const all = this.readAllValues();
+        const errors = [];
+
+        this.inputs.forEach((entry, id) => {
+            this.clearError(id);
+            if (!this.isVisible(entry.field, all)) return;
+
+            const message = this.validateField(entry.field, all[id], entry.input);
+            if (message) {
+                entry.wrapper.classList.add('invalid');
+                entry.error.textContent = message;
+                errors.push({ fieldId: id, label: entry.field.label || id, message: message });
+            }
+        });
+
+        if (errors.length > 0) {
+            this.inputs.get(errors[0].fieldId).input.focus();
+        }
+
+        return errors;
+    }
+
+    validateField(field, value, input) {
+        const empty = value === '' || value === null || value === undefined ||
+                      (field.type === 'checkbox' && value === false);
+
+        if (field.required && empty) {
+            return field.type === 'checkbox' ? 'Must be checked' : 'Required';
+        }
+        if (field.type === 'number' && input.value !== '' && !Number.isFinite(value)) {
+            return 'Must be a number';
+        }
+        if (field.type === 'number' && Number.isFinite(value)) {
+            if (field.min !== undefined && value < field.min) return `Must be at least ${field.min}`;
+            if (field.max !== undefined && value > field.max) return `Must be at most ${field.max}`;
+        }
+        return null;
+    }
+
+    clearError(fieldId) {
+        const entry = this.inputs.get(fieldId);
+        if (entry) {
+            entry.wrapper.classList.remove('invalid');
+            entry.error.textContent = '';
+        }
+    }
+}
+
+// Make available globally
+window.SurveyForm = SurveyForm;
@@ -0,0 +1,521 @@
+// Survey Store - IndexedDB persistence for saved locations and photos
+class SurveyStore {
+    constructor() {
+        this.dbName = 'field-survey';
+        this.dbVersion = 7;
+        this.db = null;
+        this.ready = this.open();
+        this.ready.catch(error => console.error('Error opening survey store:', error));
+    }
+
+    /**
+     * Open the database, creating or upgrading object stores as needed
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB is not supported on this device'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                console.log(`Upgrading survey store from v${event.oldVersion} to v${this.dbVersion}`);
+
+                if (event.oldVersion < 1) {
+                    // Location records hold only lightweight photo descriptors
+                    db.createObjectStore('locations', { keyPath: 'id' });
+
+                    // Photo binaries are kept as Blobs and loaded on demand
+                    const photos = db.createObjectStore('photos', { keyPath: 'id' });
+                    photos.createIndex('locationId', 'locationId', { unique: false });
+                }
+
+                if (event.oldVersion === 1) {
+                    // v2: a location holds an ordered list of photos instead of one
+                    const locations = request.transaction.objectStore('locations');
+                    locations.openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) return;
+
+                        const location = cursor.value;
+                        // Metadata is brought up to date here too (see v5)
+                        location.photos = location.photo ? [location.photo] : [];
+                        location.photos.forEach(photo => {
+                            photo.metadata = MetadataHandler.upgradeMetadata(photo.metadata);
+                        });
+                        delete location.photo;
+                        cursor.update(location);
+                        cursor.continue();
+                    };
+                }
+
+                if (event.oldVersion < 3) {
+                    // v3: locations belong to survey projects
+                    db.createObjectStore('projects', { keyPath: 'id' });
+                    request.transaction.objectStore('locations')
+                        .createIndex('projectId', 'projectId', { unique: false });
+                }
+
+                if (event.oldVersion < 4) {
+                    // v4: recorded GPS tracks, also per project
+                    const tracks = db.createObjectStore('tracks', { keyPath: 'id' });
+                    tracks.createIndex('projectId', 'projectId', { unique: false });
+                }
+
+                if (event.oldVersion > 1 && event.oldVersion < 5) {
+                    // v5: photo metadata records camera pitch instead of the raw beta
+                    const locations = request.transaction.objectStore('locations');
+                    locations.openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) return;
+
+                        const location = cursor.value;
+                        location.photos = (location.photos || []).map(photo => photo.metadata
+                            ? Object.assign({}, photo, { metadata: MetadataHandler.upgradeMetadata(photo.metadata) })
+                            : photo);
+                        cursor.update(location);
+                        cursor.continue();
+                    };
+                }
+
+                if (event.oldVersion < 6) {
+                    // v6: map features such as saved measurements, also per project
+                    const features = db.createObjectStore('features', { keyPath: 'id' });
+                    features.createIndex('projectId', 'projectId', { unique: false });
+                }
+
+                if (event.oldVersion < 7) {
+                    // v7: outbox of locations and photos waiting for upload, and the
+                    // upload settings, which the service worker reads as well
+                    db.createObjectStore('outbox', { keyPath: 'id' });
+                    db.createObjectStore('syncConfig', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                console.log('Survey store opened');
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Survey store is open in another tab'));
+        });
+    }
+
+    /**
+     * Run work inside a transaction and resolve once it has committed
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.ready;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+            try {
+                result = work(tx);
+            } catch (error) {
+                tx.abort();
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Read every record from a store
+     */
+    async getAll(storeName) {
+        let request;
+        await this.transaction([storeName], 'readonly', (tx) => {
+            request = tx.objectStore(storeName).getAll();
+        });
+        return request.result || [];
+    }
+
+    /**
+     * Read a single record by key
+     */
+    async get(storeName, key) {
+        let request;
+        await this.transaction([storeName], 'readonly', (tx) => {
+            request = tx.objectStore(storeName).get(key);
+        });
+        return request.result || null;
+    }
+
+    put(storeName, record) {
+        return this.transaction([storeName], 'readwrite', (tx) => {
+            tx.objectStore(storeName).put(record);
+        });
+    }
+
+    delete(storeName, key) {
+        return this.transaction([storeName], 'readwrite', (tx) => {
+            tx.objectStore(storeName).delete(key);
+        });
+    }
+
+    getAllLocations() {
+        return this.getAll('locations');
+    }
+
+    /**
+     * Read the locations that belong to one project
+     */
+    async getLocationsByProject(projectId) {
+        let request;
+        await this.transaction(['locations'], 'readonly', (tx) => {
+            request = tx.objectStore('locations').index('projectId').getAll(IDBKeyRange.only(projectId));
+        });
+        return (request.result || []).sort((a, b) => a.id - b.id);
+    }
+
+    async countLocationsByProject(projectId) {
+        let request;
+        await this.transaction(['locations'], 'readonly', (tx) => {
+            request = tx.objectStore('locations').index('projectId').count(IDBKeyRange.only(projectId));
+        });
+        return request.result || 0;
+    }
+
+    /**
+     * Give locations saved before projects existed to the given project
+     */
+    async adoptOrphanLocations(projectId) {
+        let adopted = 0;
+        await this.transaction(['locations'], 'readwrite', (tx) => {
+            tx.objectStore('locations').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                if (cursor.value.projectId === undefined || cursor.value.projectId === null) {
+                    cursor.update(Object.assign({}, cursor.value, { projectId: projectId }));
+                    adopted++;
+                }
+                cursor.continue();
+            };
+        });
+        return adopted;
+    }
+
+    /**
+     * Save a location record, writing new photo binaries and removing
+     * deleted ones in the same transaction. Outbox items are queued in it
+     * too, so nothing saved can miss the upload queue.
+     */
+    saveLocation(location, photoRecords = [], deletedPhotoIds = [], outboxItems = []) {
+        const storeNames = outboxItems.length > 0 ? ['locations', 'photos', 'outbox'] : ['locations', 'photos'];
+        return this.transaction(storeNames, 'readwrite', (tx) => {
+            tx.objectStore('locations').put(location);
+            photoRecords.forEach(photo => tx.objectStore('photos').put(photo));
+            deletedPhotoIds.forEach(photoId => tx.objectStore('photos').delete(photoId));
+            this.queueOutboxItems(tx, outboxItems);
+        });
+    }
+
+    /**
+     * Save several location records in one transaction, queueing their
+     * outbox items in it as saveLocation does
+     */
+    saveLocations(locations, outboxItems = []) {
+        const storeNames = outboxItems.length > 0 ? ['locations', 'outbox'] : ['locations'];
+        return this.transaction(storeNames, 'readwrite', (tx) => {
+            locations.forEach(location => tx.objectStore('locations').put(location));
+            this.queueOutboxItems(tx, outboxItems);
+        });
+    }
+
+    /**
+     * Delete a location together with every photo that belongs to it
+     */
+    deleteLocation(locationId) {
+        return this.transaction(['locations', 'photos'], 'readwrite', (tx) => {
+            tx.objectStore('locations').delete(locationId);
+
+            const index = tx.objectStore('photos').index('locationId');
+            index.openKeyCursor(IDBKeyRange.only(locationId)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    tx.objectStore('photos').delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    getAllProjects() {
+        return this.getAll('projects');
+    }
+
+    saveProject(project) {
+        return this.put('projects', project);
+    }
+
+    /**
+     * Delete a project with all of its locations, their photos, its tracks
+     * and its map features
+     */
+    deleteProject(projectId) {
+        return this.transaction(['projects', 'locations', 'photos', 'tracks', 'features'], 'readwrite', (tx) => {
+            tx.objectStore('projects').delete(projectId);
+
+            ['tracks', 'features'].forEach(storeName => {
+                tx.objectStore(storeName).index('projectId').openKeyCursor(IDBKeyRange.only(projectId)).onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        tx.objectStore(storeName).delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+            });
+
+            const photoIndex = tx.objectStore('photos').index('locationId');
+            const locationIndex = tx.objectStore('locations').index('projectId');
+            locationIndex.openCursor(IDBKeyRange.only(projectId)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                photoIndex.openKeyCursor(IDBKeyRange.only(cursor.value.id)).onsuccess = (photoEvent) => {
+                    const photoCursor = photoEvent.target.result;
+                    if (photoCursor) {
+                        tx.objectStore('photos').delete(photoCursor.primaryKey);
+                        photoCursor.continue();
+                    }
+                };
+
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Read the tracks recorded for one project, oldest first
+     */
+    async getTracksByProject(projectId) {
+        let request;
+        await this.transaction(['tracks'], 'readonly', (tx) => {
+            request = tx.objectStore('tracks').index('projectId').getAll(IDBKeyRange.only(projectId));
+        });
+        return (request.result || []).sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    saveTrack(track) {
+        return this.put('tracks', track);
+    }
+
+    deleteTrack(trackId) {
+        return this.delete('tracks', trackId);
+    }
+
+    /**
+     * Read the map features saved for one project, oldest first
+     */
+    async getFeaturesByProject(projectId) {
+        let request;
+        await this.transaction(['features'], 'readonly', (tx) => {
+            request = tx.objectStore('features').index('projectId').getAll(IDBKeyRange.only(projectId));
+        });
+        return (request.result || []).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    saveFeature(feature) {
+        return this.put('features', feature);
+    }
+
+    deleteFeature(featureId) {
+        return this.delete('features', featureId);
+    }
+
+    getOutboxItems() {
+        return this.getAll('outbox');
+    }
+
+    /**
+     * Queue items for upload. An item already in the outbox gets a new
+     * revision and goes back to pending, so the newest version is sent.
+     */
+    enqueueOutboxItems(items) {
+        return this.transaction(['outbox'], 'readwrite', (tx) => this.queueOutboxItems(tx, items));
+    }
+
+    queueOutboxItems(tx, items) {
+        if (items.length === 0) return;
+
+        const outbox = tx.objectStore('outbox');
+        const now = Date.now();
+
+        items.forEach(item => {
+            outbox.get(item.id).onsuccess = (event) => {
+                const existing = event.target.result;
+                outbox.put(Object.assign({}, item, {
+                    status: 'pending',
+                    revision: existing ? existing.revision + 1 : 1,
+                    attempts: 0,
+                    nextAttemptAt: 0,
+                    leaseUntil: 0,
+                    lastError: null,
+                    createdAt: existing ? existing.createdAt : now,
+                    updatedAt: now,
+                    sentAt: existing ? existing.sentAt : null
+                }));
+            };
+        });
+    }
+
+    /**
+     * Put failed items back in the queue for another try
+     */
+    retryOutboxItems(status = 'failed') {
+        return this.transaction(['outbox'], 'readwrite', (tx) => {
+            tx.objectStore('outbox').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                if (cursor.value.status === status) {
+                    cursor.update(Object.assign({}, cursor.value, {
+                        status: 'pending',
+                        attempts: 0,
+                        nextAttemptAt: 0,
+                        updatedAt: Date.now()
+                    }));
+                }
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Remove items the server has acknowledged; nothing else is ever removed
+     * from the outbox by the user
+     */
+    clearSentOutboxItems() {
+        return this.transaction(['outbox'], 'readwrite', (tx) => {
+            tx.objectStore('outbox').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                if (cursor.value.status === 'sent') {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+        });
+    }
+
+    getSyncConfig() {
+        return this.get('syncConfig', 'upload');
+    }
+
+    saveSyncConfig(config) {
+        return this.put('syncConfig', Object.assign({}, config, { id: 'upload' }));
+    }
+
+    getPhoto(photoId) {
+        return this.get('photos', photoId);
+    }
+
+    deletePhoto(photoId) {
+        return this.delete('photos', photoId);
+    }
+
+    /**
+     * Move locations saved by older versions from localStorage into IndexedDB.
+     * The localStorage copy is removed only after the transaction commits.
+     */
+    async migrateFromLocalStorage(projectId) {
+        const saved = localStorage.getItem('savedLocations');
+        if (!saved) return 0;
+
+        const legacyLocations = JSON.parse(saved);
+        const locations = [];
+        const photos = [];
+
+        legacyLocations.forEach(legacy => {
+            const location = {
+                id: legacy.id,
+                name: legacy.name,
+                lat: legacy.lat,
+                lon: legacy.lon,
+                timestamp: legacy.timestamp,
+                projectId: projectId,
+                photos: []
+            };
+
+            if (legacy.photo && legacy.photo.data) {
+                const photoId = this.generateId();
+                photos.push({
+                    id: photoId,
+                    locationId: legacy.id,
+                    blob: this.dataUrlToBlob(legacy.photo.data),
+                    originalBlob: legacy.photo.originalData
+                        ? this.dataUrlToBlob(legacy.photo.originalData)
+                        : null
+                });
+                location.photos.push({
+                    id: photoId,
+                    name: legacy.photo.name,
+                    timestamp: legacy.photo.timestamp,
+                    metadata: MetadataHandler.upgradeMetadata(legacy.photo.metadata)
+                });
+            }
+
+            locations.push(location);
+        });
+
+        await this.transaction(['locations', 'photos'], 'readwrite', (tx) => {
+            locations.forEach(location => tx.objectStore('locations').put(location));
+            photos.forEach(photo => tx.objectStore('photos').put(photo));
+        });
+
+        localStorage.removeItem('savedLocations');
+        console.log(`Migrated ${locations.length} saved locations to IndexedDB`);
+        return locations.length;
+    }
+
+    /**
+     * Ask the browser not to evict survey data under storage pressure
+     */
+    async requestPersistence() {
+        if (navigator.storage && navigator.storage.persist) {
+            try {
+                const persisted = await navigator.storage.persist();
+                console.log('Persistent storage granted:', persisted);
+                return persisted;
+            } catch (error) {
+                console.warn('Persistent storage request failed:', error);
+            }
+        }
+        return false;
+    }
+
+    generateId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    dataUrlToBlob(dataUrl) {
+        const [header, base64] = dataUrl.split(',');
+        const mimeMatch = header.match(/data:([^;]+)/);
+        const mimeType = mimeMatch ? mimeMatch[1] : 'application/octet-stream';
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return new Blob([bytes], { type: mimeType });
+    }
+}
+
+// Make available globally
+window.SurveyStore = SurveyStore;
+window.surveyStore = new SurveyStore();
@@ -0,0 +1,366 @@
+// Sync Manager - Upload screen: the endpoint and auth header, and the outbox
+// of saved locations and photos waiting to be sent. Uploads run through
+// Background Sync where the browser has it, and from the page while it is
+// open, so they also go out on browsers without it.
+class SyncManager {
+    constructor() {
+        this.store = window.surveyStore;
+        this.sender = new OutboxSender(this.store.dbName);
+
+        // Must match OUTBOX_SYNC_TAG in service-worker.js
+        this.syncTag = 'outbox-sync';
+
+        this.config = null;
+        this.items = [];
+        this.running = null;
+        this.retryTimer = null;
+
+        this.ready = this.init();
+        this.ready.catch(error => console.error('Error loading upload queue:', error));
+    }
+
+    async init() {
+        console.log('Initializing Sync Manager...');
+        this.setupEventListeners();
+
+        await this.store.ready;
+        this.config = await this.store.getSyncConfig();
+        this.fillConfigForm();
+        await this.refresh();
+
+        // Send anything left over from an earlier session
+        this.sync();
+    }
+
+    setupEventListeners() {
+        document.getElementById('upload-btn').addEventListener('click', () => {
+            if (window.exportManager) {
+                window.exportManager.closeModal();
+            }
+            this.openModal();
+        });
+
+        document.getElementById('close-upload-modal').addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        document.getElementById('upload-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'upload-modal') {
+                this.closeModal();
+            }
+        });
+
+        document.getElementById('upload-save-btn').addEventListener('click', () => {
+            this.saveConfig();
+        });
+
+        document.getElementById('upload-send-btn').addEventListener('click', () => {
+            this.sync();
+        });
+
+        document.getElementById('upload-queue-project-btn').addEventListener('click', () => {
+            this.queueProject();
+        });
+
+        document.getElementById('upload-retry-btn').addEventListener('click', async () => {
+            await this.store.retryOutboxItems();
+            this.sync();
+        });
+
+        document.getElementById('upload-clear-sent-btn').addEventListener('click', async () => {
+            await this.store.clearSentOutboxItems();
+            this.refresh();
+        });
+
+        window.addEventListener('online', () => this.sync());
+
+        // The service worker reports uploads it made in the background
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'outbox') {
+                    this.refresh();
+                }
+            });
+        }
+    }
+
+    openModal() {
+        document.getElementById('upload-modal').classList.add('active');
+        this.fillConfigForm();
+        this.refresh();
+    }
+
+    closeModal() {
+        document.getElementById('upload-modal').classList.remove('active');
+    }
+
+    isEnabled() {
+        return !!(this.config && this.config.endpoint);
+    }
+
+    fillConfigForm() {
+        const config = this.config || {};
+        document.getElementById('upload-endpoint').value = config.endpoint || '';
+        document.getElementById('upload-auth-header').value = config.authHeader || 'Authorization';
+        document.getElementById('upload-auth-value').value = config.authValue || '';
+    }
+
+    async saveConfig() {
+        const endpoint = document.getElementById('upload-endpoint').value.trim();
+        const authHeader = document.getElementById('upload-auth-header').value.trim();
+        const authValue = document.getElementById('upload-auth-value').value.trim();
+
+        if (endpoint) {
+            let url;
+            try {
+                url = new URL(endpoint);
+            } catch (error) {
+                url = null;
+            }
+            if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:')) {
+                alert('Enter the full address of the upload endpoint, e.g. https://example.com/upload');
+                return;
+            }
+        }
+        if (authValue && !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(authHeader)) {
+            alert('The header name may only contain letters, digits and - (e.g. Authorization or X-Api-Key)');
+            return;
+        }
+
+        const config = { endpoint: endpoint, authHeader: authHeader, authValue: authValue };
+        try {
+            await this.store.saveSyncConfig(config);
+        } catch (error) {
+            console.error('Error saving upload settings:', error);
+            this.showStatus(`⚠️ Could not save upload settings: ${error.message}`, 'error', false);
+            return;
+        }
+
+        this.config = config;
+        this.showStatus(endpoint ? 'Upload endpoint saved' : 'Uploads paused', 'success');
+        this.sync();
+    }
+
+    /**
+     * Outbox items for a location and the photo records being written with
+     * it. They are queued even while no endpoint is set and go out once
+     * one is saved, so nothing saved before then is left behind.
+     */
+    createOutboxItems(location, photoRecords = []) {
+        const items = [{
+            id: `location:${location.id}`,
+            kind: 'location',
+            entityId: location.id,
+            projectId: location.projectId || null,
+            label: location.name
+        }];
+
+        photoRecords.forEach(photo => {
+            items.push({
+                id: `photo:${photo.id}`,
+                kind: 'photo',
+                entityId: photo.id,
+                projectId: location.projectId || null,
+                label: `${location.name} – photo`
+            });
+        });
+
+        return items;
+    }
+
+    /**
+     * Queue every location and photo of the active project, e.g. ones saved
+     * before uploads were set up
+     */
+    async queueProject() {
+        if (!this.isEnabled()) {
+            alert('Save an upload endpoint first');
+            return;
+        }
+
+        const locations = window.pinManager ? window.pinManager.savedLocations : [];
+        if (locations.length === 0) {
+            alert('No saved locations to upload');
+            return;
+        }
+
+        const items = [];
+        locations.forEach(location => {
+            items.push(...this.createOutboxItems(location, location.photos || []));
+        });
+
+        try {
+            await this.store.enqueueOutboxItems(items);
+        } catch (error) {
+            console.error('Error queueing uploads:', error);
+            this.showStatus(`⚠️ Could not queue uploads: ${error.message}`, 'error', false);
+            return;
+        }
+
+        this.showStatus(`Queued ${locations.length} locations for upload`, 'success');
+        this.sync();
+    }
+
+    /**
+     * Ask for a background sync and send what is due from the page. Both
+     * may run at once; the outbox leases keep them from sending an item twice.
+     */
+    async sync() {
+        clearTimeout(this.retryTimer);
+        if (!this.isEnabled()) {
+            await this.refresh();
+            return;
+        }
+
+        await this.registerBackgroundSync();
+        if (!navigator.onLine) {
+            await this.refresh();
+            return;
+        }
+
+        if (!this.running) {
+            this.running = this.sender.run()
+                .catch(error => {
+                    console.error('Error uploading outbox:', error);
+                    return null;
+                })
+                .finally(() => {
+                    this.running = null;
+                });
+        }
+
+        const summary = await this.running;
+        await this.refresh();
+
+        // Come back when the next retry is due, while the app stays open
+        if (summary && summary.nextAttemptAt !== null) {
+            this.retryTimer = setTimeout(() => this.sync(), Math.max(1000, summary.nextAttemptAt - Date.now()));
+        }
+    }
+
+    async registerBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return false;
+
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (registration && registration.sync) {
+                await registration.sync.register(this.syncTag);
+                return true;
+            }
+        } catch (error) {
+            console.warn('Background Sync not available:', error);
+        }
+        return false;
+    }
+
+    async refresh() {
+        try {
+            this.items = await this.store.getOutboxItems();
+        } catch (error) {
+            console.error('Error reading upload queue:', error);
+            return;
+        }
+
+        const summary = this.sender.summarize(this.items);
+        const waiting = summary.pending + summary.sending;
+        document.getElementById('upload-btn').textContent = waiting > 0 ? `☁️ Upload (${waiting} waiting)` : '☁️ Upload';
+
+        const parts = [`${waiting} waiting`, `${summary.sent} sent`, `${summary.failed} failed`];
+        if (!this.isEnabled()) {
+            parts.push('paused: no endpoint set');
+        } else if (!navigator.onLine) {
+            parts.push('offline');
+        }
+        document.getElementById('upload-summary').textContent = parts.join(' · ');
+        document.getElementById('upload-retry-btn').disabled = summary.failed === 0;
+        document.getElementById('upload-clear-sent-btn').disabled = summary.sent === 0;
+
+        this.renderOutbox();
+    }
+
+    /**
+     * Failed first, then waiting, then sent; newest first within each
+     */
+    renderOutbox() {
+        const list = document.getElementById('outbox-list');
+        const order = { failed: 0, sending: 1, pending: 2, sent: 3 };
+        const items = this.items.slice().sort((a, b) =>
+            (order[a.status] - order[b.status]) || (b.updatedAt - a.updatedAt));
+
+        list.innerHTML = '';
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'no-photo-text';
+            empty.textContent = 'Nothing queued for upload';
+            list.appendChild(empty);
+        }
+        items.forEach(item => list.appendChild(this.createOutboxItem(item)));
+    }
+
+    createOutboxItem(item) {
+        const element = document.createElement('li');
+        element.className = 'project-item';
+
+        const info = document.createElement('div');
+        info.className = 'project-item-info';
+
+        const name = document.createElement('strong');
+        name.textContent = `${item.kind === 'photo' ? '📷' : '📍'} ${item.label}`;
+        info.appendChild(name);
+
+        const status = document.createElement('span');
+        status.className = `outbox-status outbox-status-${item.status}`;
+        status.textContent = this.describeStatus(item);
+        info.appendChild(status);
+
+        if (item.lastError && item.status !== 'sent') {
+            const error = document.createElement('span');
+            error.className = 'project-item-details';
+            error.textContent = `${item.lastError} (attempt ${item.attempts})`;
+            info.appendChild(error);
+        }
+
+        element.appendChild(info);
+
+        if (item.status === 'failed') {
+            const actions = document.createElement('div');
+            actions.className = 'project-item-actions';
+
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.className = 'btn btn-primary';
+            retry.textContent = 'Retry';
+            retry.addEventListener('click', async () => {
+                await this.store.enqueueOutboxItems([item]);
+                this.sync();
+            });
+            actions.appendChild(retry);
+            element.appendChild(actions);
+        }
+
+        return element;
+    }
+
+    describeStatus(item) {
+        const time = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        if (item.status === 'sent') return `✅ Sent ${time(item.sentAt)}`;
+        if (item.status === 'sending') return '⬆️ Sending...';
+        if (item.status === 'failed') return '⚠️ Failed';
+        return item.nextAttemptAt > Date.now() ? `⏳ Pending · retry at ${time(item.nextAttemptAt)}` : '⏳ Pending';
+    }
+
+    showStatus(message, type = 'info', autoClear = true) {
+        if (window.app) {
+            window.app.showStatus(message, type);
+            if (autoClear) {
+                setTimeout(() => window.app.clearStatus(), 3000);
+            }
+        }
+    }
+}
+
+// Initialize sync manager when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.syncManager = new SyncManager();
+});
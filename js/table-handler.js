@@ -0,0 +1,294 @@
+// Table Handler - Builds spreadsheet rows (CSV or XLSX) from saved locations
+// and their photo metadata. There is one row per photo, plus one row for
+// each location without photos. Which columns are exported, their order and
+// their headers come from a user-defined mapping.
+class TableHandler {
+    constructor(metadataHandler) {
+        this.metadataHandler = metadataHandler;
+        this.coordinateConverter = metadataHandler.coordinateConverter;
+        this.geodesy = new Geodesy();
+
+        // Symbol and size in meters / square meters of each unit system
+        this.units = {
+            metric: { length: ['m', 1], area: ['m²', 1] },
+            imperial: { length: ['ft', 0.3048], area: ['ft²', 0.3048 * 0.3048] }
+        };
+
+        this.groups = { location: 'Location', form: 'Form', photo: 'Photo' };
+    }
+
+    /**
+     * Every column that can be exported: { key, label, group, enabled, and
+     * value(row, options) or position(row) for coordinates }. Form answers
+     * get a column per question label found in the locations.
+     */
+    getColumns(locations = []) {
+        const photo = (get) => (row) => row.photo ? get(row.photo.metadata || {}, row.photo) : null;
+        const shape = (row) => row.location.geometryType === 'line' || row.location.geometryType === 'polygon';
+        const project = (key) => (row, options) => options.project ? options.project[key] || null : null;
+
+        const columns = [
+            { key: 'locationId', label: 'Location ID', group: 'location', value: row => row.location.id },
+            { key: 'name', label: 'Name', group: 'location', enabled: true, value: row => row.location.name },
+            { key: 'type', label: 'Type', group: 'location', enabled: true, value: row => row.location.geometryType || 'point' },
+            { key: 'category', label: 'Category', group: 'location', enabled: true, value: row => {
+                const category = window.categoryManager ? window.categoryManager.getCategory(row.location.categoryId) : null;
+                return category ? category.name : null;
+            } },
+            { key: 'position', label: 'Pin', group: 'location', enabled: true, position: row => row.location },
+            { key: 'source', label: 'Position Source', group: 'location', enabled: true,
+                value: row => shape(row) ? null : this.metadataHandler.getPositionSourceLabel(row.location.source) },
+            { key: 'accuracy', label: 'Accuracy', group: 'location', unit: 'length', enabled: true, value: row => row.location.accuracy },
+            { key: 'length', label: 'Length', group: 'location', unit: 'length', value: row => this.getLength(row.location) },
+            { key: 'area', label: 'Area', group: 'location', unit: 'area',
+                value: row => row.location.geometryType === 'polygon' ? this.geodesy.polygonArea(row.location.vertices) : null },
+            { key: 'wkt', label: 'Geometry (WKT)', group: 'location', value: row => this.toWkt(row.location) },
+            { key: 'saved', label: 'Saved', group: 'location', enabled: true, value: row => this.formatTimestamp(row.location.timestamp) },
+            { key: 'updated', label: 'Updated', group: 'location', value: row => this.formatTimestamp(row.location.updatedAt) },
+            { key: 'project', label: 'Project', group: 'location', value: project('name') },
+            { key: 'client', label: 'Client', group: 'location', value: project('client') },
+            { key: 'jobNumber', label: 'Job Number', group: 'location', value: project('jobNumber') },
+            { key: 'formName', label: 'Form', group: 'form', value: row => {
+                const answers = this.getFormAnswers(row.location);
+                return answers ? answers.formName : null;
+            } }
+        ];
+
+        this.getFormLabels(locations).forEach(label => {
+            columns.push({
+                key: `form:${label}`,
+                label: label,
+                group: 'form',
+                enabled: true,
+                value: row => {
+                    const answers = this.getFormAnswers(row.location);
+                    const answer = answers ? answers.fields.find(([fieldLabel]) => fieldLabel === label) : null;
+                    return answer ? answer[1] : null;
+                }
+            });
+        });
+
+        return columns.concat([
+            { key: 'photoFile', label: 'Photo File', group: 'photo', enabled: true,
+                value: (row, options) => row.photo ? options.photoNames.get(row.photo.id) || null : null },
+            { key: 'photoName', label: 'Original File Name', group: 'photo', value: photo((metadata, p) => p.name || null) },
+            { key: 'azimuth', label: 'Azimuth (°)', group: 'photo', enabled: true, value: photo(m => this.round(m.azimuth, 1)) },
+            { key: 'headingReference', label: 'Heading Reference', group: 'photo', value: photo(m => m.headingReference || null) },
+            { key: 'declination', label: 'Declination (°)', group: 'photo', value: photo(m => this.round(m.declination, 2)) },
+            { key: 'tilt', label: 'Camera Tilt (°)', group: 'photo', value: photo(m => this.round(this.metadataHandler.getPitch(m), 1)) },
+            { key: 'roll', label: 'Roll (°)', group: 'photo', value: photo(m => this.round(m.roll, 1)) },
+            { key: 'camera', label: 'Camera', group: 'photo',
+                position: row => row.photo && row.photo.metadata
+                    ? { lat: row.photo.metadata.userLatitude, lon: row.photo.metadata.userLongitude }
+                    : null },
+            { key: 'cameraAccuracy', label: 'Camera Accuracy', group: 'photo', unit: 'length', value: photo(m => m.accuracy) },
+            { key: 'altitude', label: 'Altitude', group: 'photo', unit: 'length', value: photo(m => m.altitude) },
+            { key: 'photoTime', label: 'Photo Date/Time', group: 'photo', enabled: true, value: photo(m => m.datetime || null) },
+            { key: 'timezone', label: 'Timezone', group: 'photo', value: photo(m => m.timezone || null) }
+        ]);
+    }
+
+    /**
+     * Apply a saved mapping ([{ key, header, enabled }]) to the available
+     * columns: mapped columns in the saved order, then any it does not know
+     */
+    resolveColumns(mapping, columns) {
+        const available = new Map(columns.map(column => [column.key, column]));
+        const resolved = [];
+
+        (mapping || []).forEach(entry => {
+            const column = available.get(entry.key);
+            if (!column) return;
+
+            available.delete(entry.key);
+            resolved.push(Object.assign({}, column, { header: entry.header || column.label, enabled: !!entry.enabled }));
+        });
+        available.forEach(column => {
+            resolved.push(Object.assign({}, column, { header: column.label, enabled: !!column.enabled }));
+        });
+
+        return resolved;
+    }
+
+    /**
+     * The mapping to store for resolved columns. Entries for columns not
+     * available right now (e.g. questions of another project's form) are kept.
+     */
+    createMapping(columns, previous = []) {
+        const keys = new Set(columns.map(column => column.key));
+        return columns
+            .map(column => ({ key: column.key, header: column.header, enabled: column.enabled }))
+            .concat((previous || []).filter(entry => !keys.has(entry.key)));
+    }
+
+    /**
+     * Header row plus one row per photo (or per location without photos).
+     * options: { units, coordinateFormat, photoNames: Map(photo id -> file), project }
+     */
+    createRows(locations, columns, options) {
+        const enabled = columns.filter(column => column.enabled);
+        const units = this.units[options.units] || this.units.metric;
+
+        const header = [];
+        enabled.forEach(column => {
+            if (column.position) {
+                this.getCoordinateCells(null, options.coordinateFormat).forEach(([part]) => {
+                    header.push(`${column.header} ${part}`);
+                });
+            } else if (column.unit) {
+                header.push(`${column.header} (${units[column.unit][0]})`);
+            } else {
+                header.push(column.header);
+            }
+        });
+
+        const rows = [header];
+        this.getRecords(locations).forEach(record => {
+            const row = [];
+            enabled.forEach(column => {
+                if (column.position) {
+                    this.getCoordinateCells(column.position(record), options.coordinateFormat).forEach(([, value]) => {
+                        row.push(value);
+                    });
+                } else if (column.unit) {
+                    const value = column.value(record, options);
+                    row.push(typeof value === 'number' ? this.round(value / units[column.unit][1], column.unit === 'area' ? 1 : 2) : null);
+                } else {
+                    const value = column.value(record, options);
+                    row.push(value === undefined ? null : value);
+                }
+            });
+            rows.push(row);
+        });
+
+        return rows;
+    }
+
+    getRecords(locations) {
+        const records = [];
+        locations.forEach(location => {
+            const photos = location.photos || [];
+            if (photos.length === 0) {
+                records.push({ location: location, photo: null });
+            }
+            photos.forEach(photo => records.push({ location: location, photo: photo }));
+        });
+        return records;
+    }
+
+    /**
+     * [[part, value]] of a position in the chosen format. UTM and MGRS are
+     * split so each part sorts and filters on its own; beyond their limits
+     * (84°N / 80°S) the cells stay empty.
+     */
+    getCoordinateCells(position, format) {
+        const hasPosition = !!position && typeof position.lat === 'number' && typeof position.lon === 'number';
+
+        if (format === 'utm') {
+            const utm = hasPosition ? this.coordinateConverter.toUtm(position.lat, position.lon) : null;
+            return [
+                ['UTM Zone', utm ? `${utm.zone}${utm.band}` : null],
+                ['Easting', utm ? this.round(utm.easting, 2) : null],
+                ['Northing', utm ? this.round(utm.northing, 2) : null]
+            ];
+        }
+        if (format === 'mgrs') {
+            return [['MGRS', hasPosition ? this.coordinateConverter.toMgrs(position.lat, position.lon) : null]];
+        }
+        if (format === 'dms') {
+            return [
+                ['Latitude', hasPosition ? this.coordinateConverter.toDms(position.lat, 'NS') : null],
+                ['Longitude', hasPosition ? this.coordinateConverter.toDms(position.lon, 'EW') : null]
+            ];
+        }
+        return [
+            ['Latitude', hasPosition ? this.round(position.lat, 7) : null],
+            ['Longitude', hasPosition ? this.round(position.lon, 7) : null]
+        ];
+    }
+
+    /**
+     * Line length or polygon perimeter in meters
+     */
+    getLength(location) {
+        if (location.geometryType === 'polygon') return this.geodesy.perimeter(location.vertices);
+        if (location.geometryType === 'line') return this.geodesy.pathLength(location.vertices);
+        return null;
+    }
+
+    /**
+     * Well-known text in WGS84 (x = longitude), for GIS imports
+     */
+    toWkt(location) {
+        const point = (vertex) => `${vertex.lon} ${vertex.lat}`;
+
+        if (location.geometryType === 'polygon') {
+            const ring = location.vertices.concat([location.vertices[0]]);
+            return `POLYGON ((${ring.map(point).join(', ')}))`;
+        }
+        if (location.geometryType === 'line') {
+            return `LINESTRING (${location.vertices.map(point).join(', ')})`;
+        }
+        return `POINT (${point(location)})`;
+    }
+
+    getFormAnswers(location) {
+        return window.formManager ? window.formManager.describeLocationAnswers(location) : null;
+    }
+
+    /**
+     * Question labels answered in any of the locations, in first-seen order
+     */
+    getFormLabels(locations) {
+        const labels = [];
+        locations.forEach(location => {
+            const answers = this.getFormAnswers(location);
+            (answers ? answers.fields : []).forEach(([label]) => {
+                if (!labels.includes(label)) labels.push(label);
+            });
+        });
+        return labels;
+    }
+
+    /**
+     * Device local time as "YYYY-MM-DD HH:MM:SS", which spreadsheets read as a date
+     */
+    formatTimestamp(timestamp) {
+        if (!timestamp) return null;
+
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) return String(timestamp);
+
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    round(value, decimals) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * RFC 4180 CSV with a byte order mark, so Excel reads it as UTF-8
+     */
+    toCsv(rows) {
+        return '\uFEFF' + rows.map(row => row.map(value => this.toCsvField(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    toCsvField(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return String(value);
+
+        // Text that looks like a formula is not run when the file is opened
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Make available globally
+window.TableHandler = TableHandler;
@@ -0,0 +1,228 @@
+// Tile Cache - Downloads basemap tiles for a survey area into a dedicated
+// Cache Storage cache that the service worker serves when offline
+class TileCache {
+    constructor() {
+        // Must match TILE_CACHE_NAME in service-worker.js
+        this.cacheName = 'field-survey-tiles';
+        this.tileUrl = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+        this.storageKey = 'offlineAreas';
+
+        // Rough size of an OSM PNG tile, used only for the estimate
+        this.averageTileBytes = 15000;
+
+        // The OSM tile usage policy forbids downloading much more than 250
+        // tiles at zoom 13+ for offline use. Raise only for your own tile server.
+        this.maxTiles = 250;
+        this.maxZoom = 19;
+
+        // Parallel requests; the OSM policy allows at most 2
+        this.concurrency = 2;
+    }
+
+    /**
+     * Tile x/y containing a point at zoom z (Web Mercator / slippy map scheme)
+     */
+    latLonToTile(lat, lon, zoom) {
+        const n = Math.pow(2, zoom);
+        const clampedLat = Math.max(-85.05112878, Math.min(85.05112878, lat));
+        const latRad = clampedLat * Math.PI / 180;
+        const x = Math.floor((lon + 180) / 360 * n);
+        const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+
+        return {
+            x: Math.min(n - 1, Math.max(0, x)),
+            y: Math.min(n - 1, Math.max(0, y))
+        };
+    }
+
+    /**
+     * Tile x/y ranges covering bounds ({ south, west, north, east }) per zoom
+     */
+    getTileRanges(bounds, minZoom, maxZoom) {
+        const ranges = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const topLeft = this.latLonToTile(bounds.north, bounds.west, z);
+            const bottomRight = this.latLonToTile(bounds.south, bounds.east, z);
+            ranges.push({
+                z: z,
+                minX: topLeft.x,
+                maxX: bottomRight.x,
+                minY: topLeft.y,
+                maxY: bottomRight.y
+            });
+        }
+        return ranges;
+    }
+
+    countTiles(bounds, minZoom, maxZoom) {
+        return this.getTileRanges(bounds, minZoom, maxZoom).reduce((sum, range) =>
+            sum + (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1), 0);
+    }
+
+    /**
+     * Tile count and approximate download size for an area
+     */
+    estimate(bounds, minZoom, maxZoom) {
+        const count = this.countTiles(bounds, minZoom, maxZoom);
+        return {
+            count: count,
+            bytes: count * this.averageTileBytes,
+            tooMany: count > this.maxTiles
+        };
+    }
+
+    getTileUrls(area) {
+        const urls = [];
+        this.getTileRanges(area.bounds, area.minZoom, area.maxZoom).forEach(range => {
+            for (let x = range.minX; x <= range.maxX; x++) {
+                for (let y = range.minY; y <= range.maxY; y++) {
+                    urls.push(this.tileUrl
+                        .replace('{z}', range.z)
+                        .replace('{x}', x)
+                        .replace('{y}', y));
+                }
+            }
+        });
+        return urls;
+    }
+
+    /**
+     * Downloaded areas are small records, so they live in localStorage
+     */
+    getAreas() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            console.error('Error reading offline areas:', error);
+            return [];
+        }
+    }
+
+    saveAreas(areas) {
+        localStorage.setItem(this.storageKey, JSON.stringify(areas));
+    }
+
+    /**
+     * Fetch every tile of an area into the cache and record the area.
+     * onProgress(done, total) is called after each tile; pass an
+     * AbortSignal to cancel. Tiles already cached are not fetched again.
+     */
+    async downloadArea(details, onProgress = null, signal = null) {
+        if (!('caches' in window)) {
+            throw new Error('This browser does not support offline tile storage');
+        }
+
+        const estimate = this.estimate(details.bounds, details.minZoom, details.maxZoom);
+        if (estimate.tooMany) {
+            throw new Error(`Area needs ${estimate.count} tiles; the limit is ${this.maxTiles}`);
+        }
+
+        const area = {
+            id: 'area-' + Date.now(),
+            name: details.name || 'Offline area',
+            bounds: details.bounds,
+            minZoom: details.minZoom,
+            maxZoom: details.maxZoom,
+            tileCount: 0,
+            failedTiles: 0,
+            bytes: 0,
+            createdAt: new Date().toISOString()
+        };
+
+        const cache = await caches.open(this.cacheName);
+        const urls = this.getTileUrls(area);
+        let next = 0;
+        let done = 0;
+
+        const worker = async () => {
+            while (next < urls.length) {
+                if (signal && signal.aborted) {
+                    throw new DOMException('Download cancelled', 'AbortError');
+                }
+
+                const url = urls[next++];
+                try {
+                    let response = await cache.match(url);
+                    if (!response) {
+                        response = await fetch(url, { signal: signal || undefined });
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        await cache.put(url, response.clone());
+                    }
+                    const tile = await response.blob();
+                    area.bytes += tile.size;
+                    area.tileCount++;
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    console.error(`Error downloading tile ${url}:`, error);
+                    area.failedTiles++;
+                }
+
+                done++;
+                if (onProgress) onProgress(done, urls.length);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.concurrency, urls.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        if (area.tileCount === 0) {
+            throw new Error('No tiles could be downloaded. Are you online?');
+        }
+
+        const areas = this.getAreas();
+        areas.push(area);
+        this.saveAreas(areas);
+        return area;
+    }
+
+    /**
+     * Remove an area and the tiles that no other downloaded area still uses
+     */
+    async deleteArea(areaId) {
+        const areas = this.getAreas();
+        const area = areas.find(a => a.id === areaId);
+        if (!area) return;
+
+        const remaining = areas.filter(a => a.id !== areaId);
+        const keep = new Set();
+        remaining.forEach(other => this.getTileUrls(other).forEach(url => keep.add(url)));
+
+        if ('caches' in window) {
+            const cache = await caches.open(this.cacheName);
+            for (const url of this.getTileUrls(area)) {
+                if (!keep.has(url)) {
+                    await cache.delete(url);
+                }
+            }
+        }
+
+        this.saveAreas(remaining);
+    }
+
+    /**
+     * { usage, quota } in bytes for this origin, or null if unsupported
+     */
+    async getStorageEstimate() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+
+        try {
+            return await navigator.storage.estimate();
+        } catch (error) {
+            console.error('Error reading storage estimate:', error);
+            return null;
+        }
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    }
+}
+
+// Make available globally
+window.TileCache = TileCache;
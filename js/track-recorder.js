@@ -0,0 +1,335 @@
+// Track Recorder - Records the walked route from the GPS position stream,
+// drops jittery fixes and keeps the track in the survey store
+class TrackRecorder {
+    constructor() {
+        this.store = window.surveyStore;
+        this.tracks = [];
+        this.currentTrack = null;
+        this.state = 'stopped'; // 'stopped' | 'recording' | 'paused'
+        this.lastSavedAt = 0;
+
+        // Jitter filter: ignore poor fixes, movement smaller than the fix's
+        // own uncertainty, and jumps faster than anyone on site could move
+        this.maxAccuracy = 25;   // meters
+        this.minDistance = 3;    // meters
+        this.maxSpeed = 50;      // meters per second
+        this.saveInterval = 10000;
+
+        this.ready = this.init();
+        this.ready.catch(error => console.error('Error loading tracks:', error));
+    }
+
+    async init() {
+        console.log('Initializing Track Recorder...');
+        this.setupEventListeners();
+        this.updateControls();
+
+        if (window.projectManager) {
+            await window.projectManager.ready;
+        }
+        await this.loadTracks();
+    }
+
+    setupEventListeners() {
+        document.getElementById('track-record-btn').addEventListener('click', () => {
+            if (this.state === 'paused') {
+                this.resume();
+            } else {
+                this.start();
+            }
+        });
+
+        document.getElementById('track-pause-btn').addEventListener('click', () => {
+            this.pause();
+        });
+
+        document.getElementById('track-stop-btn').addEventListener('click', () => {
+            this.stop();
+        });
+
+        // Phones may kill a backgrounded page, so write what we have
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.currentTrack) {
+                this.saveCurrentTrack();
+            }
+        });
+    }
+
+    /**
+     * Load the active project's tracks. A track left recording when the
+     * page was closed comes back paused so it can be resumed.
+     */
+    async loadTracks() {
+        const project = window.projectManager ? window.projectManager.activeProject : null;
+        this.tracks = [];
+        this.currentTrack = null;
+        this.state = 'stopped';
+
+        if (project) {
+            try {
+                this.tracks = await this.store.getTracksByProject(project.id);
+            } catch (error) {
+                console.error('Error loading project tracks:', error);
+            }
+        }
+
+        const unfinished = this.tracks.find(track => track.status !== 'complete');
+        if (unfinished) {
+            unfinished.status = 'paused';
+            this.currentTrack = unfinished;
+            this.state = 'paused';
+        }
+
+        this.drawTracks();
+        this.updateControls();
+    }
+
+    async reloadForProject() {
+        if (this.currentTrack) {
+            await this.stop();
+        }
+        await this.loadTracks();
+    }
+
+    start() {
+        const project = window.projectManager ? window.projectManager.activeProject : null;
+        const now = Date.now();
+
+        this.currentTrack = {
+            id: this.store.generateId(),
+            projectId: project ? project.id : null,
+            name: `Track ${this.formatTime(now)}`,
+            startedAt: now,
+            endedAt: null,
+            status: 'recording',
+            segments: [[]],
+            distance: 0,
+            rejectedFixes: 0
+        };
+        this.tracks.push(this.currentTrack);
+        this.state = 'recording';
+
+        // Start from the latest fix rather than waiting for the next one
+        if (window.app && window.app.currentPosition) {
+            this.addFix(window.app.currentPosition);
+        }
+
+        this.saveCurrentTrack();
+        this.drawTracks();
+        this.updateControls();
+        this.showStatus('Track recording started', 'success');
+    }
+
+    pause() {
+        if (this.state !== 'recording') return;
+
+        this.state = 'paused';
+        this.currentTrack.status = 'paused';
+        this.saveCurrentTrack();
+        this.updateControls();
+    }
+
+    /**
+     * Resuming starts a new segment so the gap is not drawn as walked
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+
+        this.state = 'recording';
+        this.currentTrack.status = 'recording';
+        this.currentTrack.segments.push([]);
+        if (window.app && window.app.currentPosition) {
+            this.addFix(window.app.currentPosition);
+        }
+
+        this.saveCurrentTrack();
+        this.updateControls();
+    }
+
+    async stop() {
+        if (!this.currentTrack) return;
+
+        const track = this.currentTrack;
+        track.status = 'complete';
+        track.endedAt = Date.now();
+        track.segments = track.segments.filter(segment => segment.length > 0);
+
+        this.currentTrack = null;
+        this.state = 'stopped';
+
+        if (track.segments.length === 0) {
+            // Nothing usable was recorded
+            this.tracks = this.tracks.filter(t => t !== track);
+            try {
+                await this.store.deleteTrack(track.id);
+            } catch (error) {
+                console.error('Error deleting empty track:', error);
+            }
+            this.showStatus('Track discarded: no GPS fixes were recorded', 'info');
+        } else {
+            await this.saveTrack(track);
+            this.showStatus(`Track saved: ${this.formatDistance(track.distance)}, ${this.countFixes(track)} points`, 'success');
+        }
+
+        this.drawTracks();
+        this.updateControls();
+    }
+
+    /**
+     * Called by FieldSurveyApp for every position update
+     */
+    addFix(position) {
+        if (this.state !== 'recording' || !this.currentTrack) return false;
+
+        const fix = {
+            lat: position.lat,
+            lon: position.lon,
+            accuracy: position.accuracy,
+            altitude: typeof position.altitude === 'number' ? position.altitude : null,
+            timestamp: position.timestamp || Date.now()
+        };
+
+        if (!this.acceptFix(fix)) {
+            this.currentTrack.rejectedFixes++;
+            return false;
+        }
+
+        const segment = this.currentTrack.segments[this.currentTrack.segments.length - 1];
+        const previous = segment[segment.length - 1];
+        if (previous) {
+            this.currentTrack.distance += this.distanceBetween(previous, fix);
+        }
+        segment.push(fix);
+
+        this.drawTracks();
+        this.updateControls();
+
+        if (Date.now() - this.lastSavedAt > this.saveInterval) {
+            this.saveCurrentTrack();
+        }
+        return true;
+    }
+
+    acceptFix(fix) {
+        if (typeof fix.accuracy === 'number' && fix.accuracy > this.maxAccuracy) return false;
+
+        const previous = this.getLastFix();
+        if (!previous) return true;
+
+        const seconds = (fix.timestamp - previous.timestamp) / 1000;
+        if (seconds <= 0) return false;
+
+        const distance = this.distanceBetween(previous, fix);
+        if (distance < Math.max(this.minDistance, fix.accuracy || 0)) return false;
+        if (distance / seconds > this.maxSpeed) return false;
+
+        return true;
+    }
+
+    getLastFix() {
+        const segments = this.currentTrack.segments;
+        for (let i = segments.length - 1; i >= 0; i--) {
+            if (segments[i].length > 0) {
+                return segments[i][segments[i].length - 1];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Great-circle distance in meters (haversine)
+     */
+    distanceBetween(a, b) {
+        const R = 6371008.8;
+        const toRad = Math.PI / 180;
+        const dLat = (b.lat - a.lat) * toRad;
+        const dLon = (b.lon - a.lon) * toRad;
+        const h = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(a.lat * toRad) * Math.cos(b.lat * toRad) * Math.sin(dLon / 2) ** 2;
+        return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    saveCurrentTrack() {
+        if (this.currentTrack) {
+            this.saveTrack(this.currentTrack);
+        }
+    }
+
+    async saveTrack(track) {
+        this.lastSavedAt = Date.now();
+        try {
+            await this.store.saveTrack(track);
+        } catch (error) {
+            console.error('Error saving track:', error);
+            const message = error.name === 'QuotaExceededError' ? 'device storage is full' : error.message;
+            this.showStatus(`⚠️ Could not save track: ${message}`, 'error', false);
+        }
+    }
+
+    /**
+     * Tracks of the active project, including one still being recorded
+     */
+    getTracks() {
+        return this.tracks;
+    }
+
+    drawTracks() {
+        if (!window.mapManager) return;
+
+        window.mapManager.showTracks(this.tracks.map(track => ({
+            id: track.id,
+            segments: track.segments.filter(segment => segment.length > 0)
+                .map(segment => segment.map(fix => [fix.lat, fix.lon])),
+            active: track === this.currentTrack
+        })));
+    }
+
+    updateControls() {
+        const recordButton = document.getElementById('track-record-btn');
+        const pauseButton = document.getElementById('track-pause-btn');
+        const stopButton = document.getElementById('track-stop-btn');
+        const stats = document.getElementById('track-stats');
+
+        recordButton.style.display = this.state === 'recording' ? 'none' : '';
+        recordButton.textContent = this.state === 'paused' ? '▶️ Resume Track' : '⏺️ Record Track';
+        pauseButton.style.display = this.state === 'recording' ? '' : 'none';
+        stopButton.style.display = this.state === 'stopped' ? 'none' : '';
+
+        if (this.currentTrack) {
+            const label = this.state === 'paused' ? 'Paused' : 'Recording';
+            stats.textContent = `${label} · ${this.formatDistance(this.currentTrack.distance)} · ${this.countFixes(this.currentTrack)} points`;
+            stats.className = 'track-stats ' + this.state;
+        } else {
+            stats.textContent = '';
+            stats.className = 'track-stats';
+        }
+    }
+
+    countFixes(track) {
+        return track.segments.reduce((sum, segment) => sum + segment.length, 0);
+    }
+
+    formatDistance(meters) {
+        return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(2)} km`;
+    }
+
+    formatTime(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    showStatus(message, type = 'info', autoClear = true) {
+        if (window.app) {
+            window.app.showStatus(message, type);
+            if (autoClear) {
+                setTimeout(() => window.app.clearStatus(), 3000);
+            }
+        }
+    }
+}
+
+// Initialize track recorder when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.trackRecorder = new TrackRecorder();
+});
@@ -0,0 +1,179 @@
+// XLSX Writer - Builds a minimal Office Open XML workbook (one or more
+// worksheets of plain values) and packs it with ZipWriter. Strings are
+// stored inline, so no shared string table is needed.
+class XlsxWriter {
+    constructor() {
+        this.sheets = [];
+
+        // Excel's limits for sheet names and cell text
+        this.maxSheetName = 31;
+        this.maxCellText = 32767;
+    }
+
+    /**
+     * Add a worksheet; rows are arrays of strings, numbers or null. The
+     * first row is the header: bold and frozen while scrolling.
+     */
+    addSheet(name, rows) {
+        const base = (name || 'Sheet').replace(/[\[\]:*?\/\\]/g, ' ').trim().slice(0, this.maxSheetName) || 'Sheet';
+        let sheetName = base;
+        for (let n = 2; this.sheets.some(sheet => sheet.name.toLowerCase() === sheetName.toLowerCase()); n++) {
+            sheetName = `${base.slice(0, this.maxSheetName - String(n).length - 1)} ${n}`;
+        }
+
+        this.sheets.push({ name: sheetName, rows: rows });
+    }
+
+    async toBlob() {
+        const zip = new ZipWriter();
+
+        await zip.addFile('[Content_Types].xml', this.createContentTypes());
+        await zip.addFile('_rels/.rels', this.createRelationships([
+            ['officeDocument', 'xl/workbook.xml']
+        ]));
+        await zip.addFile('xl/workbook.xml', this.createWorkbook());
+        await zip.addFile('xl/_rels/workbook.xml.rels', this.createRelationships(
+            this.sheets.map((sheet, index) => ['worksheet', `worksheets/sheet${index + 1}.xml`])
+                .concat([['styles', 'styles.xml']])
+        ));
+        await zip.addFile('xl/styles.xml', this.createStyles());
+        for (let i = 0; i < this.sheets.length; i++) {
+            await zip.addFile(`xl/worksheets/sheet${i + 1}.xml`, this.createWorksheet(this.sheets[i]));
+        }
+
+        return zip.toBlob('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    }
+
+    createContentTypes() {
+        const sheets = this.sheets.map((sheet, index) =>
+            `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`);
+
+        return this.xml(
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets.join('') +
+            '</Types>'
+        );
+    }
+
+    /**
+     * targets: [[type, path]], numbered rId1, rId2, ... in order
+     */
+    createRelationships(targets) {
+        const relationships = targets.map(([type, target], index) =>
+            `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`);
+
+        return this.xml(
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            relationships.join('') +
+            '</Relationships>'
+        );
+    }
+
+    createWorkbook() {
+        const sheets = this.sheets.map((sheet, index) =>
+            `<sheet name="${this.escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`);
+
+        return this.xml(
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets>${sheets.join('')}</sheets>` +
+            '</workbook>'
+        );
+    }
+
+    /**
+     * Style 0 is the default, style 1 the bold header
+     */
+    createStyles() {
+        return this.xml(
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+            '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+            '<fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>'
+        );
+    }
+
+    createWorksheet(sheet) {
+        const widths = [];
+        const rows = sheet.rows.map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => {
+                const text = value === null || value === undefined ? '' : String(value);
+                widths[columnIndex] = Math.max(widths[columnIndex] || 0, Math.min(60, text.length + 2));
+                return this.createCell(value, this.getCellReference(columnIndex, rowIndex), rowIndex === 0);
+            });
+            return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+        });
+
+        const columns = widths.map((width, index) =>
+            `<col min="${index + 1}" max="${index + 1}" width="${Math.max(8, width)}" customWidth="1"/>`);
+
+        return this.xml(
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0">' +
+            (sheet.rows.length > 1 ? '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' : '') +
+            '</sheetView></sheetViews>' +
+            (columns.length ? `<cols>${columns.join('')}</cols>` : '') +
+            `<sheetData>${rows.join('')}</sheetData>` +
+            '</worksheet>'
+        );
+    }
+
+    /**
+     * Numbers stay numeric so they can be summed and sorted; empty cells
+     * are left out
+     */
+    createCell(value, reference, header) {
+        const style = header ? ' s="1"' : '';
+
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${reference}"${style}><v>${value}</v></c>`;
+        }
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+
+        const text = this.escapeXml(String(value).slice(0, this.maxCellText));
+        return `<c r="${reference}"${style} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+    }
+
+    /**
+     * A1-style reference, e.g. (0, 0) -> "A1", (27, 4) -> "AB5"
+     */
+    getCellReference(columnIndex, rowIndex) {
+        let letters = '';
+        for (let n = columnIndex + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+        }
+        return `${letters}${rowIndex + 1}`;
+    }
+
+    xml(body) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n${body}`;
+    }
+
+    /**
+     * Escape markup and drop control characters XML cannot contain
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Make available globally
+window.XlsxWriter = XlsxWriter;
@@ -0,0 +1,143 @@
+// ZIP Writer - Builds uncompressed (stored) ZIP archives in the browser.
+// Photos are already JPEG-compressed, so deflate would gain almost nothing.
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.encoder = new TextEncoder();
+        this.crcTable = ZipWriter.getCrcTable();
+    }
+
+    static getCrcTable() {
+        if (!ZipWriter.crcTable) {
+            const table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                table[n] = c >>> 0;
+            }
+            ZipWriter.crcTable = table;
+        }
+        return ZipWriter.crcTable;
+    }
+
+    /**
+     * Add a file; content may be a string, Uint8Array, ArrayBuffer or Blob
+     */
+    async addFile(path, content, date = new Date()) {
+        let data;
+        if (typeof content === 'string') {
+            data = this.encoder.encode(content);
+        } else if (content instanceof Uint8Array) {
+            data = content;
+        } else if (content instanceof ArrayBuffer) {
+            data = new Uint8Array(content);
+        } else if (content instanceof Blob) {
+            data = new Uint8Array(await content.arrayBuffer());
+        } else {
+            throw new Error(`Unsupported content for ${path}`);
+        }
+
+        this.entries.push({
+            name: this.encoder.encode(path),
+            data: data,
+            crc: this.crc32(data),
+            date: date
+        });
+
+        return data;
+    }
+
+    hasFile(path) {
+        const name = this.encoder.encode(path).join(',');
+        return this.entries.some(entry => entry.name.join(',') === name);
+    }
+
+    crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * MS-DOS time and date fields used by ZIP headers
+     */
+    toDosDateTime(date) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        return { time: time, date: day };
+    }
+
+    /**
+     * Assemble local headers, file data and the central directory into a Blob
+     */
+    toBlob(mimeType = 'application/zip') {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const dos = this.toDosDateTime(entry.date);
+
+            // Local file header (general purpose flag bit 11: UTF-8 names)
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, dos.time, true);
+            local.setUint16(12, dos.date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.data.length, true);
+            local.setUint32(22, entry.data.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+
+            parts.push(local.buffer, entry.name, entry.data);
+
+            // Central directory record
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true);
+            record.setUint16(4, 20, true);
+            record.setUint16(6, 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, dos.time, true);
+            record.setUint16(14, dos.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.data.length, true);
+            record.setUint32(24, entry.data.length, true);
+            record.setUint16(28, entry.name.length, true);
+            record.setUint16(30, 0, true);
+            record.setUint16(32, 0, true);
+            record.setUint16(34, 0, true);
+            record.setUint16(36, 0, true);
+            record.setUint32(38, 0, true);
+            record.setUint32(42, offset, true);
+
+            central.push(record.buffer, entry.name);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+        // End of central directory
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(4, 0, true);
+        end.setUint16(6, 0, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        end.setUint16(20, 0, true);
+
+        return new Blob(parts.concat(central, [end.buffer]), { type: mimeType });
+    }
+}
+
+// Make available globally
+window.ZipWriter = ZipWriter;
@@ -1,10 +1,56 @@
-const CACHE_NAME = 'field-survey-v1';
+importScripts('js/outbox-sender.js');
+
+// Bump with every change to a file below: pages are served cache-first,
+// and activate only drops caches with other names
+const CACHE_NAME = 'field-survey-v26';
+
+// Basemap tiles downloaded for offline areas (see js/tile-cache.js).
+// Kept out of the version bump so new releases don't wipe them.
+const TILE_CACHE_NAME = 'field-survey-tiles';
+
+// Relative to this script, so the app also works from a sub-path (e.g. GitHub Pages)
 const urlsToCache = [
-  '/',
-  '/index.html',
-  '/css/styles.css',
-  '/js/app.js',
-  '/js/map.js',
+  './',
+  'index.html',
+  'styles.css',
+  'manifest.json',
+  'js/settings.js',
+  'js/coordinate-converter.js',
+  'js/geodesy.js',
+  'js/app.js',
+  'js/map.js',
+  'js/magnetic-model.js',
+  'js/heading-filter.js',
+  'js/orientation-manager.js',
+  'js/exif-writer.js',
+  'js/metadata-handler.js',
+  'js/survey-store.js',
+  'js/project-manager.js',
+  'js/survey-form.js',
+  'js/form-manager.js',
+  'js/category-manager.js',
+  'js/pin-manager.js',
+  'js/location-list.js',
+  'js/zip-writer.js',
+  'js/pdf-writer.js',
+  'js/geojson-handler.js',
+  'js/kml-handler.js',
+  'js/gpx-handler.js',
+  'js/report-handler.js',
+  'js/bundle-handler.js',
+  'js/xlsx-writer.js',
+  'js/table-handler.js',
+  'js/export-manager.js',
+  'js/tile-cache.js',
+  'js/offline-map-manager.js',
+  'js/track-recorder.js',
+  'js/position-averager.js',
+  'js/occupation-manager.js',
+  'js/measurement-manager.js',
+  'js/shape-drawer.js',
+  'js/outbox-sender.js',
+  'js/sync-manager.js',
+  'forms/general-survey.json',
   'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
   'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
 ];
@@ -21,8 +67,30 @@ self.addEventListener('install', event => {
   );
 });
 
+// OSM tiles are cached under one host; map a.tile / b.tile / c.tile onto it
+function getTileCacheKey(url) {
+  if (url.hostname === 'tile.openstreetmap.org' || url.hostname.endsWith('.tile.openstreetmap.org')) {
+    return `https://tile.openstreetmap.org${url.pathname}`;
+  }
+  return null;
+}
+
+// Tiles: downloaded copy first, then the network
+function fetchTile(request, cacheKey) {
+  return caches.open(TILE_CACHE_NAME)
+    .then(cache => cache.match(cacheKey))
+    .then(response => response || fetch(request))
+    .catch(() => new Response('', { status: 504, statusText: 'Tile not available offline' }));
+}
+
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', event => {
+  const tileKey = getTileCacheKey(new URL(event.request.url));
+  if (tileKey) {
+    event.respondWith(fetchTile(event.request, tileKey));
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then(response => {
@@ -35,9 +103,34 @@ self.addEventListener('fetch', event => {
   );
 });
 
+// Background Sync tag registered by js/sync-manager.js
+const OUTBOX_SYNC_TAG = 'outbox-sync';
+
+// Tell open pages that the outbox changed so they can show the new statuses
+function notifyClients(summary) {
+  return self.clients.matchAll().then(clients => {
+    clients.forEach(client => client.postMessage({ type: 'outbox', summary: summary }));
+  });
+}
+
+// Background Sync - upload the outbox, also after the app has been closed.
+// Rejecting while items are still waiting asks the browser to try again later.
+self.addEventListener('sync', event => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+
+  event.waitUntil(
+    new OutboxSender().run()
+      .then(summary => notifyClients(summary).then(() => {
+        if (summary.pending + summary.sending > 0 && !event.lastChance) {
+          throw new Error(`${summary.pending + summary.sending} uploads still waiting`);
+        }
+      }))
+  );
+});
+
 // Activate event - clean up old caches
 self.addEventListener('activate', event => {
-  const cacheWhitelist = [CACHE_NAME];
+  const cacheWhitelist = [CACHE_NAME, TILE_CACHE_NAME];
   event.waitUntil(
     caches.keys().then(cacheNames => {
       return Promise.all(
@@ -0,0 +1,133 @@
+// Outbox sender against the mock upload server. Needs only Node.js 20+:
+//
+//   node --test test/
+//
+// The sender runs on a small in-memory stand-in for IndexedDB, since Node
+// has none; it keeps records apart with structuredClone as IndexedDB does.
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+function createIndexedDb(stores) {
+    const db = {
+        objectStoreNames: { contains: name => name in stores },
+        close() {},
+        transaction(storeNames, mode) {
+            let pending = 0;
+            let finished = false;
+            const tx = {
+                objectStore: (name) => {
+                    const records = stores[name];
+                    const request = (work) => {
+                        const result = {};
+                        pending++;
+                        setTimeout(() => {
+                            result.result = work();
+                            if (result.onsuccess) result.onsuccess({ target: result });
+                            pending--;
+                            finish();
+                        });
+                        return result;
+                    };
+                    return {
+                        get: key => request(() => records.has(key) ? structuredClone(records.get(key)) : undefined),
+                        getAll: () => request(() => Array.from(records.values(), value => structuredClone(value))),
+                        put: value => request(() => records.set(value.id, structuredClone(value)) && value.id),
+                        delete: key => request(() => records.delete(key) && undefined)
+                    };
+                }
+            };
+            const finish = () => setTimeout(() => {
+                if (pending === 0 && !finished) {
+                    finished = true;
+                    if (tx.oncomplete) tx.oncomplete();
+                }
+            });
+            finish();
+            return tx;
+        }
+    };
+
+    return {
+        open() {
+            const request = {};
+            setTimeout(() => {
+                request.result = db;
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+function startServer(args) {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-uploads-'));
+    const server = spawn(process.execPath, [path.join(__dirname, '../tools/mock-upload-server.js'), '--port', '0', '--out', out, ...args]);
+    server.out = out;
+    server.log = '';
+
+    return new Promise((resolve, reject) => {
+        server.stdout.on('data', (chunk) => {
+            server.log += chunk;
+            const match = server.log.match(/on (http:\S+)/);
+            if (match && !server.endpoint) {
+                server.endpoint = match[1];
+                resolve(server);
+            }
+        });
+        server.on('exit', code => reject(new Error(`Mock server exited with ${code}`)));
+    });
+}
+
+function queuedLocation(id) {
+    return {
+        id: `location:${id}`,
+        kind: 'location',
+        entityId: id,
+        projectId: null,
+        label: id,
+        status: 'pending',
+        revision: 1,
+        attempts: 0,
+        nextAttemptAt: 0,
+        leaseUntil: 0,
+        lastError: null,
+        createdAt: 1,
+        updatedAt: 1,
+        sentAt: null
+    };
+}
+
+test('a wrong token pauses the outbox without failing any item', async (t) => {
+    const server = await startServer(['--header', 'Authorization', '--value', 'Bearer right']);
+    t.after(() => {
+        server.kill();
+        fs.rmSync(server.out, { recursive: true, force: true });
+    });
+
+    const stores = {
+        syncConfig: new Map([['upload', { id: 'upload', endpoint: server.endpoint, authHeader: 'Authorization', authValue: 'Bearer wrong' }]]),
+        locations: new Map(['a', 'b', 'c'].map(id => [id, { id: id, name: `Pin ${id}`, lat: 1, lon: 2 }])),
+        projects: new Map(),
+        photos: new Map(),
+        outbox: new Map(['a', 'b', 'c'].map(id => [`location:${id}`, queuedLocation(id)]))
+    };
+    global.self = global;
+    global.indexedDB = createIndexedDb(stores);
+    require('../js/outbox-sender.js');
+
+    const summary = await new self.OutboxSender().run();
+
+    assert.deepStrictEqual([summary.pending, summary.failed, summary.sent], [3, 0, 0]);
+    for (const item of stores.outbox.values()) {
+        assert.strictEqual(item.status, 'pending');
+        assert.strictEqual(item.attempts, 0);
+    }
+    assert.match(stores.outbox.get('location:a').lastError, /^HTTP 401/);
+
+    // The run stops at the first 401 instead of trying every item
+    assert.strictEqual(server.log.match(/^401 /gm).length, 1);
+});
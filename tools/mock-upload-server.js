@@ -0,0 +1,107 @@
+// Mock Upload Server - A stand-in for the survey upload endpoint, for trying
+// the outbox locally. Uses only Node's standard library:
+//
+//   node tools/mock-upload-server.js --port 8787 --header Authorization --value "Bearer test" --fail-every 3
+//
+// Then set http://localhost:8787/upload as the endpoint in Survey Tools → Upload.
+// Uploads are written to ./mock-uploads; GET / lists what has been received.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+    const options = { port: 8787, header: null, value: null, failEvery: 0, out: 'mock-uploads' };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        if (name === 'port') options.port = parseInt(value, 10);
+        else if (name === 'header') options.header = value.toLowerCase();
+        else if (name === 'value') options.value = value;
+        else if (name === 'fail-every') options.failEvery = parseInt(value, 10);
+        else if (name === 'out') options.out = value;
+        else throw new Error(`Unknown option --${name}`);
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const received = new Map(); // idempotency key -> saved file
+let requestCount = 0;
+
+fs.mkdirSync(options.out, { recursive: true });
+
+function send(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+// Answer an upload without keeping it. The body is read to the end first:
+// a large photo left unread can reset the connection before the client
+// sees the status.
+function reject(request, response, status, body) {
+    request.resume();
+    request.on('end', () => send(response, status, body));
+}
+
+const server = http.createServer((request, response) => {
+    // The app runs on another origin, so allow its custom headers
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', request.headers['access-control-request-headers'] || '*');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    if (request.method === 'GET') {
+        send(response, 200, { received: Array.from(received.keys()) });
+        return;
+    }
+
+    if (request.method !== 'POST') {
+        send(response, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    if (options.header && request.headers[options.header] !== options.value) {
+        console.log(`401 ${request.url}: missing or wrong ${options.header} header`);
+        reject(request, response, 401, { error: 'Unauthorized' });
+        return;
+    }
+
+    requestCount++;
+    if (options.failEvery > 0 && requestCount % options.failEvery === 0) {
+        console.log(`503 ${request.url}: simulated failure (request ${requestCount})`);
+        reject(request, response, 503, { error: 'Simulated outage' });
+        return;
+    }
+
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+        const key = request.headers['idempotency-key'] || `request-${requestCount}`;
+        if (received.has(key)) {
+            console.log(`200 ${key}: already stored in ${received.get(key)}`);
+            send(response, 200, { received: key, duplicate: true });
+            return;
+        }
+
+        const body = Buffer.concat(chunks);
+        const isJson = (request.headers['content-type'] || '').startsWith('application/json');
+        const file = path.join(options.out, `${String(received.size + 1).padStart(4, '0')}_${key.replace(/[^a-z0-9-]+/gi, '_')}.${isJson ? 'json' : 'multipart'}`);
+        fs.writeFileSync(file, body);
+        received.set(key, file);
+
+        console.log(`201 ${key}: ${body.length} bytes -> ${file}`);
+        send(response, 201, { received: key });
+    });
+});
+
+server.listen(options.port, () => {
+    // With --port 0 the system picks a free port
+    console.log(`Mock upload server on http://localhost:${server.address().port}/upload`);
+    if (options.header) console.log(`Requires header ${options.header}: ${options.value}`);
+    if (options.failEvery) console.log(`Fails one in every ${options.failEvery} uploads with 503`);
+});